@@ -8,7 +8,11 @@ import { setupSocket } from './socket.js';
 import audioRouter from './routes/audio.js';
 import sessionRouter from './routes/session.js';
 import healthRouter from './routes/health.js';
+import metricsRouter from './routes/metrics.js';
 import { log } from './utils/utils.js';
+import { sessionStore } from './stores/index.js';
+import { loadLatencyProfiles, flushLatencyProfiles } from './managers/latencyProfileManager.js';
+import { startTrackIndex } from './managers/trackIndexManager.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -40,14 +44,33 @@ app.use(express.json());
 app.use('/audio', audioRouter);
 app.use('/session', sessionRouter);
 app.use('/health', healthRouter);
+app.use('/metrics', metricsRouter);
 
 app.get('/', (req, res) => {
   res.send('<h1>Audio Sync Backend is running! 🚀</h1><p>Deployed on Render.</p>');
 });
 
+// Restore persisted rooms before accepting connections so rejoining clients land in the same session
+sessionStore.load();
+loadLatencyProfiles();
+// Builds in the background; requests that need it wait for the first pass
+startTrackIndex();
 setupSocket(io);
 
 const PORT = process.env.PORT || 4000;
 server.listen(PORT, () => {
   log(`Server listening on port ${PORT}`);
-}); 
\ No newline at end of file
+});
+
+// Write a final session snapshot before exiting (SIGUSR2 is nodemon's restart signal)
+function shutdown(signal) {
+  log(`Received ${signal}, saving sessions (${sessionStore.name} store)`);
+  sessionStore.close();
+  flushLatencyProfiles();
+  if (signal === 'SIGUSR2') {
+    process.kill(process.pid, 'SIGUSR2');
+  } else {
+    process.exit(0);
+  }
+}
+['SIGINT', 'SIGTERM', 'SIGUSR2'].forEach(signal => process.once(signal, () => shutdown(signal)));
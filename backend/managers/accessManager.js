@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Invite tokens are what QR codes/links carry instead of the room password
+const INVITE_TOKEN_TTL_MS = parseInt(process.env.INVITE_TOKEN_TTL_MS, 10) || 15 * 60 * 1000;
+// Access tokens are handed to clients after a successful join so reconnects don't need the secret again
+const ACCESS_TOKEN_TTL_MS = parseInt(process.env.ROOM_ACCESS_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+const KEY_LENGTH = 32;
+
+export function isValidRoomPassword(password) {
+  return typeof password === 'string' && password.length >= 4 && password.length <= 128;
+}
+
+// Stored as "scrypt$<salt>$<hash>" so the format can change later without breaking old rooms
+export async function hashRoomPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyRoomPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [scheme, salt, expectedHex] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !expectedHex) return false;
+  const expected = Buffer.from(expectedHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+export function isRoomProtected(session) {
+  return !!(session && session.passwordHash);
+}
+
+/**
+ * Protect a session with an already-hashed password.
+ * Also rotates the token secret, so any earlier invite/access tokens stop working.
+ */
+export function protectRoom(session, passwordHash) {
+  session.passwordHash = passwordHash;
+  session.accessSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function sign(session, body) {
+  return crypto.createHmac('sha256', session.accessSecret).update(body).digest('base64url');
+}
+
+// Token format: base64url(JSON payload) + "." + HMAC, keyed per session
+function createRoomToken(session, payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(session, body)}`;
+}
+
+function readRoomToken(session, token, type) {
+  if (!session.accessSecret || typeof token !== 'string' || token.length > 512) return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+  const expected = Buffer.from(sign(session, body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!payload || payload.t !== type || typeof payload.exp !== 'number' || payload.exp < Date.now()) return null;
+  return payload;
+}
+
+export function createInviteToken(session) {
+  const expiresAt = Date.now() + INVITE_TOKEN_TTL_MS;
+  return { token: createRoomToken(session, { t: 'invite', exp: expiresAt }), expiresAt };
+}
+
+export function createAccessToken(session, clientId) {
+  const expiresAt = Date.now() + ACCESS_TOKEN_TTL_MS;
+  return { token: createRoomToken(session, { t: 'access', c: clientId || null, exp: expiresAt }), expiresAt };
+}
+
+/**
+ * Check join credentials against a protected room. Any one of these is enough:
+ * - password: the room password or PIN
+ * - inviteToken: a short-lived token from create_invite (QR codes / share links)
+ * - accessToken: issued to this clientId by an earlier successful join
+ * Resolves to true when access is granted.
+ */
+export async function checkRoomAccess(session, { password, inviteToken, accessToken, clientId } = {}) {
+  if (!isRoomProtected(session)) return true;
+  if (accessToken) {
+    const payload = readRoomToken(session, accessToken, 'access');
+    if (payload && payload.c === (clientId || null)) return true;
+  }
+  if (inviteToken && readRoomToken(session, inviteToken, 'invite')) return true;
+  if (password) return verifyRoomPassword(password, session.passwordHash);
+  return false;
+}
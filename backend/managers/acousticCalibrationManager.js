@@ -0,0 +1,76 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getSession } from './sessionManager.js';
+import { serverNow } from '../utils/clock.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Acoustic calibration runs: aligning speakers that share a room by ear instead of by clock.
+// The controller's device records through its microphone while every member's device (its own included)
+// plays a chirp in its own slot, at a server-time instant. The recorder works out how early or late each
+// speaker sounded (frontend/src/utils/acousticCalibration.js) and sends back per-slot offsets, which
+// latencyProfileManager folds into each device's calibrated latency.
+
+// Time for every member to hear about the run and for the recorder's microphone to start
+const ACOUSTIC_CALIBRATION_LEAD_MS = parseInt(process.env.ACOUSTIC_CALIBRATION_LEAD_MS, 10) || 1500;
+// One chirp per slot: the chirp, its echoes and the search window either side must fit
+const SLOT_MS = 600;
+const MAX_SPEAKERS = 16;
+// Results arriving later than this after the last slot are ignored
+const RESULT_TIMEOUT_MS = 30 * 1000;
+
+// Run in progress per session. Kept out of the session object so it stays serializable.
+const runs = {};
+
+/**
+ * Start a run recorded by recorderSocketId, replacing any run in progress.
+ * Returns { runId, recorderClientId, startAt, slotMs, slots: [{ slot, socketId, clientId, playAt }] }, or null.
+ */
+export function startAcousticCalibration(sessionId, recorderSocketId) {
+  const session = getSession(sessionId);
+  const recorder = session && session.clients.get(recorderSocketId);
+  if (!recorder) return null;
+  const startAt = serverNow() + ACOUSTIC_CALIBRATION_LEAD_MS;
+  // The recorder goes first: its own speaker is the loudest thing it will hear
+  const members = Array.from(session.clients.entries())
+    .filter(([, info]) => info.clientId)
+    .sort(([a], [b]) => (a === recorderSocketId ? -1 : b === recorderSocketId ? 1 : 0))
+    .slice(0, MAX_SPEAKERS);
+  const slots = members.map(([socketId, info], slot) => ({
+    slot,
+    socketId,
+    clientId: info.clientId,
+    playAt: startAt + slot * SLOT_MS,
+  }));
+  const run = {
+    runId: uuidv4(),
+    recorderSocketId,
+    recorderClientId: recorder.clientId,
+    startAt,
+    slotMs: SLOT_MS,
+    slots,
+    expiresAt: startAt + slots.length * SLOT_MS + RESULT_TIMEOUT_MS,
+  };
+  runs[sessionId] = run;
+  return describeRun(run);
+}
+
+// What the room gets to see
+export function describeRun(run) {
+  const { runId, recorderClientId, startAt, slotMs, slots } = run;
+  return { runId, recorderClientId, startAt, slotMs, slots };
+}
+
+/**
+ * Take the run's results: the run is finished either way.
+ * Returns the run if runId is the session's current run, it came from the recorder and it hasn't expired; otherwise null.
+ */
+export function finishAcousticCalibration(sessionId, runId, socketId) {
+  const run = runs[sessionId];
+  if (!run || run.runId !== runId || run.recorderSocketId !== socketId) return null;
+  delete runs[sessionId];
+  return serverNow() <= run.expiresAt ? run : null;
+}
+
+export function cancelAcousticCalibration(sessionId) {
+  delete runs[sessionId];
+}
@@ -0,0 +1,58 @@
+import { getSession } from './sessionManager.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// How long a disconnected controller keeps control before it is handed to someone else
+export const CONTROLLER_GRACE_MS = parseInt(process.env.CONTROLLER_GRACE_MS, 10) || 30 * 1000;
+
+// Pending grace timers per session. Kept out of the session object so it stays serializable;
+// session.controllerGrace = { clientId, expiresAt } is what clients see.
+const graceTimers = {};
+
+export function isControllerReconnecting(session) {
+  return !!(session && session.controllerGrace);
+}
+
+/**
+ * Start the reconnection grace window for the session's controller.
+ * - Control stays with controllerClientId; only the socket binding is cleared.
+ * - onExpire(sessionId) runs if nobody reclaims control before the window ends.
+ */
+export function startControllerGrace(sessionId, onExpire) {
+  const session = getSession(sessionId);
+  if (!session || !session.controllerClientId) return null;
+  cancelControllerGrace(sessionId);
+  session.controllerId = null;
+  session.controllerGrace = { clientId: session.controllerClientId, expiresAt: Date.now() + CONTROLLER_GRACE_MS };
+  graceTimers[sessionId] = setTimeout(() => {
+    delete graceTimers[sessionId];
+    onExpire(sessionId);
+  }, CONTROLLER_GRACE_MS);
+  return session.controllerGrace;
+}
+
+export function cancelControllerGrace(sessionId) {
+  if (graceTimers[sessionId]) {
+    clearTimeout(graceTimers[sessionId]);
+    delete graceTimers[sessionId];
+  }
+  const session = getSession(sessionId);
+  if (session) session.controllerGrace = null;
+}
+
+/**
+ * Pick who takes over when the controller doesn't come back:
+ * 1. the designated co-host, if connected
+ * 2. otherwise the member who has been in the room longest (earliest joinedAt, ties by clientId)
+ * Returns [socketId, clientInfo] or null when nobody is left.
+ */
+export function pickControllerSuccessor(session, excludeClientId = null) {
+  const candidates = Array.from(session.clients.entries())
+    .filter(([, info]) => info.clientId && info.clientId !== excludeClientId);
+  if (candidates.length === 0) return null;
+  const coHost = session.coHostClientId && candidates.find(([, info]) => info.clientId === session.coHostClientId);
+  if (coHost) return coHost;
+  return candidates.sort(([, a], [, b]) =>
+    (a.joinedAt || 0) - (b.joinedAt || 0) || a.clientId.localeCompare(b.clientId)
+  )[0];
+}
@@ -0,0 +1,79 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Client drift per session, from drift_report. Clients only report when they have drifted past their own
+// threshold, so a recent report above DRIFT_THRESHOLD marks a socket as drifting until it has been sent a
+// correction (markDriftCorrected): each report earns one correction, a client still off reports again.
+// The sync_state broadcaster in socket.js sends drifting sockets targeted corrections between room broadcasts.
+
+export const DRIFT_THRESHOLD = 0.2; // s
+export const DRIFT_WINDOW_MS = parseInt(process.env.DRIFT_WINDOW_MS, 10) || 10 * 1000;
+const MAX_RESYNC_HISTORY = 10;
+
+// sessionId -> Map<socketId, { clientId, drift, reportedAt, resyncHistory }>
+const driftBySession = {};
+
+/**
+ * Record a drift report. reportedAt is server time, clients' clocks aren't trusted here.
+ * Manual resyncs with an improvement figure are kept in a short per-client history.
+ */
+export function recordClientDrift(sessionId, socketId, clientId, { drift, manual, timestamp, beforeDrift, afterDrift, improvement, resyncDuration }) {
+  if (!driftBySession[sessionId]) driftBySession[sessionId] = new Map();
+  const reports = driftBySession[sessionId];
+  const entry = reports.get(socketId) || { clientId, resyncHistory: [] };
+  entry.clientId = clientId;
+  entry.drift = drift;
+  entry.reportedAt = Date.now();
+  entry.correctedAt = null;
+  if (manual && typeof improvement === 'number') {
+    entry.resyncHistory.push({ timestamp, beforeDrift, afterDrift, improvement, resyncDuration });
+    if (entry.resyncHistory.length > MAX_RESYNC_HISTORY) entry.resyncHistory.shift();
+  }
+  reports.set(socketId, entry);
+}
+
+/**
+ * Sockets in the session with a recent report above DRIFT_THRESHOLD that no correction has answered yet.
+ * @returns {string[]} socket ids
+ */
+export function getDriftingSockets(sessionId, now = Date.now()) {
+  const reports = driftBySession[sessionId];
+  if (!reports) return [];
+  const drifting = [];
+  for (const [socketId, { drift, reportedAt, correctedAt }] of reports.entries()) {
+    if (correctedAt) continue;
+    if (now - reportedAt <= DRIFT_WINDOW_MS && Math.abs(drift) > DRIFT_THRESHOLD) drifting.push(socketId);
+  }
+  return drifting;
+}
+
+// A correction has been sent for the sockets' last reports: they stop counting as drifting until they report again
+export function markDriftCorrected(sessionId, socketIds, now = Date.now()) {
+  const reports = driftBySession[sessionId];
+  if (!reports) return;
+  for (const socketId of socketIds) {
+    const entry = reports.get(socketId);
+    if (entry) entry.correctedAt = now;
+  }
+}
+
+export function removeClientDrift(sessionId, socketId) {
+  const reports = driftBySession[sessionId];
+  if (!reports) return;
+  reports.delete(socketId);
+  if (reports.size === 0) delete driftBySession[sessionId];
+}
+
+export function removeSessionDrift(sessionId) {
+  delete driftBySession[sessionId];
+}
+
+// Forget reports older than DRIFT_WINDOW_MS
+export function pruneDriftReports(now = Date.now()) {
+  for (const [sessionId, reports] of Object.entries(driftBySession)) {
+    for (const [socketId, { reportedAt }] of reports.entries()) {
+      if (now - reportedAt > DRIFT_WINDOW_MS) reports.delete(socketId);
+    }
+    if (reports.size === 0) delete driftBySession[sessionId];
+  }
+}
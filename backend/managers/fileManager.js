@@ -1,16 +1,331 @@
-// Track uploaded files per sessionId and clientId
-const sessionFiles = {};
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { sessionStore } from '../stores/index.js';
+import { getUploadPathFromUrl } from './playbackManager.js';
+import { AUDIO_EXTENSIONS } from '../utils/audioFormat.js';
+import { log } from '../utils/utils.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// User uploads in uploads/ (samples in uploads/samples/ are never touched here).
+// Each upload is tracked under the session and client that sent it. Files leave when their room does, when the
+// controller removes them from the queue, or when the sweeper finds nothing live still using them: a crashed
+// server, a timed-out room or a client that uploaded and never queued all leave such files behind.
+// Quotas bound what one room and one client may hold; UPLOADS_DISK_CAP_BYTES bounds uploads/ as a whole.
+// Large files can also arrive as resumable uploads: declared up front (size and SHA-256), appended chunk by chunk at
+// the offset the server has, and checked against the hash when finalized. Their declared size counts against the
+// quotas from the start.
+
+const MB = 1024 * 1024;
+export const UPLOAD_QUOTA_SESSION_BYTES = parseInt(process.env.UPLOAD_QUOTA_SESSION_BYTES, 10) || 500 * MB;
+export const UPLOAD_QUOTA_CLIENT_BYTES = parseInt(process.env.UPLOAD_QUOTA_CLIENT_BYTES, 10) || 200 * MB;
+export const UPLOADS_DISK_CAP_BYTES = parseInt(process.env.UPLOADS_DISK_CAP_BYTES, 10) || 2048 * MB;
+// Uploads younger than this are left alone: the client queues a file only after its upload has finished
+const ORPHAN_GRACE_MS = parseInt(process.env.UPLOAD_ORPHAN_GRACE_MS, 10) || 15 * 60 * 1000;
+export const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 50 * MB;
+export const UPLOAD_CHUNK_BYTES = parseInt(process.env.UPLOAD_CHUNK_BYTES, 10) || 1 * MB;
+// A resumable upload that receives nothing for this long is dropped with its partial file
+const RESUMABLE_UPLOAD_TTL_MS = parseInt(process.env.RESUMABLE_UPLOAD_TTL_MS, 10) || 60 * 60 * 1000;
 
+const uploadsDir = path.join(process.cwd(), 'uploads');
+// Uploads are written under this extension until their contents have been checked, then renamed to their format's
+export const PARTIAL_UPLOAD_EXTENSION = '.part';
+
+// uploadId -> { uploadId, sessionId, clientId, name, size, sha256, filename, received, hash, busy, updatedAt }
+const resumableUploads = new Map();
+
+// Track uploaded files per sessionId and clientId
 export function addSessionFile(sessionId, clientId, filename) {
-  if (!sessionFiles[sessionId]) sessionFiles[sessionId] = {};
-  if (!sessionFiles[sessionId][clientId]) sessionFiles[sessionId][clientId] = [];
-  sessionFiles[sessionId][clientId].push(filename);
+  const sessionFiles = sessionStore.getSessionFiles(sessionId) || sessionStore.setSessionFiles(sessionId, {});
+  if (!sessionFiles[clientId]) sessionFiles[clientId] = [];
+  sessionFiles[clientId].push(filename);
 }
 
 export function getSessionFiles(sessionId) {
-  return sessionFiles[sessionId] || {};
+  return sessionStore.getSessionFiles(sessionId) || {};
 }
 
 export function removeSessionFiles(sessionId) {
-  delete sessionFiles[sessionId];
-} 
\ No newline at end of file
+  sessionStore.deleteSessionFiles(sessionId);
+}
+
+// Stop tracking a file under whichever session and client uploaded it
+function untrackFile(filename) {
+  for (const [sessionId, files] of Object.entries(sessionStore.getAllSessionFiles())) {
+    for (const [clientId, list] of Object.entries(files)) {
+      const remaining = list.filter(f => f !== filename);
+      if (remaining.length) files[clientId] = remaining;
+      else delete files[clientId];
+    }
+    if (Object.keys(files).length === 0) sessionStore.deleteSessionFiles(sessionId);
+  }
+}
+
+// Upload filenames (relative to uploads/) queued in any live session
+function getQueuedUploads(exceptSessionId = null) {
+  const queued = new Set();
+  for (const [sessionId, session] of Object.entries(sessionStore.getAllSessions())) {
+    if (sessionId === exceptSessionId || !Array.isArray(session.queue)) continue;
+    for (const entry of session.queue) {
+      const filePath = entry && getUploadPathFromUrl(entry.url);
+      if (filePath && path.dirname(filePath) === uploadsDir) queued.add(path.basename(filePath));
+    }
+  }
+  return queued;
+}
+
+// Audio and partial files directly in uploads/, with size and mtime
+function listUploads() {
+  if (!fs.existsSync(uploadsDir)) return [];
+  const uploads = [];
+  for (const filename of fs.readdirSync(uploadsDir)) {
+    const ext = path.extname(filename).toLowerCase();
+    if (!AUDIO_EXTENSIONS.includes(ext) && ext !== PARTIAL_UPLOAD_EXTENSION) continue;
+    try {
+      const stat = fs.statSync(path.join(uploadsDir, filename));
+      if (stat.isFile()) uploads.push({ filename, size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch (e) {
+      // Removed while listing
+    }
+  }
+  return uploads;
+}
+
+function fileSize(filename) {
+  try {
+    return fs.statSync(path.join(uploadsDir, filename)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function deleteUpload(filename, reason) {
+  // Only plain names directly in uploads/: never samples, never anything outside
+  if (!filename || path.basename(filename) !== filename) return;
+  const filePath = path.join(uploadsDir, filename);
+  untrackFile(filename);
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') {
+      console.error(`[Uploads] Failed to delete ${filePath}:`, err);
+    } else if (!err) {
+      log(`[Uploads] Deleted ${filename} (${reason})`);
+    }
+  });
+}
+
+/**
+ * Delete a file the controller removed from the queue, unless another live session still queues it.
+ */
+export function deleteUploadIfUnused(filename, reason) {
+  if (getQueuedUploads().has(filename)) return false;
+  deleteUpload(filename, reason);
+  return true;
+}
+
+/**
+ * Delete every file uploaded into a session that is going away, except files another live session queues
+ * (the sweeper collects those once they're unused), and stop tracking them.
+ */
+export function deleteSessionFiles(sessionId) {
+  const queuedElsewhere = getQueuedUploads(sessionId);
+  for (const list of Object.values(getSessionFiles(sessionId))) {
+    for (const filename of list) {
+      if (!queuedElsewhere.has(filename)) deleteUpload(filename, `session ${sessionId} closed`);
+    }
+  }
+  removeSessionFiles(sessionId);
+}
+
+/**
+ * Bytes already held by a session and by one of its clients, including resumable uploads still coming in.
+ * @returns {object} { session, client }
+ */
+export function getUploadUsage(sessionId, clientId) {
+  let sessionBytes = 0;
+  let clientBytes = 0;
+  for (const [owner, list] of Object.entries(getSessionFiles(sessionId))) {
+    for (const filename of list) {
+      const size = fileSize(filename);
+      sessionBytes += size;
+      if (owner === clientId) clientBytes += size;
+    }
+  }
+  for (const upload of resumableUploads.values()) {
+    if (upload.sessionId !== sessionId) continue;
+    sessionBytes += upload.size;
+    if (upload.clientId === clientId) clientBytes += upload.size;
+  }
+  return { session: sessionBytes, client: clientBytes };
+}
+
+/**
+ * Check a new upload of `size` bytes against the session and client quotas.
+ * Returns an error message, or null if it fits.
+ */
+export function checkUploadQuota(sessionId, clientId, size) {
+  const usage = getUploadUsage(sessionId, clientId);
+  if (usage.client + size > UPLOAD_QUOTA_CLIENT_BYTES) {
+    return `Upload quota exceeded: you can keep up to ${Math.round(UPLOAD_QUOTA_CLIENT_BYTES / MB)} MB of uploads in this room`;
+  }
+  if (usage.session + size > UPLOAD_QUOTA_SESSION_BYTES) {
+    return `Upload quota exceeded: this room can hold up to ${Math.round(UPLOAD_QUOTA_SESSION_BYTES / MB)} MB of uploads`;
+  }
+  return null;
+}
+
+/**
+ * Bring uploads/ under UPLOADS_DISK_CAP_BYTES, with room for `incoming` more bytes, by deleting the oldest files
+ * that no live queue uses and that are past the grace period. Files a room is playing from and resumable uploads
+ * in progress are never evicted.
+ * Returns true if uploads/ now fits under the cap.
+ */
+export function enforceUploadCap(now = Date.now(), incoming = 0) {
+  const uploads = listUploads();
+  let total = uploads.reduce((sum, u) => sum + u.size, 0) + incoming;
+  if (total <= UPLOADS_DISK_CAP_BYTES) return true;
+  const kept = getQueuedUploads();
+  for (const upload of resumableUploads.values()) kept.add(upload.filename);
+  const evictable = uploads
+    .filter(u => !kept.has(u.filename) && now - u.mtimeMs > ORPHAN_GRACE_MS)
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  for (const upload of evictable) {
+    if (total <= UPLOADS_DISK_CAP_BYTES) break;
+    deleteUpload(upload.filename, 'disk cap');
+    total -= upload.size;
+  }
+  return total <= UPLOADS_DISK_CAP_BYTES;
+}
+
+/**
+ * Reconcile uploads/ with the live sessions:
+ * - resumable uploads idle for RESUMABLE_UPLOAD_TTL_MS are dropped
+ * - files tracked under sessions that no longer exist are untracked (their room is gone)
+ * - files neither tracked by nor queued in a live session, past the grace period, are deleted
+ * - then the disk cap is enforced
+ * Returns the number of orphaned files deleted.
+ */
+export function sweepUploads(now = Date.now()) {
+  expireResumableUploads(now);
+  const sessions = sessionStore.getAllSessions();
+  const sessionFiles = sessionStore.getAllSessionFiles();
+  for (const sessionId of Object.keys(sessionFiles)) {
+    if (!sessions[sessionId]) sessionStore.deleteSessionFiles(sessionId);
+  }
+  const kept = getQueuedUploads();
+  for (const files of Object.values(sessionStore.getAllSessionFiles())) {
+    for (const list of Object.values(files)) list.forEach(filename => kept.add(filename));
+  }
+  for (const upload of resumableUploads.values()) kept.add(upload.filename);
+  let deleted = 0;
+  for (const { filename, mtimeMs } of listUploads()) {
+    if (kept.has(filename) || now - mtimeMs <= ORPHAN_GRACE_MS) continue;
+    deleteUpload(filename, 'orphaned');
+    deleted++;
+  }
+  enforceUploadCap(now);
+  return deleted;
+}
+
+/**
+ * The resumable upload this client already has going for the same content (same session, size and hash), e.g.
+ * one it lost track of in a reload, or null.
+ */
+export function findResumableUpload({ sessionId, clientId, size, sha256 }) {
+  for (const upload of resumableUploads.values()) {
+    if (upload.sessionId === sessionId && upload.clientId === clientId && upload.size === size && upload.sha256 === sha256) {
+      return upload;
+    }
+  }
+  return null;
+}
+
+/**
+ * Start a resumable upload. The caller has checked the size limit, quota and disk cap.
+ * @param {object} options - { sessionId, clientId, name (the client's file name), size, sha256 (hex) }
+ * @returns {object} the upload
+ */
+export function startResumableUpload({ sessionId, clientId, name, size, sha256 }) {
+  const uploadId = crypto.randomUUID();
+  const upload = {
+    uploadId,
+    sessionId,
+    clientId,
+    name,
+    size,
+    sha256,
+    filename: `${clientId}-${Date.now()}${PARTIAL_UPLOAD_EXTENSION}`,
+    received: 0,
+    hash: crypto.createHash('sha256'),
+    busy: false,
+    updatedAt: Date.now(),
+  };
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  fs.writeFileSync(path.join(uploadsDir, upload.filename), '');
+  resumableUploads.set(uploadId, upload);
+  return upload;
+}
+
+export function getResumableUpload(uploadId) {
+  return resumableUploads.get(uploadId) || null;
+}
+
+/**
+ * Append a chunk that starts at `offset`. Only the next chunk is accepted: a repeated or skipped offset, or a chunk
+ * while another is being written, is refused and the caller should continue from upload.received.
+ * @returns {Promise<object>} { received } or { error, received }
+ */
+export async function appendUploadChunk(upload, offset, chunk) {
+  if (upload.busy) return { error: 'Another chunk of this upload is being written', received: upload.received };
+  if (offset !== upload.received) return { error: `Expected the chunk at offset ${upload.received}`, received: upload.received };
+  if (upload.received + chunk.length > upload.size) return { error: 'Chunk runs past the declared size', received: upload.received };
+  const filePath = path.join(uploadsDir, upload.filename);
+  upload.busy = true;
+  try {
+    await fs.promises.appendFile(filePath, chunk);
+    upload.hash.update(chunk);
+    upload.received += chunk.length;
+  } catch (err) {
+    console.error(`[Uploads] Failed to write chunk of ${upload.filename}:`, err);
+    // Drop whatever part of the chunk made it, so the file matches what we've counted
+    await fs.promises.truncate(filePath, upload.received).catch(() => {});
+    return { error: 'Could not store the chunk', received: upload.received };
+  } finally {
+    upload.busy = false;
+    upload.updatedAt = Date.now();
+  }
+  return { received: upload.received };
+}
+
+/**
+ * Check that every byte has arrived and that they hash to what the client declared. Either way the upload is over:
+ * on success its partial file is handed to the caller, otherwise it is deleted.
+ * @returns {object} { filePath } or { error, code }
+ */
+export function completeResumableUpload(upload) {
+  if (upload.busy) return { error: 'A chunk of this upload is still being written', code: 'UPLOAD_BUSY' };
+  if (upload.received !== upload.size) {
+    return { error: `Upload incomplete: ${upload.received} of ${upload.size} bytes received`, code: 'UPLOAD_INCOMPLETE' };
+  }
+  resumableUploads.delete(upload.uploadId);
+  const filePath = path.join(uploadsDir, upload.filename);
+  if (upload.hash.digest('hex') !== upload.sha256) {
+    fs.unlink(filePath, () => {});
+    return { error: 'The uploaded file does not match its checksum, please upload it again', code: 'UPLOAD_HASH_MISMATCH' };
+  }
+  return { filePath };
+}
+
+export function discardResumableUpload(upload) {
+  resumableUploads.delete(upload.uploadId);
+  fs.unlink(path.join(uploadsDir, upload.filename), () => {});
+}
+
+function expireResumableUploads(now) {
+  for (const upload of resumableUploads.values()) {
+    if (!upload.busy && now - upload.updatedAt > RESUMABLE_UPLOAD_TTL_MS) {
+      discardResumableUpload(upload);
+      log(`[Uploads] Dropped idle resumable upload ${upload.uploadId} (${upload.received} of ${upload.size} bytes)`);
+    }
+  }
+}
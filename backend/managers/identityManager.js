@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// Per-session client identities.
+// The first join with a given clientId claims it and gets back a credential ("<clientId>.<hmac>")
+// signed with a per-session secret. Later joins must present that credential to use the same clientId,
+// so nobody can take over someone else's id (including the controller's) just by sending it.
+
+function ensureIdentitySecret(session) {
+  if (!session.identitySecret) session.identitySecret = crypto.randomBytes(32).toString('hex');
+  if (!session.identities || typeof session.identities !== 'object') session.identities = {}; // clientId -> issuedAt
+  return session.identitySecret;
+}
+
+function signClientId(session, clientId) {
+  return crypto.createHmac('sha256', ensureIdentitySecret(session)).update(clientId).digest('base64url');
+}
+
+export function issueClientCredential(session, clientId) {
+  ensureIdentitySecret(session);
+  if (!session.identities[clientId]) session.identities[clientId] = Date.now();
+  return `${clientId}.${signClientId(session, clientId)}`;
+}
+
+// Returns the clientId the credential was issued for, or null if it isn't valid for this session
+export function verifyClientCredential(session, credential) {
+  if (typeof credential !== 'string' || credential.length > 256) return null;
+  const sep = credential.lastIndexOf('.');
+  if (sep <= 0) return null;
+  const clientId = credential.slice(0, sep);
+  const expected = Buffer.from(signClientId(session, clientId));
+  const actual = Buffer.from(credential.slice(sep + 1));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return clientId;
+}
+
+function isClientIdClaimed(session, clientId) {
+  ensureIdentitySecret(session);
+  return !!session.identities[clientId];
+}
+
+/**
+ * Work out who a joining socket is.
+ * - A valid credential wins; the requested clientId is ignored.
+ * - Otherwise an unclaimed requested clientId is accepted and claimed.
+ * - Otherwise (missing, or already claimed by someone else) the server picks a fresh clientId.
+ * Returns { clientId, credential, reassigned } where reassigned means the client must adopt the new id.
+ */
+export function resolveJoinIdentity(session, { clientId: requestedId, credential, isValidClientId }) {
+  const verifiedId = verifyClientCredential(session, credential);
+  let clientId = verifiedId;
+  if (!clientId) {
+    clientId = requestedId && isValidClientId(requestedId) && !isClientIdClaimed(session, requestedId)
+      ? requestedId
+      : uuidv4();
+  }
+  return {
+    clientId,
+    credential: issueClientCredential(session, clientId),
+    reassigned: !!requestedId && clientId !== requestedId
+  };
+}
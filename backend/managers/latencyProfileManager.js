@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { getSession } from './sessionManager.js';
+import { log } from '../utils/utils.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Output-latency profiles: how late a client's speakers play what it schedules, per output device.
+// Keyed by clientId + output device, so a laptop remembers its built-in speakers and its Bluetooth headset
+// separately, and the numbers survive reloads, cleared storage and server restarts.
+// The compensation a client applies is (calibrated ?? reported ?? default) + adjustment:
+// - reported: what the browser says (AudioContext baseLatency + outputLatency)
+// - calibrated: a measurement from the calibration wizard, which beats the browser's guess
+// - adjustment: fine-tuning by the listener or the room's controller (DeviceList)
+
+export const DEFAULT_OUTPUT_LATENCY = 0.08; // s, when the browser reports nothing and nothing was calibrated
+export const MAX_OUTPUT_LATENCY = 1; // s, anything larger is a broken measurement
+export const MAX_LATENCY_ADJUSTMENT = 0.5; // s, either direction
+const MAX_LATENCY_PROFILES = parseInt(process.env.MAX_LATENCY_PROFILES, 10) || 5000;
+const SAVE_DELAY_MS = 2000;
+
+// SESSION_STORE=memory keeps profiles in memory as well
+const filePath = (process.env.SESSION_STORE || 'file').toLowerCase() === 'memory'
+  ? null
+  : process.env.LATENCY_PROFILES_PATH || path.join(process.cwd(), 'data', 'latencyProfiles.json');
+
+const profiles = new Map(); // Map<`${clientId}|${deviceKey}`, profile>
+let saveTimer = null;
+
+function profileKey(clientId, deviceKey) {
+  return `${clientId}|${deviceKey}`;
+}
+
+function validLatency(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_OUTPUT_LATENCY ? value : null;
+}
+
+/**
+ * Seconds of output latency the client should compensate for.
+ */
+export function getCompensation(profile) {
+  if (!profile) return DEFAULT_OUTPUT_LATENCY;
+  const base = profile.calibratedLatency ?? profile.reportedLatency ?? DEFAULT_OUTPUT_LATENCY;
+  return Math.max(0, base + (profile.adjustment || 0));
+}
+
+// What clients and DeviceList get to see
+export function describeProfile(profile) {
+  if (!profile) return null;
+  return {
+    deviceKey: profile.deviceKey,
+    deviceLabel: profile.deviceLabel,
+    reportedLatency: profile.reportedLatency,
+    calibratedLatency: profile.calibratedLatency,
+    adjustment: profile.adjustment,
+    compensation: getCompensation(profile),
+    updatedAt: profile.updatedAt,
+  };
+}
+
+export function getLatencyProfile(clientId, deviceKey) {
+  return profiles.get(profileKey(clientId, deviceKey)) || null;
+}
+
+function upsertProfile(clientId, deviceKey) {
+  const key = profileKey(clientId, deviceKey);
+  let profile = profiles.get(key);
+  if (!profile) {
+    profile = { clientId, deviceKey, deviceLabel: '', reportedLatency: null, calibratedLatency: null, adjustment: 0, updatedAt: 0 };
+    profiles.set(key, profile);
+    evictOldProfiles();
+  }
+  return profile;
+}
+
+function evictOldProfiles() {
+  if (profiles.size <= MAX_LATENCY_PROFILES) return;
+  const oldest = Array.from(profiles.entries()).sort((a, b) => a[1].updatedAt - b[1].updatedAt);
+  for (const [key] of oldest.slice(0, profiles.size - MAX_LATENCY_PROFILES)) profiles.delete(key);
+}
+
+/**
+ * A client reports its current output device and what it knows about its latency.
+ * Only the fields present are updated; clearCalibration drops a stored calibration.
+ * Also records the device on the client's session entry, so clients_update carries it.
+ * Returns the described profile.
+ */
+export function reportLatencyProfile(sessionId, socketId, clientId, { deviceKey, deviceLabel, reportedLatency, calibratedLatency, clearCalibration }) {
+  const profile = upsertProfile(clientId, deviceKey);
+  if (typeof deviceLabel === 'string' && deviceLabel) profile.deviceLabel = deviceLabel;
+  if (reportedLatency !== undefined) profile.reportedLatency = validLatency(reportedLatency);
+  if (calibratedLatency !== undefined) profile.calibratedLatency = validLatency(calibratedLatency);
+  if (clearCalibration) profile.calibratedLatency = null;
+  profile.updatedAt = Date.now();
+  const session = getSession(sessionId);
+  const info = session && session.clients.get(socketId);
+  if (info) info.latency = describeProfile(profile);
+  scheduleSave();
+  return describeProfile(profile);
+}
+
+/**
+ * Set the adjustment on the device a session member is currently using.
+ * Returns { socketId, profile } for the member, or null if they haven't reported a device yet.
+ */
+export function setLatencyAdjustment(sessionId, clientId, adjustment) {
+  const session = getSession(sessionId);
+  if (!session) return null;
+  for (const [socketId, info] of session.clients.entries()) {
+    if (info.clientId !== clientId || !info.latency) continue;
+    const profile = upsertProfile(clientId, info.latency.deviceKey);
+    profile.adjustment = Math.max(-MAX_LATENCY_ADJUSTMENT, Math.min(MAX_LATENCY_ADJUSTMENT, adjustment));
+    profile.updatedAt = Date.now();
+    // Every socket of this client on this device gets the new numbers
+    for (const other of session.clients.values()) {
+      if (other.clientId === clientId && other.latency && other.latency.deviceKey === profile.deviceKey) {
+        other.latency = describeProfile(profile);
+      }
+    }
+    scheduleSave();
+    return { socketId, profile: describeProfile(profile) };
+  }
+  return null;
+}
+
+/**
+ * Fold an acoustic calibration result into the device a socket is using: the speaker sounded `offset` seconds
+ * later than the room's median, so its compensation grows by that much. The result becomes the calibrated
+ * latency and replaces any manual adjustment, which it measured along with everything else.
+ * Returns the described profile, or null if the socket hasn't reported a device.
+ */
+export function applyAcousticOffset(sessionId, socketId, offset) {
+  const session = getSession(sessionId);
+  const info = session && session.clients.get(socketId);
+  if (!info || !info.clientId || !info.latency) return null;
+  const profile = upsertProfile(info.clientId, info.latency.deviceKey);
+  profile.calibratedLatency = Math.max(0, Math.min(MAX_OUTPUT_LATENCY, getCompensation(profile) + offset));
+  profile.adjustment = 0;
+  profile.updatedAt = Date.now();
+  for (const other of session.clients.values()) {
+    if (other.clientId === info.clientId && other.latency && other.latency.deviceKey === profile.deviceKey) {
+      other.latency = describeProfile(profile);
+    }
+  }
+  scheduleSave();
+  return describeProfile(profile);
+}
+
+function scheduleSave() {
+  if (!filePath || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    flushLatencyProfiles();
+  }, SAVE_DELAY_MS);
+  if (typeof saveTimer.unref === 'function') saveTimer.unref();
+}
+
+export function flushLatencyProfiles() {
+  if (!filePath) return;
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ profiles: Array.from(profiles.values()) }));
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.error(`[LatencyProfiles] Failed to write ${filePath}:`, err);
+  }
+}
+
+export function loadLatencyProfiles() {
+  if (!filePath || !fs.existsSync(filePath)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const profile of data.profiles || []) {
+      if (profile && profile.clientId && profile.deviceKey) profiles.set(profileKey(profile.clientId, profile.deviceKey), profile);
+    }
+    log(`[LatencyProfiles] Restored ${profiles.size} profile(s) from ${filePath}`);
+  } catch (err) {
+    console.error(`[LatencyProfiles] Failed to load ${filePath}, starting empty:`, err);
+  }
+}
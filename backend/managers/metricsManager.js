@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import client from 'prom-client';
+import { getAllSessions } from './sessionManager.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Prometheus metrics for /metrics. Everything lives on one registry so the route can serialize it in one go.
+// Per-session series are labelled with an ordinal ("session-17"), never the sessionId: a room ID on /metrics would
+// let whoever scrapes it join the room. At most METRICS_MAX_SESSIONS sessions have their own series at a time, the
+// rest share session="other"; a session's series are dropped again when it is deleted.
+
+const register = new client.Registry();
+
+// Process metrics, including nodejs_eventloop_lag_seconds and its percentiles
+client.collectDefaultMetrics({ register });
+
+const uploadsDir = path.join(process.cwd(), 'uploads');
+
+let socketServer = null;
+
+const MAX_LABELLED_SESSIONS = parseInt(process.env.METRICS_MAX_SESSIONS, 10) || 50;
+const sessionLabels = new Map(); // sessionId -> label
+let nextSessionOrdinal = 1;
+
+// Drift is reported in seconds; most healthy clients should sit well under 50 ms
+const DRIFT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2, 5];
+
+new client.Gauge({
+  name: 'resync_active_sessions',
+  help: 'Number of sessions currently held by the server',
+  registers: [register],
+  collect() {
+    this.set(Object.keys(getAllSessions()).length);
+  }
+});
+
+new client.Gauge({
+  name: 'resync_connected_sockets',
+  help: 'Number of connected socket.io clients',
+  registers: [register],
+  collect() {
+    this.set(socketServer ? socketServer.of('/').sockets.size : 0);
+  }
+});
+
+new client.Gauge({
+  name: 'resync_upload_bytes',
+  help: 'Total size of files in the uploads directory (samples included)',
+  registers: [register],
+  async collect() {
+    this.set(await directorySize(uploadsDir));
+  }
+});
+
+const socketEvents = new client.Counter({
+  name: 'resync_socket_events_total',
+  help: 'Socket events received, by event name',
+  labelNames: ['event'],
+  registers: [register]
+});
+
+const rejectedSocketEvents = new client.Counter({
+  name: 'resync_socket_events_rejected_total',
+  help: 'Socket events rejected by the socket guard, by event name and error code',
+  labelNames: ['event', 'code'],
+  registers: [register]
+});
+
+const driftHistogram = new client.Histogram({
+  name: 'resync_client_drift_seconds',
+  help: 'Absolute playback drift from drift_report, per session',
+  labelNames: ['session'],
+  buckets: DRIFT_BUCKETS,
+  registers: [register]
+});
+
+const resyncImprovementHistogram = new client.Histogram({
+  name: 'resync_manual_resync_improvement_seconds',
+  help: 'Drift removed by a manual resync (beforeDrift - afterDrift), per session',
+  labelNames: ['session'],
+  buckets: DRIFT_BUCKETS,
+  registers: [register]
+});
+
+const resyncDurationHistogram = new client.Histogram({
+  name: 'resync_manual_resync_duration_seconds',
+  help: 'How long manual resyncs took on the client, per session',
+  labelNames: ['session'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5],
+  registers: [register]
+});
+
+const perSessionMetrics = [driftHistogram, resyncImprovementHistogram, resyncDurationHistogram];
+
+async function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else if (entry.isFile()) {
+      try {
+        total += (await fs.promises.stat(entryPath)).size;
+      } catch {
+        // File was removed between readdir and stat
+      }
+    }
+  }
+  return total;
+}
+
+export function trackSocketServer(io) {
+  socketServer = io;
+}
+
+export function recordSocketEvent(event) {
+  socketEvents.inc({ event });
+}
+
+export function recordRejectedEvent(event, code) {
+  rejectedSocketEvents.inc({ event, code });
+}
+
+// The session's label, assigned on its first report
+function sessionLabel(sessionId) {
+  let label = sessionLabels.get(sessionId);
+  if (!label) {
+    if (sessionLabels.size >= MAX_LABELLED_SESSIONS) return 'other';
+    label = `session-${nextSessionOrdinal++}`;
+    sessionLabels.set(sessionId, label);
+  }
+  return label;
+}
+
+/**
+ * Feed a drift_report into the per-session histograms.
+ * - drift is observed as an absolute value.
+ * - Manual resyncs also record improvement and resyncDuration (milliseconds on the wire).
+ */
+export function recordDriftReport(sessionId, { drift, manual, improvement, resyncDuration }) {
+  const labels = { session: sessionLabel(sessionId) };
+  driftHistogram.observe(labels, Math.abs(drift));
+  if (!manual) return;
+  if (typeof improvement === 'number') resyncImprovementHistogram.observe(labels, improvement);
+  if (typeof resyncDuration === 'number' && resyncDuration >= 0) resyncDurationHistogram.observe(labels, resyncDuration / 1000);
+}
+
+// Drop a deleted session's series so label cardinality doesn't grow forever
+export function removeSessionMetrics(sessionId) {
+  const label = sessionLabels.get(sessionId);
+  if (!label) return;
+  perSessionMetrics.forEach(metric => metric.remove({ session: label }));
+  sessionLabels.delete(sessionId);
+}
+
+export function getMetricsContentType() {
+  return register.contentType;
+}
+
+export function getMetrics() {
+  return register.metrics();
+}
@@ -0,0 +1,103 @@
+import { getSession } from './sessionManager.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Peer time-sync topology.
+// Instead of every client opening a connection to every other client, the best-connected members
+// (lowest RTT + jitter to the server, as reported in time_sync) are elected as reference peers.
+// Everyone else syncs against a few references; references also sync with each other.
+// Links are symmetric, because both ends need the other in their list for the WebRTC handshake.
+
+// How many peers a regular client syncs against
+export const PEERS_PER_CLIENT = parseInt(process.env.PEERS_PER_CLIENT, 10) || 3;
+// Most clients a single reference peer should serve; more references are elected as the room grows
+export const MAX_REFERENCE_LOAD = parseInt(process.env.MAX_REFERENCE_LOAD, 10) || 16;
+// Stats older than this are treated as unknown (the client stopped syncing or went to the background)
+const SYNC_STATS_MAX_AGE_MS = 60 * 1000;
+
+/**
+ * Store the RTT/jitter a client measured against the server (milliseconds).
+ */
+export function recordClientSyncStats(sessionId, socketId, { rtt, jitter }) {
+  const session = getSession(sessionId);
+  const info = session && session.clients.get(socketId);
+  if (!info || typeof rtt !== 'number') return;
+  info.syncStats = { rtt, jitter: typeof jitter === 'number' ? jitter : 0, updatedAt: Date.now() };
+}
+
+function syncScore(info, now) {
+  const stats = info.syncStats;
+  if (!stats || now - stats.updatedAt > SYNC_STATS_MAX_AGE_MS) return Infinity;
+  return stats.rtt + 2 * stats.jitter;
+}
+
+// One entry per clientId (a client with two tabs counts once), best connected first
+function rankMembers(session, now) {
+  const byClientId = new Map();
+  for (const info of session.clients.values()) {
+    if (!info.clientId) continue;
+    const existing = byClientId.get(info.clientId);
+    if (!existing || syncScore(info, now) < syncScore(existing, now)) byClientId.set(info.clientId, info);
+  }
+  return Array.from(byClientId.values())
+    .sort((a, b) =>
+      syncScore(a, now) - syncScore(b, now) ||
+      (a.joinedAt || 0) - (b.joinedAt || 0) ||
+      a.clientId.localeCompare(b.clientId)
+    )
+    .map(info => info.clientId);
+}
+
+/**
+ * Work out the peer topology for a session.
+ * - Small rooms (PEERS_PER_CLIENT + 1 members or fewer) are a full mesh.
+ * - Otherwise enough references are elected that none serves more than MAX_REFERENCE_LOAD clients,
+ *   each other client is linked to the PEERS_PER_CLIENT least-loaded references,
+ *   and the references are linked to each other.
+ * Returns { referencePeers, assignments } where assignments maps clientId -> peer clientIds.
+ */
+export function buildPeerAssignments(session, now = Date.now()) {
+  const ranked = rankMembers(session, now);
+  const links = new Map(ranked.map(clientId => [clientId, new Set()]));
+  const link = (a, b) => {
+    links.get(a).add(b);
+    links.get(b).add(a);
+  };
+
+  let referencePeers;
+  if (ranked.length <= PEERS_PER_CLIENT + 1) {
+    referencePeers = ranked.slice();
+    ranked.forEach((a, i) => ranked.slice(i + 1).forEach(b => link(a, b)));
+  } else {
+    const referenceCount = Math.min(
+      ranked.length,
+      Math.max(PEERS_PER_CLIENT, Math.ceil((ranked.length * PEERS_PER_CLIENT) / MAX_REFERENCE_LOAD))
+    );
+    referencePeers = ranked.slice(0, referenceCount);
+    if (referenceCount <= PEERS_PER_CLIENT + 1) {
+      referencePeers.forEach((a, i) => referencePeers.slice(i + 1).forEach(b => link(a, b)));
+    } else {
+      // Too many references for a mesh: link each to its neighbours in rank order
+      referencePeers.forEach((a, i) => link(a, referencePeers[(i + 1) % referenceCount]));
+    }
+    const load = new Map(referencePeers.map(clientId => [clientId, 0]));
+    for (const clientId of ranked.slice(referenceCount)) {
+      const chosen = referencePeers
+        .map((ref, rank) => ({ ref, rank }))
+        .sort((a, b) => load.get(a.ref) - load.get(b.ref) || a.rank - b.rank)
+        .slice(0, PEERS_PER_CLIENT);
+      chosen.forEach(({ ref }) => {
+        link(clientId, ref);
+        load.set(ref, load.get(ref) + 1);
+      });
+    }
+  }
+
+  // Best-connected peers first, so clients that can only use a few take the best ones
+  const rank = new Map(ranked.map((clientId, i) => [clientId, i]));
+  const assignments = new Map();
+  for (const [clientId, peers] of links.entries()) {
+    assignments.set(clientId, Array.from(peers).sort((a, b) => rank.get(a) - rank.get(b)));
+  }
+  return { referencePeers, assignments };
+}
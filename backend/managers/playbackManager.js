@@ -0,0 +1,174 @@
+import path from 'path';
+import * as mm from 'music-metadata';
+import { getSession } from './sessionManager.js';
+import { serverNow } from '../utils/clock.js';
+
+// Repeat modes stored on session.repeatMode:
+// 'off' - play through the queue once and stop at the end of the last track
+// 'one' - restart the current track when it ends
+// 'all' - wrap around to the first track after the last one
+export const REPEAT_MODES = ['off', 'one', 'all'];
+export const DEFAULT_REPEAT_MODE = 'off';
+
+// Pending track-end timers per session. Kept out of the session object so it stays serializable.
+const trackEndTimers = {};
+
+// Helper: current playback position (seconds) extrapolated from the last update
+export function getPlaybackPosition(session, now = serverNow()) {
+  const timestamp = typeof session.timestamp === 'number' ? session.timestamp : 0;
+  if (!session.isPlaying || typeof session.lastUpdated !== 'number') return timestamp;
+  return timestamp + Math.max(0, now - session.lastUpdated) / 1000;
+}
+
+export function getCurrentTrack(session) {
+  const queue = Array.isArray(session.queue) ? session.queue : [];
+  const idx = Number.isInteger(session.selectedTrackIdx) ? session.selectedTrackIdx : 0;
+  return queue[idx] || null;
+}
+
+export function getTrackDuration(track) {
+  return track && typeof track.duration === 'number' && isFinite(track.duration) && track.duration > 0
+    ? track.duration
+    : null;
+}
+
+export function getRepeatMode(session) {
+  return REPEAT_MODES.includes(session.repeatMode) ? session.repeatMode : DEFAULT_REPEAT_MODE;
+}
+
+// Fisher-Yates shuffle of queue entry ids. The current entry (if any) is put first,
+// so turning shuffle on never jumps away from what's playing.
+export function buildShuffleOrder(queue, currentId = null) {
+  const ids = queue.filter(t => t && t.id && t.id !== currentId).map(t => t.id);
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+  const current = currentId && queue.some(t => t && t.id === currentId) ? [currentId] : [];
+  return [...current, ...ids];
+}
+
+/**
+ * Bring session.shuffleOrder in line with the queue after entries were added or removed.
+ * - Drops ids that are no longer queued.
+ * - Inserts new entries at a random position after the current track, so they're still ahead of us.
+ * No-op while shuffle is off.
+ */
+export function syncShuffleOrder(session) {
+  if (!session.shuffle) return;
+  const queue = Array.isArray(session.queue) ? session.queue : [];
+  const queuedIds = new Set(queue.filter(t => t && t.id).map(t => t.id));
+  const order = (Array.isArray(session.shuffleOrder) ? session.shuffleOrder : []).filter(id => queuedIds.has(id));
+  const known = new Set(order);
+  const currentId = getCurrentTrack(session)?.id;
+  for (const id of queuedIds) {
+    if (known.has(id)) continue;
+    const minPos = order.indexOf(currentId) + 1;
+    const pos = minPos + Math.floor(Math.random() * (order.length - minPos + 1));
+    order.splice(pos, 0, id);
+  }
+  session.shuffleOrder = order;
+}
+
+/**
+ * The order tracks are played in, as queue indices: the shuffled order while shuffle is on,
+ * otherwise simply the queue order.
+ */
+export function getPlayOrder(session) {
+  const queue = Array.isArray(session.queue) ? session.queue : [];
+  if (!session.shuffle || !Array.isArray(session.shuffleOrder)) return queue.map((_, i) => i);
+  const indexById = new Map(queue.map((t, i) => [t && t.id, i]));
+  const order = session.shuffleOrder.filter(id => indexById.has(id)).map(id => indexById.get(id));
+  // Anything missing from the order (shouldn't happen, but never lose a track) plays last
+  const seen = new Set(order);
+  queue.forEach((_, i) => { if (!seen.has(i)) order.push(i); });
+  return order;
+}
+
+/**
+ * Decide what happens when the current track ends, based on session.repeatMode and session.shuffle.
+ * Returns { idx } for the track to play next, or null if playback should stop.
+ */
+export function getNextAutoAdvanceIdx(session) {
+  const queue = Array.isArray(session.queue) ? session.queue : [];
+  if (queue.length === 0) return null;
+  const idx = Number.isInteger(session.selectedTrackIdx) ? session.selectedTrackIdx : 0;
+  const repeatMode = getRepeatMode(session);
+  if (repeatMode === 'one') return { idx };
+  const order = getPlayOrder(session);
+  const pos = order.indexOf(idx);
+  if (pos + 1 < order.length) return { idx: order[pos + 1] };
+  if (repeatMode === 'all') return { idx: order[0] };
+  return null;
+}
+
+export function cancelTrackEnd(sessionId) {
+  if (trackEndTimers[sessionId]) {
+    clearTimeout(trackEndTimers[sessionId]);
+    delete trackEndTimers[sessionId];
+  }
+}
+
+/**
+ * (Re)schedule the server-side track-end timer for a session.
+ * Must be called after every playback mutation (play, pause, seek, track change, queue edits).
+ * Does nothing while paused or when the current track's duration is unknown.
+ */
+export function scheduleTrackEnd(sessionId, onTrackEnd) {
+  cancelTrackEnd(sessionId);
+  const session = getSession(sessionId);
+  if (!session || !session.isPlaying) return;
+  const duration = getTrackDuration(getCurrentTrack(session));
+  if (!duration) return;
+  // A scheduled start hasn't begun yet (lastUpdated is in the future), so add the wait until it does
+  const notStartedMs = Math.max(0, session.lastUpdated - serverNow());
+  const remainingMs = Math.max(0, (duration - getPlaybackPosition(session)) * 1000) + notStartedMs;
+  trackEndTimers[sessionId] = setTimeout(() => {
+    delete trackEndTimers[sessionId];
+    onTrackEnd(sessionId);
+  }, remainingMs);
+}
+
+// Helper: map a queue URL to a file under uploads/, or null for remote URLs
+export function getUploadPathFromUrl(url) {
+  if (typeof url !== 'string') return null;
+  let pathname = url;
+  try {
+    pathname = new URL(url, 'http://localhost').pathname;
+  } catch (e) {
+    // Not a valid URL, use as-is
+  }
+  const uploadsPrefix = '/audio/uploads/';
+  if (!pathname.startsWith(uploadsPrefix)) return null;
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(pathname.substring(uploadsPrefix.length));
+  } catch (e) {
+    return null; // Malformed percent-encoding
+  }
+  const uploadsDir = path.join(process.cwd(), 'uploads');
+  const filePath = path.join(uploadsDir, relativePath);
+  // Never resolve outside the uploads directory
+  return filePath.startsWith(uploadsDir + path.sep) ? filePath : null;
+}
+
+/**
+ * Fill in track.duration from the file on disk when the client didn't supply one.
+ * Resolves to the duration in seconds, or null if it can't be determined (e.g. remote URLs).
+ */
+export async function ensureTrackDuration(track) {
+  const known = getTrackDuration(track);
+  if (known) return known;
+  const filePath = getUploadPathFromUrl(track && track.url);
+  if (!filePath) return null;
+  try {
+    const metadata = await mm.parseFile(filePath, { duration: true });
+    if (metadata.format.duration) {
+      track.duration = metadata.format.duration;
+      return track.duration;
+    }
+  } catch (e) {
+    // Unreadable file: no server-side auto-advance for this track
+  }
+  return null;
+}
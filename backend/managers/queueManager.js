@@ -1,4 +1,13 @@
+import { v4 as uuidv4 } from 'uuid';
 import { getSession } from './sessionManager.js';
+import { getUploadPathFromUrl } from './playbackManager.js';
+
+// Every edit below bumps the session's queueVersion. queue_patch events carry the version their edit produced,
+// so a client that holds version n applies patch n + 1 and asks for a snapshot (queue_update) if it sees a gap.
+function bumpQueueVersion(session) {
+  session.queueVersion = (session.queueVersion || 0) + 1;
+  return session.queueVersion;
+}
 
 // Helper to sanitize track titles
 function safeTitle(title) {
@@ -7,31 +16,125 @@ function safeTitle(title) {
   return title.replace(/<[^>]*>/g, '').slice(0, 128);
 }
 
-export function addToQueue(sessionId, url, title, meta = {}) {
+// Build a queue entry. id/addedBy/addedAt are server-owned and always override client-supplied meta,
+// so the same url can be queued more than once and every entry is still uniquely addressable.
+function createQueueEntry(url, title, meta = {}, addedBy = null) {
+  return {
+    ...meta,
+    url,
+    title: safeTitle(title || url),
+    id: uuidv4(),
+    addedBy: addedBy || null,
+    addedAt: Date.now()
+  };
+}
+
+// Returns the new entry, or null if the session doesn't exist
+export function addToQueue(sessionId, url, title, meta = {}, addedBy = null) {
   const session = getSession(sessionId);
-  if (!session) return false;
-  session.queue.push({ url, title: safeTitle(title || url), ...meta });
-  return true;
+  if (!session) return null;
+  const entry = createQueueEntry(url, title, meta, addedBy);
+  session.queue.push(entry);
+  bumpQueueVersion(session);
+  return entry;
+}
+
+// Backfill ids for entries created before every entry had one (e.g. restored from an older snapshot)
+export function ensureQueueEntryIds(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || !Array.isArray(session.queue)) return;
+  let changed = false;
+  for (const entry of session.queue) {
+    if (entry && !entry.id) {
+      entry.id = uuidv4();
+      if (!('addedBy' in entry)) entry.addedBy = null;
+      if (!('addedAt' in entry)) entry.addedAt = Date.now();
+      changed = true;
+    }
+  }
+  if (changed) bumpQueueVersion(session);
+}
+
+// Album art of a file we serve, by path: /audio/art redirects to the track index's scaled artwork
+function getAlbumArtUrl(url) {
+  if (!getUploadPathFromUrl(url)) return null;
+  const pathname = new URL(url, 'http://localhost').pathname;
+  return pathname.replace(/^\/audio\/uploads\//, '/audio/art/uploads/');
+}
+
+// Entries from older snapshots carry their album art inline as a data: URL; point them at /audio/art instead
+export function replaceInlineAlbumArt(sessionId) {
+  const session = getSession(sessionId);
+  if (!session || !Array.isArray(session.queue)) return;
+  let changed = false;
+  for (const entry of session.queue) {
+    if (entry && typeof entry.albumArt === 'string' && entry.albumArt.startsWith('data:')) {
+      entry.albumArt = getAlbumArtUrl(entry.url);
+      changed = true;
+    }
+  }
+  if (changed) bumpQueueVersion(session);
+}
+
+export function getQueueIndexById(sessionId, entryId) {
+  const session = getSession(sessionId);
+  if (!session || !entryId) return -1;
+  return session.queue.findIndex(t => t && t.id === entryId);
 }
 
 export function removeFromQueue(sessionId, index) {
   const session = getSession(sessionId);
   if (!session || index < 0 || index >= session.queue.length) return false;
   session.queue.splice(index, 1);
+  bumpQueueVersion(session);
   return true;
 }
 
-export function removeFromQueueById(sessionId, trackId) {
+export function removeFromQueueById(sessionId, entryId) {
   const session = getSession(sessionId);
-  if (!session || !trackId) return false;
-  const idx = session.queue.findIndex(
-    t => t && (t.url === trackId || t.id === trackId || t.title === trackId)
-  );
+  if (!session || !entryId) return false;
+  const idx = getQueueIndexById(sessionId, entryId);
   if (idx === -1) return false;
   session.queue.splice(idx, 1);
+  bumpQueueVersion(session);
+  return true;
+}
+
+// Move a queue entry from one index to another, keeping selectedTrackIdx on the same track
+export function moveInQueue(sessionId, fromIndex, toIndex) {
+  const session = getSession(sessionId);
+  if (!session) return false;
+  const length = session.queue.length;
+  if (fromIndex < 0 || fromIndex >= length || toIndex < 0 || toIndex >= length) return false;
+  if (fromIndex === toIndex) return true;
+  const [moved] = session.queue.splice(fromIndex, 1);
+  session.queue.splice(toIndex, 0, moved);
+  const selected = session.selectedTrackIdx;
+  if (typeof selected === 'number') {
+    if (selected === fromIndex) {
+      session.selectedTrackIdx = toIndex;
+    } else if (fromIndex < selected && toIndex >= selected) {
+      session.selectedTrackIdx = selected - 1;
+    } else if (fromIndex > selected && toIndex <= selected) {
+      session.selectedTrackIdx = selected + 1;
+    }
+  }
+  bumpQueueVersion(session);
   return true;
 }
 
+// Merge metadata into an entry; id, url and the added* fields are fixed. Returns the entry, or null if it's gone.
+export function updateQueueEntry(sessionId, entryId, changes) {
+  const session = getSession(sessionId);
+  if (!session || !entryId) return null;
+  const entry = session.queue.find(t => t && t.id === entryId);
+  if (!entry) return null;
+  const { id, url, addedBy, addedAt, ...rest } = changes || {};
+  Object.assign(entry, rest);
+  bumpQueueVersion(session);
+  return entry;
+}
+
 export function getQueue(sessionId) {
   const session = getSession(sessionId);
   return session ? session.queue : [];
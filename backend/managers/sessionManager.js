@@ -1,94 +1,148 @@
-const sessions = {};
+import { sessionStore } from '../stores/index.js';
+import { serverNow } from '../utils/clock.js';
 
 export function getSession(sessionId) {
-  return sessions[sessionId];
+  return sessionStore.getSession(sessionId);
 }
 
 export function createSession(sessionId, controllerId, controllerClientId) {
-  sessions[sessionId] = {
+  return sessionStore.setSession(sessionId, {
     isPlaying: false,
     timestamp: 0,
-    lastUpdated: Date.now(),
+    lastUpdated: serverNow(),
+    lastActivity: serverNow(), // last join or leave; the session timeout in socket.js runs from here, not lastUpdated
+    stateVersion: 0, // bumped on every playback change, see bumpStateVersion
     controllerId,
     controllerClientId,
-    clients: new Map(), // Map<socketId, {displayName, deviceInfo, clientId}>
+    coHostClientId: null, // takes over first if the controller doesn't come back, see controllerManager
+    controllerGrace: null, // { clientId, expiresAt } while a disconnected controller may still reclaim control
+    clients: new Map(), // Map<socketId, {displayName, deviceInfo, clientId, joinedAt}>
+    socketsByClientId: new Map(), // Map<clientId, socketId>, kept in step with clients by addClient/removeClient
     queue: [],
+    queueVersion: 0, // bumped on every queue edit, see queueManager
     selectedTrackIdx: 0,
+    repeatMode: 'off', // 'off' (stop at end of queue) | 'one' | 'all', see playbackManager
+    shuffle: false,
+    shuffleOrder: [], // queue entry ids in shuffled play order, only used while shuffle is on
     pendingControllerRequests: new Map() // Map<clientId, {requestTime, requesterName}>
-  };
-  return sessions[sessionId];
+  });
 }
 
 export function deleteSession(sessionId) {
-  delete sessions[sessionId];
+  sessionStore.deleteSession(sessionId);
 }
 
 export function addClient(sessionId, socketId, displayName, deviceInfo, clientId) {
-  if (!sessions[sessionId]) return;
-  sessions[sessionId].clients.set(socketId, {
+  const session = getSession(sessionId);
+  if (!session) return;
+  session.clients.set(socketId, {
     displayName: displayName || `User-${socketId.slice(-4)}`,
     deviceInfo: deviceInfo || '',
-    clientId: clientId || null
+    clientId: clientId || null,
+    joinedAt: Date.now()
   });
+  session.lastActivity = serverNow();
+  // The newest socket wins if the same client is connected twice (e.g. two tabs)
+  if (clientId) clientRegistry(session).set(clientId, socketId);
 }
 
 export function removeClient(sessionId, socketId) {
-  if (!sessions[sessionId]) return;
-  sessions[sessionId].clients.delete(socketId);
+  const session = getSession(sessionId);
+  if (!session) return;
+  const info = session.clients.get(socketId);
+  session.clients.delete(socketId);
+  session.lastActivity = serverNow();
+  const registry = clientRegistry(session);
+  if (info && info.clientId && registry.get(info.clientId) === socketId) {
+    registry.delete(info.clientId);
+    // Fall back to another socket of the same client, if there is one
+    for (const [otherSocketId, otherInfo] of session.clients.entries()) {
+      if (otherInfo.clientId === info.clientId) registry.set(info.clientId, otherSocketId);
+    }
+  }
+}
+
+// Sessions restored from older snapshots may predate the registry
+function clientRegistry(session) {
+  if (!(session.socketsByClientId instanceof Map)) session.socketsByClientId = new Map();
+  return session.socketsByClientId;
 }
 
 export function setController(sessionId, clientId) {
-  if (!sessions[sessionId]) return;
-  sessions[sessionId].controllerClientId = clientId;
+  const session = getSession(sessionId);
+  if (!session) return;
+  session.controllerClientId = clientId;
+  // A co-host who becomes controller no longer needs to be next in line
+  if (session.coHostClientId === clientId) session.coHostClientId = null;
   // Find the socketId for this clientId
   const socketId = getSocketIdByClientId(sessionId, clientId);
-  sessions[sessionId].controllerId = socketId;
-  sessions[sessionId].lastUpdated = Date.now();
+  session.controllerId = socketId;
+  // Refresh lastUpdated without moving the playhead: carry the position forward to now, as play/pause/seek do.
+  // A scheduled start (lastUpdated still in the future) is left as it is.
+  const now = serverNow();
+  if (typeof session.lastUpdated === 'number' && session.lastUpdated > now) return;
+  if (session.isPlaying && typeof session.lastUpdated === 'number') {
+    session.timestamp = (typeof session.timestamp === 'number' ? session.timestamp : 0) + (now - session.lastUpdated) / 1000;
+  }
+  session.lastUpdated = now;
+  bumpStateVersion(session);
 }
 
 export function getAllSessions() {
-  return sessions;
+  return sessionStore.getAllSessions();
 }
 
 export function getClients(sessionId) {
-  if (!sessions[sessionId]) return [];
-  return Array.from(sessions[sessionId].clients.entries()).map(([id, info]) => ({ id, ...info }));
+  const session = getSession(sessionId);
+  if (!session) return [];
+  return Array.from(session.clients.entries()).map(([id, info]) => ({ id, ...info }));
+}
+
+/**
+ * Playback state version: increases with every change to isPlaying/timestamp/lastUpdated, never goes back
+ * (it is persisted with the session). Periodic sync_state repeats carry the version of the state they repeat.
+ */
+export function bumpStateVersion(session) {
+  session.stateVersion = (session.stateVersion || 0) + 1;
+  return session.stateVersion;
 }
 
 export function updatePlayback(sessionId, { isPlaying, timestamp, controllerId }) {
-  if (!sessions[sessionId]) return;
-  sessions[sessionId].isPlaying = isPlaying;
-  sessions[sessionId].timestamp = timestamp;
-  sessions[sessionId].lastUpdated = Date.now();
-  sessions[sessionId].controllerId = controllerId;
+  const session = getSession(sessionId);
+  if (!session) return;
+  session.isPlaying = isPlaying;
+  session.timestamp = timestamp;
+  session.lastUpdated = serverNow();
+  session.controllerId = controllerId;
+  bumpStateVersion(session);
 }
 
 export function updateTimestamp(sessionId, timestamp, controllerId) {
-  if (!sessions[sessionId]) return;
-  sessions[sessionId].timestamp = timestamp;
-  sessions[sessionId].lastUpdated = Date.now();
-  sessions[sessionId].controllerId = controllerId;
+  const session = getSession(sessionId);
+  if (!session) return;
+  session.timestamp = timestamp;
+  session.lastUpdated = serverNow();
+  session.controllerId = controllerId;
+  bumpStateVersion(session);
 }
 
 export function getClientIdBySocket(sessionId, socketId) {
-  const session = sessions[sessionId];
+  const session = getSession(sessionId);
   if (!session) return null;
   const client = session.clients.get(socketId);
   return client ? client.clientId : null;
 }
 
 export function getSocketIdByClientId(sessionId, clientId) {
-  const session = sessions[sessionId];
-  if (!session) return null;
-  for (const [socketId, info] of session.clients.entries()) {
-    if (info.clientId === clientId) return socketId;
-  }
-  return null;
+  const session = getSession(sessionId);
+  if (!session || !clientId) return null;
+  return clientRegistry(session).get(clientId) || null;
 }
 
 export function addControllerRequest(sessionId, requesterClientId, requesterName) {
-  if (!sessions[sessionId]) return false;
-  sessions[sessionId].pendingControllerRequests.set(requesterClientId, {
+  const session = getSession(sessionId);
+  if (!session) return false;
+  session.pendingControllerRequests.set(requesterClientId, {
     requestTime: Date.now(),
     requesterName: requesterName || `User-${requesterClientId.slice(-4)}`
   });
@@ -96,32 +150,36 @@ export function addControllerRequest(sessionId, requesterClientId, requesterName
 }
 
 export function removeControllerRequest(sessionId, requesterClientId) {
-  if (!sessions[sessionId]) return false;
-  return sessions[sessionId].pendingControllerRequests.delete(requesterClientId);
+  const session = getSession(sessionId);
+  if (!session) return false;
+  return session.pendingControllerRequests.delete(requesterClientId);
 }
 
 export function getPendingControllerRequests(sessionId) {
-  if (!sessions[sessionId]) return [];
-  return Array.from(sessions[sessionId].pendingControllerRequests.entries()).map(([clientId, request]) => ({
+  const session = getSession(sessionId);
+  if (!session) return [];
+  return Array.from(session.pendingControllerRequests.entries()).map(([clientId, request]) => ({
     clientId,
     ...request
   }));
 }
 
 export function clearExpiredControllerRequests(sessionId) {
-  if (!sessions[sessionId]) return;
+  const session = getSession(sessionId);
+  if (!session) return;
   const now = Date.now();
   const REQUEST_TIMEOUT = 5 * 60 * 1000; // 5 minutes
   
-  for (const [clientId, request] of sessions[sessionId].pendingControllerRequests.entries()) {
+  for (const [clientId, request] of session.pendingControllerRequests.entries()) {
     if (now - request.requestTime > REQUEST_TIMEOUT) {
-      sessions[sessionId].pendingControllerRequests.delete(clientId);
+      session.pendingControllerRequests.delete(clientId);
     }
   }
 }
 
 export function setSelectedTrackIdx(sessionId, idx) {
-  if (!sessions[sessionId]) return;
-  sessions[sessionId].selectedTrackIdx = idx;
-  sessions[sessionId].lastUpdated = Date.now();
+  const session = getSession(sessionId);
+  if (!session) return;
+  session.selectedTrackIdx = idx;
+  session.lastUpdated = serverNow();
 } 
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getSession } from './sessionManager.js';
+import { serverNow } from '../utils/clock.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Scheduled starts: play, seek and track_change (while playing) don't start playback "now".
+// The server picks an instant on its own clock far enough ahead that the member with the worst RTT
+// still hears about it in time, stores it as session.lastUpdated, and every client starts at that instant.
+// Clients acknowledge with schedule_ack; once the instant has passed the server reports how many made it.
+
+// Bounds for the lead between the command and the start instant
+export const START_LEAD_MIN_MS = parseInt(process.env.START_LEAD_MIN_MS, 10) || 150;
+export const START_LEAD_MAX_MS = parseInt(process.env.START_LEAD_MAX_MS, 10) || 2000;
+// Headroom on top of the worst RTT for scheduling and audio pipeline start-up on the client
+const START_LEAD_MARGIN_MS = 60;
+// A new track has to be fetched and decoded before it can start
+const TRACK_LOAD_LEAD_MS = 600;
+// Assumed RTT for members that haven't reported one yet (see time_sync)
+const UNKNOWN_RTT_MS = 250;
+const SYNC_STATS_MAX_AGE_MS = 60 * 1000;
+// Acks are collected for this long after the start instant, so late ones can be reported as late
+const ACK_REPORT_DELAY_MS = 1000;
+
+// Pending start per session. Kept out of the session object so it stays serializable.
+const pendingStarts = {};
+
+// Worst RTT (ms) among the session's members, from the stats they report in time_sync
+export function getWorstRtt(session, now = Date.now()) {
+  let worst = 0;
+  for (const info of session.clients.values()) {
+    const stats = info.syncStats;
+    const rtt = stats && now - stats.updatedAt <= SYNC_STATS_MAX_AGE_MS ? stats.rtt : UNKNOWN_RTT_MS;
+    worst = Math.max(worst, rtt);
+  }
+  return worst;
+}
+
+/**
+ * Schedule a start for the session and store its instant as session.lastUpdated.
+ * Replaces any start still pending. onReport(sessionId, report) runs ACK_REPORT_DELAY_MS after the start
+ * with { scheduleId, action, startAt, total, onTime, late, missing } (missing lists clientIds).
+ * Returns { scheduleId, startAt, leadMs }.
+ */
+export function scheduleStart(sessionId, action, onReport) {
+  const session = getSession(sessionId);
+  if (!session) return null;
+  cancelScheduledStart(sessionId);
+  const baseLead = getWorstRtt(session) + START_LEAD_MARGIN_MS + (action === 'track_change' ? TRACK_LOAD_LEAD_MS : 0);
+  const leadMs = Math.min(START_LEAD_MAX_MS, Math.max(START_LEAD_MIN_MS, baseLead));
+  const startAt = serverNow() + leadMs;
+  const scheduleId = uuidv4();
+  const expected = new Set(Array.from(session.clients.values()).map(info => info.clientId).filter(Boolean));
+  const pending = { scheduleId, action, startAt, expected, onTime: new Set(), late: new Set() };
+  pending.timer = setTimeout(() => {
+    delete pendingStarts[sessionId];
+    onReport(sessionId, {
+      scheduleId,
+      action,
+      startAt,
+      total: expected.size,
+      onTime: pending.onTime.size,
+      late: pending.late.size,
+      missing: Array.from(expected).filter(id => !pending.onTime.has(id) && !pending.late.has(id)),
+    });
+  }, leadMs + ACK_REPORT_DELAY_MS);
+  pendingStarts[sessionId] = pending;
+  session.lastUpdated = startAt;
+  return { scheduleId, startAt, leadMs };
+}
+
+/**
+ * Record a client's acknowledgement. Returns 'on_time', 'late', or null for an unknown/superseded schedule.
+ */
+export function acknowledgeStart(sessionId, scheduleId, clientId) {
+  const pending = pendingStarts[sessionId];
+  if (!pending || pending.scheduleId !== scheduleId || !clientId) return null;
+  pending.expected.add(clientId);
+  if (pending.onTime.has(clientId) || pending.late.has(clientId)) {
+    return pending.onTime.has(clientId) ? 'on_time' : 'late';
+  }
+  if (serverNow() <= pending.startAt) {
+    pending.onTime.add(clientId);
+    return 'on_time';
+  }
+  pending.late.add(clientId);
+  return 'late';
+}
+
+export function cancelScheduledStart(sessionId) {
+  const pending = pendingStarts[sessionId];
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  delete pendingStarts[sessionId];
+}
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import * as mm from 'music-metadata';
+import sharp from 'sharp';
+import { AUDIO_EXTENSIONS } from '../utils/audioFormat.js';
+import { log } from '../utils/utils.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Metadata index of the tracks we serve (uploads/ and uploads/samples/), so listing them doesn't parse every file
+// on every request. Built once at startup, reused across restarts from a cache file, and refreshed when the
+// directories change: a file whose size and mtime are unchanged keeps its entry, anything else is parsed again.
+// Embedded artwork is scaled to ARTWORK_SIZES when a track is indexed and served by content hash from /audio/artwork.
+
+export const ARTWORK_SIZES = { small: 64, medium: 256, large: 640 }; // px, square
+const REFRESH_DELAY_MS = 1000;
+
+const uploadsDir = path.join(process.cwd(), 'uploads');
+const samplesDir = path.join(uploadsDir, 'samples');
+// url prefix and type for each indexed directory
+const SOURCES = [
+  { dir: uploadsDir, type: 'user', urlPrefix: '/audio/uploads' },
+  { dir: samplesDir, type: 'sample', urlPrefix: '/audio/uploads/samples' },
+];
+
+// SESSION_STORE=memory keeps the index in memory as well; artwork is a cache of the files and always goes to disk
+const indexPath = (process.env.SESSION_STORE || 'file').toLowerCase() === 'memory'
+  ? null
+  : process.env.TRACK_INDEX_PATH || path.join(process.cwd(), 'data', 'trackIndex.json');
+const artworkDir = process.env.ARTWORK_CACHE_DIR || path.join(process.cwd(), 'data', 'artwork');
+
+sharp.cache(false);
+
+const tracks = new Map(); // Map<filePath, entry>
+let refreshing = null; // promise of the refresh in progress
+let queuedRefresh = null; // promise of the one that runs after it
+let refreshTimer = null;
+let ready = null;
+
+export function artworkPath(hash, size) {
+  return path.join(artworkDir, `${hash}-${size}.jpg`);
+}
+
+export function artworkUrl(hash, size = 'medium') {
+  return `/audio/artwork/${hash}/${size}`;
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function hasArtwork(hash) {
+  return Object.keys(ARTWORK_SIZES).every(size => fs.existsSync(artworkPath(hash, size)));
+}
+
+// Write every size of a picture. Returns false if the picture can't be decoded.
+async function writeArtwork(hash, picture) {
+  try {
+    fs.mkdirSync(artworkDir, { recursive: true });
+    for (const [size, px] of Object.entries(ARTWORK_SIZES)) {
+      await sharp(Buffer.from(picture.data))
+        .rotate()
+        .resize(px, px, { fit: 'cover', withoutEnlargement: true })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toFile(artworkPath(hash, size));
+    }
+    return true;
+  } catch (err) {
+    console.error(`[TrackIndex] Could not scale artwork for ${hash}:`, err.message);
+    return false;
+  }
+}
+
+async function indexFile(source, file, stat) {
+  const filePath = path.join(source.dir, file);
+  const hash = await hashFile(filePath);
+  const entry = {
+    file,
+    type: source.type,
+    url: `${source.urlPrefix}/${encodeURIComponent(file)}`,
+    title: file.replace(/\.[^.]+$/, ''),
+    artist: '',
+    album: '',
+    genre: '',
+    duration: 0,
+    bitrate: 0,
+    hash,
+    hasArt: false,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+  };
+  try {
+    const metadata = await mm.parseFile(filePath);
+    const { common, format } = metadata;
+    entry.title = common.title || entry.title;
+    entry.artist = common.artist || '';
+    entry.album = common.album || '';
+    entry.genre = Array.isArray(common.genre) ? common.genre.join(', ') : '';
+    entry.duration = format.duration || 0;
+    entry.bitrate = format.bitrate ? Math.round(format.bitrate) : 0;
+    const picture = common.picture && common.picture[0];
+    entry.hasArt = !!picture && (hasArtwork(hash) || await writeArtwork(hash, picture));
+  } catch (e) {
+    // Unreadable tags: keep the file listed under its name
+  }
+  return entry;
+}
+
+async function scan() {
+  const seen = new Set();
+  let changed = false;
+  for (const source of SOURCES) {
+    if (!fs.existsSync(source.dir)) continue;
+    for (const file of fs.readdirSync(source.dir)) {
+      if (!AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase())) continue;
+      const filePath = path.join(source.dir, file);
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (e) {
+        continue; // removed while scanning
+      }
+      if (!stat.isFile()) continue;
+      seen.add(filePath);
+      const known = tracks.get(filePath);
+      if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs && (!known.hasArt || hasArtwork(known.hash))) continue;
+      try {
+        tracks.set(filePath, await indexFile(source, file, stat));
+        changed = true;
+      } catch (err) {
+        // ENOENT: removed while being indexed, the next refresh drops it
+        if (err.code !== 'ENOENT') console.error(`[TrackIndex] Failed to index ${filePath}:`, err.message);
+      }
+    }
+  }
+  for (const filePath of tracks.keys()) {
+    if (!seen.has(filePath)) {
+      tracks.delete(filePath);
+      changed = true;
+    }
+  }
+  if (changed) {
+    pruneArtwork();
+    saveIndex();
+  }
+}
+
+// Artwork whose track is gone from the index
+function pruneArtwork() {
+  if (!fs.existsSync(artworkDir)) return;
+  const hashes = new Set(Array.from(tracks.values()).map(t => t.hash));
+  for (const file of fs.readdirSync(artworkDir)) {
+    const hash = file.split('-')[0];
+    if (!hashes.has(hash)) fs.rm(path.join(artworkDir, file), { force: true }, () => {});
+  }
+}
+
+/**
+ * Bring the index up to date with the directories. A call made while a scan is running resolves after one
+ * more scan, so it sees every change made before the call; calls queued behind the same scan share it.
+ */
+export function refreshTrackIndex() {
+  if (refreshing) {
+    if (!queuedRefresh) {
+      queuedRefresh = refreshing.then(() => {
+        queuedRefresh = null;
+        return refreshTrackIndex();
+      });
+    }
+    return queuedRefresh;
+  }
+  refreshing = scan()
+    .catch(err => console.error('[TrackIndex] Refresh failed:', err))
+    .finally(() => {
+      refreshing = null;
+    });
+  return refreshing;
+}
+
+// Refresh shortly, once the burst of changes (an upload, a batch of deletes) is over
+export function scheduleTrackIndexRefresh() {
+  if (refreshTimer) clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshTrackIndex();
+  }, REFRESH_DELAY_MS);
+  if (typeof refreshTimer.unref === 'function') refreshTimer.unref();
+}
+
+function saveIndex() {
+  if (!indexPath) return;
+  const tmpPath = `${indexPath}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ tracks: Array.from(tracks.entries()) }));
+    fs.renameSync(tmpPath, indexPath);
+  } catch (err) {
+    console.error(`[TrackIndex] Failed to write ${indexPath}:`, err);
+  }
+}
+
+function loadIndex() {
+  if (!indexPath || !fs.existsSync(indexPath)) return;
+  try {
+    const data = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    for (const [filePath, entry] of data.tracks || []) {
+      if (entry && entry.hash) tracks.set(filePath, entry);
+    }
+    log(`[TrackIndex] Restored ${tracks.size} track(s) from ${indexPath}`);
+  } catch (err) {
+    console.error(`[TrackIndex] Failed to load ${indexPath}, rebuilding:`, err);
+  }
+}
+
+/**
+ * Load the cached index, bring it up to date and watch the directories for changes.
+ * Returns a promise that resolves once the first refresh is done.
+ */
+export function startTrackIndex() {
+  if (ready) return ready;
+  loadIndex();
+  for (const { dir } of SOURCES) {
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      fs.watch(dir, { persistent: false }, scheduleTrackIndexRefresh);
+    } catch (err) {
+      console.error(`[TrackIndex] Cannot watch ${dir}, changes are picked up on upload only:`, err.message);
+    }
+  }
+  ready = refreshTrackIndex().then(() => log(`[TrackIndex] ${tracks.size} track(s) indexed`));
+  return ready;
+}
+
+export function whenTrackIndexReady() {
+  return ready || startTrackIndex();
+}
+
+// What listings show for an entry
+export function describeTrack(entry) {
+  const { file, size, mtimeMs, hasArt, ...rest } = entry;
+  return {
+    ...rest,
+    addedAt: mtimeMs,
+    albumArt: hasArt ? artworkUrl(entry.hash) : null,
+    artwork: hasArt ? Object.fromEntries(Object.keys(ARTWORK_SIZES).map(s => [s, artworkUrl(entry.hash, s)])) : null,
+  };
+}
+
+export function getIndexedTrack(filePath) {
+  return tracks.get(filePath) || null;
+}
+
+export const TRACK_SORT_FIELDS = ['title', 'artist', 'album', 'duration', 'addedAt'];
+
+/**
+ * Search, sort and page the index.
+ * @param {object} options - { q, type, uploads, sort, order ('asc' | 'desc'), page (from 1), limit }
+ *   uploads: if given, a Set of upload filenames; other user uploads are left out
+ * @returns {object} { tracks, total, page, limit }
+ */
+export function listTracks({ q = '', type = null, uploads = null, sort = 'title', order = 'asc', page = 1, limit = 50 } = {}) {
+  const needle = q.trim().toLowerCase();
+  let entries = Array.from(tracks.values());
+  if (type) entries = entries.filter(t => t.type === type);
+  if (uploads) entries = entries.filter(t => t.type !== 'user' || uploads.has(t.file));
+  let list = entries.map(describeTrack);
+  if (needle) {
+    list = list.filter(t => [t.title, t.artist, t.album, t.genre].some(v => v && v.toLowerCase().includes(needle)));
+  }
+  const direction = order === 'desc' ? -1 : 1;
+  list.sort((a, b) => {
+    const x = a[sort];
+    const y = b[sort];
+    const cmp = typeof x === 'number' && typeof y === 'number'
+      ? x - y
+      : String(x || '').localeCompare(String(y || ''), undefined, { sensitivity: 'base' });
+    return cmp * direction || a.url.localeCompare(b.url);
+  });
+  const start = (page - 1) * limit;
+  return { tracks: list.slice(start, start + limit), total: list.length, page, limit };
+}
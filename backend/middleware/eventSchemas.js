@@ -0,0 +1,293 @@
+// Declarative payload rules and rate limits for every socket event the server handles.
+//
+// Each entry is { payload, rate }:
+// - payload: field name -> rule. Rules support type ('string' | 'number' | 'integer' | 'boolean' | 'object'),
+//   required, minLength/maxLength, pattern, enum, min/max and a custom validate(value) returning an error string.
+//   Keys that aren't listed are stripped before the handler sees the payload. null counts as "not sent".
+//   `accepts` lists primitive types allowed in place of an object payload (time_sync may send a bare number).
+// - rate: token bucket per socket. `capacity` is the burst size, `refillPerSec` the sustained rate.
+// Events missing from this table are rejected, so new handlers need an entry here.
+
+const ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const MAX_URL_LENGTH = 2048;
+
+export const DEFAULT_RATE = { capacity: 20, refillPerSec: 10 };
+
+// Queueable URLs are absolute http(s) URLs or paths served by our own /audio routes
+export function isQueueableUrl(value) {
+  if (value.startsWith('/audio/')) return !value.includes('..');
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// acoustic_calibration_result: { [slot]: seconds }, one entry per speaker that was heard
+function checkSlotOffsets(value) {
+  const entries = Object.entries(value);
+  if (entries.length > 64) return 'has too many entries';
+  for (const [slot, offset] of entries) {
+    if (!/^\d{1,2}$/.test(slot)) return 'keys must be slot numbers';
+    if (typeof offset !== 'number' || !Number.isFinite(offset) || Math.abs(offset) > 1) return 'values must be numbers between -1 and 1';
+  }
+  return null;
+}
+
+function checkUrl(value) {
+  return isQueueableUrl(value) ? null : 'must be an http(s) URL or an /audio/ path';
+}
+
+// Album art is referenced by URL (uploads get one from /audio/art), never inlined: queue entries go to every listener
+function checkImageRef(value) {
+  return isQueueableUrl(value) ? null : 'must be an http(s) URL or an /audio/ path';
+}
+
+const sessionId = { type: 'string', required: true, maxLength: 64, pattern: ID_PATTERN };
+const clientId = { type: 'string', maxLength: 64, pattern: ID_PATTERN };
+const messageId = { type: 'string', required: true, maxLength: 128 };
+const entryId = { type: 'string', maxLength: 64 };
+const displayName = { type: 'string', maxLength: 64 };
+const timestamp = { type: 'number', required: true, min: 0 };
+const optionalNumber = { type: 'number' };
+
+const controllerRate = { capacity: 5, refillPerSec: 0.5 };
+const queueEditRate = { capacity: 10, refillPerSec: 5 };
+
+export const EVENT_SCHEMAS = {
+  join_session: {
+    payload: {
+      sessionId,
+      displayName,
+      deviceInfo: { type: 'string', maxLength: 512 },
+      clientId,
+      credential: { type: 'string', maxLength: 256 },
+      password: { type: 'string', maxLength: 128 },
+      inviteToken: { type: 'string', maxLength: 512 },
+      accessToken: { type: 'string', maxLength: 512 },
+    },
+    rate: { capacity: 5, refillPerSec: 0.5 },
+  },
+  create_invite: {
+    payload: { sessionId },
+    rate: { capacity: 5, refillPerSec: 0.2 },
+  },
+  play: {
+    payload: { sessionId, timestamp },
+    rate: { capacity: 10, refillPerSec: 5 },
+  },
+  pause: {
+    payload: { sessionId, timestamp },
+    rate: { capacity: 10, refillPerSec: 5 },
+  },
+  seek: {
+    payload: { sessionId, timestamp },
+    rate: { capacity: 10, refillPerSec: 5 },
+  },
+  sync_request: {
+    payload: { sessionId },
+    rate: { capacity: 8, refillPerSec: 1 },
+  },
+  queue_snapshot: {
+    payload: { sessionId },
+    rate: { capacity: 5, refillPerSec: 0.5 },
+  },
+  request_controller: {
+    payload: { sessionId },
+    rate: controllerRate,
+  },
+  approve_controller_request: {
+    payload: { sessionId, requesterClientId: { ...clientId, required: true } },
+    rate: controllerRate,
+  },
+  deny_controller_request: {
+    payload: { sessionId, requesterClientId: { ...clientId, required: true } },
+    rate: controllerRate,
+  },
+  cancel_controller_request: {
+    payload: { sessionId },
+    rate: controllerRate,
+  },
+  offer_controller: {
+    payload: { sessionId, targetClientId: { ...clientId, required: true } },
+    rate: controllerRate,
+  },
+  accept_controller_offer: {
+    payload: { sessionId, offererClientId: { ...clientId, required: true } },
+    rate: controllerRate,
+  },
+  decline_controller_offer: {
+    payload: { sessionId, offererClientId: { ...clientId, required: true } },
+    rate: controllerRate,
+  },
+  set_co_host: {
+    payload: { sessionId, targetClientId: clientId },
+    rate: controllerRate,
+  },
+  chat_message: {
+    // Length after trimming (500) is still checked by the handler
+    payload: { sessionId, message: { type: 'string', required: true, maxLength: 2000 }, displayName },
+    rate: { capacity: 5, refillPerSec: 5 / 3, message: 'You are sending messages too quickly. Please slow down.' },
+  },
+  edit_message: {
+    payload: { sessionId, messageId, newMessage: { type: 'string', required: true, maxLength: 2000 } },
+    rate: { capacity: 5, refillPerSec: 1 },
+  },
+  delete_message: {
+    payload: { sessionId, messageId },
+    rate: { capacity: 5, refillPerSec: 1 },
+  },
+  report_message: {
+    payload: { sessionId, messageId, reason: { type: 'string', maxLength: 500 } },
+    rate: { capacity: 3, refillPerSec: 0.2 },
+  },
+  message_read: {
+    // Opening the chat marks a whole page of messages read at once
+    payload: { sessionId, messageId },
+    rate: { capacity: 50, refillPerSec: 10 },
+  },
+  reaction: {
+    payload: { sessionId, reaction: { type: 'string', required: true, maxLength: 32 } },
+    rate: { capacity: 5, refillPerSec: 2 },
+  },
+  add_to_queue: {
+    payload: {
+      sessionId,
+      url: { type: 'string', required: true, maxLength: MAX_URL_LENGTH, validate: checkUrl },
+      title: { type: 'string', maxLength: 256 },
+      artist: { type: 'string', maxLength: 256 },
+      album: { type: 'string', maxLength: 256 },
+      duration: { type: 'number', min: 0, max: 24 * 60 * 60 },
+      albumArt: { type: 'string', maxLength: MAX_URL_LENGTH, validate: checkImageRef },
+      type: { type: 'string', maxLength: 32 },
+    },
+    rate: { capacity: 10, refillPerSec: 2 },
+  },
+  remove_from_queue: {
+    payload: { sessionId, index: { type: 'integer', min: 0 }, entryId },
+    rate: queueEditRate,
+  },
+  move_in_queue: {
+    payload: {
+      sessionId,
+      entryId,
+      fromIndex: { type: 'integer', min: 0 },
+      toIndex: { type: 'integer', required: true, min: 0 },
+    },
+    rate: queueEditRate,
+  },
+  set_playback_mode: {
+    payload: { sessionId, shuffle: { type: 'boolean' }, repeatMode: { type: 'string', enum: ['off', 'all', 'one'] } },
+    rate: { capacity: 5, refillPerSec: 2 },
+  },
+  track_change: {
+    payload: {
+      sessionId,
+      idx: { type: 'integer', min: 0 },
+      entryId,
+      reason: { type: 'string', maxLength: 64 },
+      autoAdvance: { type: 'boolean' },
+      force: { type: 'boolean' },
+    },
+    rate: { capacity: 10, refillPerSec: 3 },
+  },
+  latency_profile: {
+    payload: {
+      sessionId,
+      deviceKey: { type: 'string', required: true, maxLength: 128 },
+      deviceLabel: { type: 'string', maxLength: 128 },
+      // Seconds; MAX_OUTPUT_LATENCY in latencyProfileManager
+      reportedLatency: { type: 'number', min: 0, max: 1 },
+      calibratedLatency: { type: 'number', min: 0, max: 1 },
+      clearCalibration: { type: 'boolean' },
+    },
+    // Sent on join, on output device changes and after calibration
+    rate: { capacity: 5, refillPerSec: 1 },
+  },
+  set_latency_adjustment: {
+    payload: {
+      sessionId,
+      targetClientId: { ...clientId, required: true },
+      adjustment: { type: 'number', required: true, min: -0.5, max: 0.5 },
+    },
+    rate: { capacity: 10, refillPerSec: 5 },
+  },
+  acoustic_calibration_start: {
+    payload: { sessionId },
+    rate: { capacity: 2, refillPerSec: 0.2 },
+  },
+  acoustic_calibration_result: {
+    payload: {
+      sessionId,
+      runId: { type: 'string', required: true, maxLength: 64 },
+      offsets: { type: 'object', required: true, validate: checkSlotOffsets },
+    },
+    rate: { capacity: 2, refillPerSec: 0.2 },
+  },
+  schedule_ack: {
+    payload: { sessionId, scheduleId: { type: 'string', required: true, maxLength: 64 } },
+    rate: { capacity: 10, refillPerSec: 5 },
+  },
+  time_sync: {
+    // Batch sync fires several rounds back to back, so allow a generous burst
+    accepts: ['number'],
+    payload: {
+      clientSent: optionalNumber,
+      clientCallbackReceived: optionalNumber,
+      userAgent: { type: 'string', maxLength: 512 },
+      // Smoothed RTT/jitter (ms) the client measured, used for reference peer election
+      rtt: { type: 'number', min: 0, max: 60000 },
+      jitter: { type: 'number', min: 0, max: 60000 },
+    },
+    rate: { capacity: 30, refillPerSec: 15 },
+  },
+  drift_report: {
+    payload: {
+      sessionId,
+      drift: { type: 'number', required: true },
+      expected: optionalNumber,
+      current: optionalNumber,
+      timestamp,
+      manual: { type: 'boolean' },
+      resyncDuration: optionalNumber,
+      beforeDrift: optionalNumber,
+      afterDrift: optionalNumber,
+      improvement: optionalNumber,
+    },
+    rate: { capacity: 10, refillPerSec: 5 },
+  },
+  typing: {
+    payload: { sessionId, displayName },
+    rate: { capacity: 10, refillPerSec: 3 },
+  },
+  stop_typing: {
+    payload: { sessionId },
+    rate: { capacity: 10, refillPerSec: 3 },
+  },
+  emoji_reaction: {
+    payload: { sessionId, messageId, emoji: { type: 'string', required: true, maxLength: 32 }, displayName },
+    rate: { capacity: 10, refillPerSec: 3 },
+  },
+  remove_emoji_reaction: {
+    payload: { sessionId, messageId, emoji: { type: 'string', required: true, maxLength: 32 } },
+    rate: { capacity: 10, refillPerSec: 3 },
+  },
+  get_session_reactions: {
+    payload: { sessionId },
+    rate: { capacity: 5, refillPerSec: 1 },
+  },
+  'peer-offer': {
+    payload: { to: { type: 'string', required: true, maxLength: 64 }, offer: { type: 'object', required: true } },
+    rate: { capacity: 20, refillPerSec: 5 },
+  },
+  'peer-answer': {
+    payload: { to: { type: 'string', required: true, maxLength: 64 }, answer: { type: 'object', required: true } },
+    rate: { capacity: 20, refillPerSec: 5 },
+  },
+  'peer-ice-candidate': {
+    // ICE gathering produces a burst of candidates per connection
+    payload: { to: { type: 'string', required: true, maxLength: 64 }, candidate: { type: 'object', required: true } },
+    rate: { capacity: 60, refillPerSec: 30 },
+  },
+};
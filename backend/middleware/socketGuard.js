@@ -0,0 +1,148 @@
+import { EVENT_SCHEMAS, DEFAULT_RATE } from './eventSchemas.js';
+import { log } from '../utils/utils.js';
+import { recordSocketEvent, recordRejectedEvent } from '../managers/metricsManager.js';
+
+// Socket middleware that runs before every handler:
+// 1. rejects events that have no schema,
+// 2. takes a token from the socket's bucket for that event,
+// 3. validates the payload and replaces it with a copy holding only the declared keys.
+// Rejections go to the event's callback (when there is one) as { error, code, details?, retryAfterMs? };
+// events sent without a callback are dropped.
+
+export const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  RATE_LIMITED: 'RATE_LIMITED',
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function checkField(name, rule, value) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      if (rule.minLength != null && value.length < rule.minLength) return `${name} must be at least ${rule.minLength} characters`;
+      if (rule.maxLength != null && value.length > rule.maxLength) return `${name} must be at most ${rule.maxLength} characters`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${name} has an invalid format`;
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+      if (rule.min != null && value < rule.min) return `${name} must be >= ${rule.min}`;
+      if (rule.max != null && value > rule.max) return `${name} must be <= ${rule.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${name} must be a boolean`;
+      break;
+    case 'object':
+      if (typeOf(value) !== 'object') return `${name} must be an object`;
+      break;
+    default:
+      break;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return `${name} must be one of: ${rule.enum.join(', ')}`;
+  if (typeof rule.validate === 'function') {
+    const problem = rule.validate(value);
+    if (problem) return `${name} ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a payload against an event schema.
+ * Returns { value, errors }: value is the sanitized payload (undeclared keys dropped),
+ * errors is a list of human-readable problems (empty when valid).
+ */
+export function validatePayload(schema, payload) {
+  const fields = schema.payload || {};
+  if (payload !== undefined && payload !== null && schema.accepts && schema.accepts.includes(typeOf(payload))) {
+    if (typeof payload === 'number' && !Number.isFinite(payload)) return { value: payload, errors: ['payload must be a finite number'] };
+    return { value: payload, errors: [] };
+  }
+  if (payload !== undefined && payload !== null && typeOf(payload) !== 'object') {
+    return { value: payload, errors: ['payload must be an object'] };
+  }
+  const input = payload || {};
+  const value = {};
+  const errors = [];
+  for (const [name, rule] of Object.entries(fields)) {
+    const fieldValue = input[name];
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) errors.push(`${name} is required`);
+      continue;
+    }
+    const problem = checkField(name, rule, fieldValue);
+    if (problem) errors.push(problem);
+    else value[name] = fieldValue;
+  }
+  return { value, errors };
+}
+
+// Refill lazily on each take, so idle sockets cost nothing
+function takeToken(bucket, rate, now) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(rate.capacity, bucket.tokens + elapsed * rate.refillPerSec);
+  bucket.updatedAt = now;
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    bucket.warned = false;
+    return 0;
+  }
+  return Math.ceil(((1 - bucket.tokens) / rate.refillPerSec) * 1000);
+}
+
+/**
+ * Attach schema validation and per-event rate limiting to a socket.
+ * Must be registered before any other socket.use middleware so nothing runs on rejected packets.
+ */
+export function attachSocketGuard(socket, schemas = EVENT_SCHEMAS) {
+  const buckets = new Map(); // event -> { tokens, updatedAt, warned }
+
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const callback = packet.length > 1 && typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+    const schema = Object.prototype.hasOwnProperty.call(schemas, event) ? schemas[event] : null;
+    // Unknown names share one label so clients can't inflate the metric's cardinality
+    const metricEvent = schema ? event : 'unknown';
+    recordSocketEvent(metricEvent);
+    const reject = (error) => {
+      recordRejectedEvent(metricEvent, error.code);
+      if (callback) callback(error);
+    };
+
+    if (!schema) {
+      log('[GUARD] Unknown event from', socket.id, ':', String(event).slice(0, 64));
+      return reject({ error: 'Unknown event', code: ERROR_CODES.UNKNOWN_EVENT });
+    }
+
+    const rate = schema.rate || DEFAULT_RATE;
+    const now = Date.now();
+    let bucket = buckets.get(event);
+    if (!bucket) {
+      bucket = { tokens: rate.capacity, updatedAt: now, warned: false };
+      buckets.set(event, bucket);
+    }
+    const retryAfterMs = takeToken(bucket, rate, now);
+    if (retryAfterMs > 0) {
+      // Log once per burst rather than once per dropped packet
+      if (!bucket.warned) {
+        log('[GUARD] Rate limited', event, 'from', socket.id);
+        bucket.warned = true;
+      }
+      return reject({ error: rate.message || 'Too many requests, please slow down.', code: ERROR_CODES.RATE_LIMITED, retryAfterMs });
+    }
+
+    // The payload slot may hold the callback when a client emits with no payload
+    const hasPayload = packet.length > 1 && packet[1] !== callback;
+    const { value, errors } = validatePayload(schema, hasPayload ? packet[1] : undefined);
+    if (errors.length > 0) {
+      return reject({ error: `Invalid payload: ${errors[0]}`, code: ERROR_CODES.INVALID_PAYLOAD, details: errors });
+    }
+    if (hasPayload) packet[1] = value;
+    next();
+  });
+}
@@ -2,10 +2,28 @@ import express from 'express';
 import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
-import { addSessionFile } from '../managers/fileManager.js';
+import {
+  MAX_UPLOAD_BYTES,
+  PARTIAL_UPLOAD_EXTENSION,
+  UPLOAD_CHUNK_BYTES,
+  addSessionFile,
+  appendUploadChunk,
+  checkUploadQuota,
+  completeResumableUpload,
+  discardResumableUpload,
+  enforceUploadCap,
+  findResumableUpload,
+  getResumableUpload,
+  getSessionFiles,
+  startResumableUpload,
+} from '../managers/fileManager.js';
+import { getUploadPathFromUrl } from '../managers/playbackManager.js';
+import { getSession, getSocketIdByClientId } from '../managers/sessionManager.js';
+import { verifyClientCredential } from '../managers/identityManager.js';
+import { ARTWORK_SIZES, TRACK_SORT_FIELDS, artworkPath, artworkUrl, getIndexedTrack, listTracks, refreshTrackIndex, whenTrackIndexReady } from '../managers/trackIndexManager.js';
+import { getAudioFormatByName, probeAudioFile } from '../utils/audioFormat.js';
 import dotenv from 'dotenv';
-import { body, query, validationResult } from 'express-validator';
-import * as mm from 'music-metadata';
+import { body, param, query, validationResult } from 'express-validator';
 dotenv.config();
 
 const router = express.Router();
@@ -32,73 +50,271 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: function (req, file, cb) {
-    // Use sanitized clientId and timestamp to make filename unique
+    // Use sanitized clientId and timestamp to make filename unique. The client's file name says nothing about
+    // the contents: the file stays partial until the upload handler has identified its format.
     let clientId = 'unknown';
     if (req.body && req.body.clientId) {
       clientId = safeClientId(req.body.clientId);
     } else if (req.query && req.query.clientId) {
       clientId = safeClientId(req.query.clientId);
     }
-    const ext = path.extname(file.originalname);
-    cb(null, `${clientId}-${Date.now()}${ext}`);
+    cb(null, `${clientId}-${Date.now()}${PARTIAL_UPLOAD_EXTENSION}`);
   }
 });
 
-// Restrict uploads to .mp3 files only and max size 10MB
+// Any file may come in (browsers report audio MIME types inconsistently); its contents decide, see utils/audioFormat.js
 const upload = multer({
   storage,
-  fileFilter: (req, file, cb) => {
-    if (path.extname(file.originalname).toLowerCase() !== '.mp3') {
-      return cb(new Error('Only .mp3 files are allowed'));
-    }
-    cb(null, true);
-  },
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB
+  limits: { fileSize: MAX_UPLOAD_BYTES }
 });
+const MAX_UPLOAD_MB = Math.round(MAX_UPLOAD_BYTES / (1024 * 1024));
+
+// multer stops reading at the size limit and removes what it wrote; answer that with a 413 of our own
+function receiveFile(req, res, next) {
+  upload.single('music')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large. Max size is ${MAX_UPLOAD_MB}MB.`, code: 'UPLOAD_TOO_LARGE' });
+    }
+    next(err);
+  });
+}
+
+// Content-Type by our own format table: send's defaults don't know every audio extension (.opus)
+function setAudioHeaders(res, filePath) {
+  const format = getAudioFormatByName(filePath);
+  if (format) res.setHeader('Content-Type', format.mime);
+}
 
 router.get('/audio-url', (req, res) => {
   res.json({ url: AUDIO_URL });
 });
 
+const STORAGE_FULL = { error: 'The server is out of space for uploads, try again later', code: 'UPLOAD_STORAGE_FULL' };
+
+/**
+ * Who is uploading: quotas are counted per session and client, so both must be proven, not just named.
+ * The session must exist, `credential` (from join_session) must be valid for it and name `clientId`, and that
+ * client must be connected to the session right now.
+ * @returns {object} { sessionId, clientId } or { status, error, code }
+ */
+function resolveUploader({ sessionId, clientId, credential }) {
+  const session = sessionId ? getSession(sessionId) : null;
+  if (!session) {
+    return { status: 404, error: 'Session not found', code: 'SESSION_NOT_FOUND' };
+  }
+  const verifiedId = verifyClientCredential(session, credential);
+  if (!verifiedId || verifiedId !== clientId || !getSocketIdByClientId(sessionId, verifiedId)) {
+    return { status: 403, error: 'Join the session before uploading to it', code: 'UPLOAD_NOT_A_MEMBER' };
+  }
+  return { sessionId, clientId: verifiedId };
+}
+
+/**
+ * Keep a fully received upload: check its contents (utils/audioFormat.js), store it under its format's extension,
+ * track it for the session and respond with its URL and the metadata read from its tags (the client queues it
+ * with these), and where its album art is served if it has any. The partial file is removed if it's refused.
+ */
+async function storeUpload(res, { partialPath, originalName, sessionId, clientId }) {
+  const probe = await probeAudioFile(partialPath);
+  if (probe.error) {
+    fs.unlink(partialPath, () => {});
+    return res.status(415).json({ error: probe.error, code: 'UNSUPPORTED_AUDIO' });
+  }
+  const basename = path.basename(partialPath, PARTIAL_UPLOAD_EXTENSION);
+  const filename = basename + probe.format.extensions[0];
+  const filePath = path.join(uploadsDir, filename);
+  try {
+    await fs.promises.rename(partialPath, filePath);
+  } catch (err) {
+    console.error('[Uploads] Failed to store upload:', err);
+    fs.unlink(partialPath, () => {});
+    return res.status(500).json({ error: 'Upload failed' });
+  }
+  addSessionFile(sessionId, clientId, filename);
+  await refreshTrackIndex();
+  const indexed = getIndexedTrack(filePath);
+  // Untagged files are indexed under our file name; the uploader's is a better title
+  const untitled = !indexed || indexed.title === basename;
+  res.json({
+    url: `${AUDIO_BASE_PATH}/uploads/${filename}`,
+    filename,
+    format: probe.format.label,
+    title: untitled ? path.basename(originalName, path.extname(originalName)) : indexed.title,
+    artist: indexed ? indexed.artist : '',
+    album: indexed ? indexed.album : '',
+    duration: indexed ? indexed.duration : 0,
+    albumArt: indexed && indexed.hasArt ? artworkUrl(indexed.hash) : null,
+  });
+}
+
 // Upload endpoint with input validation
 router.post(
   '/upload',
   [
-    upload.single('music'),
-    // Accept clientId/sessionId from either body or query
+    receiveFile,
+    // Accept clientId/sessionId/credential from either body or query
     body('clientId').optional().isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
     body('sessionId').optional().isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
+    body('credential').optional().isString().isLength({ min: 1, max: 256 }),
     query('clientId').optional().isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
     query('sessionId').optional().isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
+    query('credential').optional().isString().isLength({ min: 1, max: 256 }),
   ],
-  (req, res) => {
-    // Handle file size limit error
-    if (req.fileValidationError) {
-      return res.status(400).json({ error: req.fileValidationError });
+  async (req, res) => {
+    // multer has already written the file; anything rejected below must not stay on disk
+    const reject = (status, payload) => {
+      if (req.file) fs.unlink(req.file.path, () => {});
+      return res.status(status).json(payload);
+    };
+    // Check for express-validator errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return reject(400, { errors: errors.array() });
     }
-    if (req.file && req.file.size > 10 * 1024 * 1024) {
-      return res.status(400).json({ error: 'File too large. Max size is 10MB.' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
-    // Check for express-validator errors
+    const uploader = resolveUploader({
+      sessionId: req.body.sessionId || req.query.sessionId,
+      clientId: req.body.clientId || req.query.clientId,
+      credential: req.body.credential || req.query.credential,
+    });
+    if (uploader.error) {
+      return reject(uploader.status, { error: uploader.error, code: uploader.code });
+    }
+    const { sessionId, clientId } = uploader;
+    const quotaError = checkUploadQuota(sessionId, clientId, req.file.size);
+    if (quotaError) {
+      return reject(413, { error: quotaError, code: 'UPLOAD_QUOTA_EXCEEDED' });
+    }
+    // Over the global cap, older unused uploads make room; if that isn't enough, this one can't stay
+    if (!enforceUploadCap()) {
+      return reject(507, STORAGE_FULL);
+    }
+    await storeUpload(res, { partialPath: req.file.path, originalName: req.file.originalname, sessionId, clientId });
+  }
+);
+
+/*
+ * Resumable uploads, for large files over flaky connections:
+ *   POST   /upload/init               { sessionId, clientId, credential, name, size, sha256 } -> { uploadId, received, size, chunkSize }
+ *   PUT    /upload/:uploadId?offset=N  raw bytes (application/octet-stream, up to chunkSize) -> { received, size }
+ *   GET    /upload/:uploadId           -> { uploadId, received, size, chunkSize }
+ *   POST   /upload/:uploadId/finalize  -> as POST /upload
+ *   DELETE /upload/:uploadId           cancels
+ * The uploader is checked at init like for POST /upload (see resolveUploader); the uploadId then stands for it.
+ * Size, quota and disk cap are checked at init, against the declared size. A chunk at any offset but the next one
+ * is refused with 409 and the offset to continue from. Finalize checks the SHA-256 declared at init.
+ * Init with the same session, client, size and hash as an upload in progress resumes that upload.
+ */
+function describeResumableUpload(upload) {
+  return { uploadId: upload.uploadId, received: upload.received, size: upload.size, chunkSize: UPLOAD_CHUNK_BYTES };
+}
+
+// Look up :uploadId, or answer 404: the upload expired, was finalized, or the server restarted since
+function withResumableUpload(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  req.resumableUpload = getResumableUpload(req.params.uploadId);
+  if (!req.resumableUpload) {
+    return res.status(404).json({ error: 'Upload not found, start it again', code: 'UPLOAD_NOT_FOUND' });
+  }
+  next();
+}
+
+const uploadIdParam = param('uploadId').isUUID();
+
+router.post(
+  '/upload/init',
+  [
+    body('sessionId').isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
+    body('clientId').isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
+    body('credential').isString().isLength({ min: 1, max: 256 }),
+    body('name').isString().isLength({ min: 1, max: 255 }),
+    body('size').isInt({ min: 1 }).toInt(),
+    body('sha256').isString().matches(/^[a-f0-9]{64}$/),
+  ],
+  (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded or invalid file type' });
-    }
-    const clientId = req.body.clientId || req.query.clientId || 'unknown';
-    const sessionId = req.body.sessionId || req.query.sessionId || 'unknown';
-    addSessionFile(sessionId, clientId, req.file.filename);
-    // Return the file URL to the client
-    const fileUrl = `${AUDIO_BASE_PATH}/uploads/${req.file.filename}`;
-    res.json({ url: fileUrl, filename: req.file.filename });
+    const uploader = resolveUploader(req.body);
+    if (uploader.error) {
+      return res.status(uploader.status).json({ error: uploader.error, code: uploader.code });
+    }
+    const { sessionId, clientId } = uploader;
+    const { name, size, sha256 } = req.body;
+    const existing = findResumableUpload({ sessionId, clientId, size, sha256 });
+    if (existing) {
+      return res.json(describeResumableUpload(existing));
+    }
+    if (size > MAX_UPLOAD_BYTES) {
+      return res.status(413).json({ error: `File too large. Max size is ${MAX_UPLOAD_MB}MB.`, code: 'UPLOAD_TOO_LARGE' });
+    }
+    const quotaError = checkUploadQuota(sessionId, clientId, size);
+    if (quotaError) {
+      return res.status(413).json({ error: quotaError, code: 'UPLOAD_QUOTA_EXCEEDED' });
+    }
+    if (!enforceUploadCap(Date.now(), size)) {
+      return res.status(507).json(STORAGE_FULL);
+    }
+    res.json(describeResumableUpload(startResumableUpload({ sessionId, clientId, name, size, sha256 })));
   }
 );
 
+router.get('/upload/:uploadId', [uploadIdParam], withResumableUpload, (req, res) => {
+  res.json(describeResumableUpload(req.resumableUpload));
+});
+
+router.put(
+  '/upload/:uploadId',
+  [
+    uploadIdParam,
+    query('offset').isInt({ min: 0 }).toInt(),
+  ],
+  withResumableUpload,
+  express.raw({ type: 'application/octet-stream', limit: UPLOAD_CHUNK_BYTES }),
+  async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the chunk as application/octet-stream' });
+    }
+    const upload = req.resumableUpload;
+    const result = await appendUploadChunk(upload, req.query.offset, req.body);
+    if (result.error) {
+      return res.status(409).json({ error: result.error, received: result.received, size: upload.size });
+    }
+    res.json({ received: result.received, size: upload.size });
+  }
+);
+
+router.post('/upload/:uploadId/finalize', [uploadIdParam], withResumableUpload, async (req, res) => {
+  const upload = req.resumableUpload;
+  const result = completeResumableUpload(upload);
+  if (result.error) {
+    const status = result.code === 'UPLOAD_HASH_MISMATCH' ? 422 : 409;
+    return res.status(status).json({ error: result.error, code: result.code, received: upload.received, size: upload.size });
+  }
+  await storeUpload(res, {
+    partialPath: result.filePath,
+    originalName: upload.name,
+    sessionId: upload.sessionId,
+    clientId: upload.clientId,
+  });
+});
+
+router.delete('/upload/:uploadId', [uploadIdParam], withResumableUpload, (req, res) => {
+  discardResumableUpload(req.resumableUpload);
+  res.sendStatus(204);
+});
+
 // Serve uploaded files with CORS headers and strong HTTP caching
 const ONE_YEAR = 365 * 24 * 60 * 60; // seconds
 router.use('/uploads', (req, res, next) => {
+  // Audio only: never partial uploads
+  if (!getAudioFormatByName(req.path)) return res.sendStatus(404);
   res.header('Access-Control-Allow-Origin', '*'); // Or restrict to your frontend origin
   res.header('Cross-Origin-Resource-Policy', 'cross-origin');
   // Set strong caching for audio files
@@ -107,7 +323,8 @@ router.use('/uploads', (req, res, next) => {
 }, express.static(uploadsDir, {
   etag: true,
   maxAge: ONE_YEAR * 1000, // ms
-  immutable: true
+  immutable: true,
+  setHeaders: setAudioHeaders
 }));
 
 // Serve /uploads/samples with same caching and CORS
@@ -120,44 +337,68 @@ router.use('/uploads/samples', (req, res, next) => {
 }, express.static(samplesDir, {
   etag: true,
   maxAge: ONE_YEAR * 1000,
-  immutable: true
+  immutable: true,
+  setHeaders: setAudioHeaders
 }));
 
-// List all tracks (user uploads + samples)
-router.get('/all-tracks', async (req, res) => {
-  const uploadsDir = path.join(process.cwd(), 'uploads');
-  const samplesDir = path.join(uploadsDir, 'samples');
-  let tracks = [];
-
-  async function addTracksFromDir(dir, type, urlPrefix) {
-    if (!fs.existsSync(dir)) return;
-    const files = fs.readdirSync(dir);
-    for (const file of files) {
-      if (file.endsWith('.mp3')) {
-        let albumArt = null;
-        try {
-          const metadata = await mm.parseFile(path.join(dir, file));
-          if (metadata.common.picture && metadata.common.picture.length > 0) {
-            const pic = metadata.common.picture[0];
-            albumArt = `data:${pic.format};base64,${pic.data.toString('base64')}`;
-          }
-        } catch (e) {
-          // ignore errors
-        }
-        tracks.push({
-          title: file.replace(/\.mp3$/i, ''),
-          url: `${AUDIO_BASE_PATH}${urlPrefix}/${file}`,
-          type,
-          albumArt
-        });
-      }
-    }
+// Scaled album art, by the content hash of its track (see trackIndexManager). The hash changes with the file,
+// so responses never go stale.
+router.get(
+  '/artwork/:hash/:size',
+  [
+    param('hash').matches(/^[a-f0-9]{64}$/),
+    param('size').isIn(Object.keys(ARTWORK_SIZES)),
+  ],
+  (req, res) => {
+    if (!validationResult(req).isEmpty()) return res.status(404).json({ error: 'No album art' });
+    const filePath = artworkPath(req.params.hash, req.params.size);
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'No album art' });
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.sendFile(filePath, { maxAge: ONE_YEAR * 1000, immutable: true });
   }
+);
 
-  await addTracksFromDir(uploadsDir, 'user', '/uploads');
-  await addTracksFromDir(samplesDir, 'sample', '/uploads/samples');
-
-  res.json(tracks);
+// Album art by track path: /art/uploads/<file>[?size=small|medium|large] redirects to its /artwork URL.
+// Queue entries restored with inline art (see replaceInlineAlbumArt in queueManager) reference art this way.
+router.get('/art/uploads/*', [query('size').optional().isIn(Object.keys(ARTWORK_SIZES))], async (req, res) => {
+  await whenTrackIndexReady();
+  const filePath = getUploadPathFromUrl(`/audio${req.path.slice('/art'.length)}`);
+  const indexed = filePath ? getIndexedTrack(filePath) : null;
+  if (!indexed || !indexed.hasArt || !validationResult(req).isEmpty()) return res.status(404).json({ error: 'No album art' });
+  res.header('Access-Control-Allow-Origin', '*');
+  res.redirect(302, artworkUrl(indexed.hash, req.query.size || 'medium'));
 });
 
+/**
+ * List all tracks (samples, plus the uploads of one room) from the track index.
+ * Query: sessionId (whose uploads to include; without it only samples are listed), q (matches title, artist,
+ * album or genre), type ('user' | 'sample'), sort (TRACK_SORT_FIELDS), order ('asc' | 'desc'), page (from 1),
+ * limit (up to 200).
+ * Responds with { tracks, total, page, limit }.
+ */
+router.get(
+  '/all-tracks',
+  [
+    query('sessionId').optional().isString().isLength({ min: 1, max: 64 }).matches(/^[a-zA-Z0-9_-]+$/),
+    query('q').optional().isString().isLength({ max: 200 }),
+    query('type').optional().isIn(['user', 'sample']),
+    query('sort').optional().isIn(TRACK_SORT_FIELDS),
+    query('order').optional().isIn(['asc', 'desc']),
+    query('page').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    await whenTrackIndexReady();
+    const { sessionId, q, type, sort, order, page, limit } = req.query;
+    // Other rooms' uploads are theirs
+    const uploads = new Set(sessionId ? Object.values(getSessionFiles(sessionId)).flat() : []);
+    res.json(listTracks({ q, type, uploads, sort, order, page, limit }));
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+import express from 'express';
+import { getMetrics, getMetricsContentType } from '../managers/metricsManager.js';
+import { log } from '../utils/utils.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const router = express.Router();
+
+// Optional shared secret for scrapers: when METRICS_TOKEN is set, require "Authorization: Bearer <token>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// GET /metrics - Prometheus text exposition format
+router.get('/', async (req, res) => {
+  if (METRICS_TOKEN && req.get('authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  try {
+    res.set('Content-Type', getMetricsContentType());
+    res.send(await getMetrics());
+  } catch (err) {
+    log('[METRICS] Failed to collect metrics:', err);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 import express from 'express';
 import { generateSessionId } from '../utils/utils.js';
 import { getAllSessions } from '../managers/sessionManager.js';
+import { isRoomProtected } from '../managers/accessManager.js';
 import { param, validationResult } from 'express-validator';
 
 const router = express.Router();
@@ -30,7 +31,10 @@ router.get(
     const sessions = getAllSessions();
     const session = sessions[sessionId];
     if (!session) return res.status(404).json({ error: 'Session not found' });
+    // Don't leak who's in a password-protected room or what they're playing
+    if (isRoomProtected(session)) return res.json({ sessionId, requiresPassword: true });
     res.json({
+      requiresPassword: false,
       sessionId,
       isPlaying: session.isPlaying,
       timestamp: session.timestamp,
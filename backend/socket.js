@@ -1,17 +1,28 @@
-import { getSession, createSession, deleteSession, addClient, removeClient, setController, getAllSessions, getClients, updatePlayback, updateTimestamp, getClientIdBySocket, getSocketIdByClientId, addControllerRequest, removeControllerRequest, getPendingControllerRequests, clearExpiredControllerRequests } from './managers/sessionManager.js';
-import { addToQueue, removeFromQueue, removeFromQueueById, getQueue } from './managers/queueManager.js';
+import { getSession, createSession, deleteSession, addClient, removeClient, setController, getAllSessions, getClients, updatePlayback, updateTimestamp, getClientIdBySocket, getSocketIdByClientId, addControllerRequest, removeControllerRequest, getPendingControllerRequests, clearExpiredControllerRequests, bumpStateVersion } from './managers/sessionManager.js';
+import { addToQueue, removeFromQueue, removeFromQueueById, moveInQueue, updateQueueEntry, getQueue, getQueueIndexById, ensureQueueEntryIds, replaceInlineAlbumArt } from './managers/queueManager.js';
+import { whenTrackIndexReady, listTracks } from './managers/trackIndexManager.js';
 import { formatChatMessage, formatReaction } from './managers/chatManager.js';
 import { log } from './utils/utils.js';
-import { getSessionFiles, removeSessionFiles } from './managers/fileManager.js';
-import fs from 'fs';
-import path from 'path';
+import { serverNow } from './utils/clock.js';
+import { deleteSessionFiles, deleteUploadIfUnused, sweepUploads } from './managers/fileManager.js';
+import { resolveJoinIdentity, verifyClientCredential } from './managers/identityManager.js';
+import { isValidRoomPassword, hashRoomPassword, isRoomProtected, protectRoom, checkRoomAccess, createInviteToken, createAccessToken } from './managers/accessManager.js';
+import { attachSocketGuard } from './middleware/socketGuard.js';
+import { CONTROLLER_GRACE_MS, startControllerGrace, cancelControllerGrace, isControllerReconnecting, pickControllerSuccessor } from './managers/controllerManager.js';
+import { recordClientSyncStats, buildPeerAssignments } from './managers/peerTopologyManager.js';
+import { trackSocketServer, recordDriftReport, removeSessionMetrics } from './managers/metricsManager.js';
+import { scheduleStart, acknowledgeStart, cancelScheduledStart } from './managers/startScheduleManager.js';
+import { reportLatencyProfile, setLatencyAdjustment, applyAcousticOffset } from './managers/latencyProfileManager.js';
+import { startAcousticCalibration, finishAcousticCalibration, cancelAcousticCalibration } from './managers/acousticCalibrationManager.js';
+import { recordClientDrift, getDriftingSockets, markDriftCorrected, removeClientDrift, removeSessionDrift, pruneDriftReports } from './managers/driftManager.js';
+import { scheduleTrackEnd, cancelTrackEnd, getNextAutoAdvanceIdx, getPlaybackPosition, getCurrentTrack, getTrackDuration, ensureTrackDuration, REPEAT_MODES, getRepeatMode, buildShuffleOrder, syncShuffleOrder } from './managers/playbackManager.js';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
-import * as mm from 'music-metadata';
 dotenv.config();
 
-// Helper to build full session sync state for advanced sync
+// Helper to build full session sync state for advanced sync.
+// The queue itself isn't included: clients keep it from queue_update and queue_patch, and queueVersion tells them if theirs is current.
 function buildSessionSyncState(session) {
   const queue = Array.isArray(session.queue) ? session.queue : [];
   const selectedTrackIdx = Number.isInteger(session.selectedTrackIdx) ? session.selectedTrackIdx : 0;
@@ -19,14 +30,27 @@ function buildSessionSyncState(session) {
   return {
     isPlaying: !!session.isPlaying,
     timestamp: typeof session.timestamp === 'number' ? session.timestamp : 0,
-    lastUpdated: typeof session.lastUpdated === 'number' ? session.lastUpdated : Date.now(),
+    lastUpdated: typeof session.lastUpdated === 'number' ? session.lastUpdated : serverNow(),
     controllerId: session.controllerId || null,
     controllerClientId: session.controllerClientId || null,
-    queue,
+    coHostClientId: session.coHostClientId || null,
+    controllerGrace: session.controllerGrace || null,
+    queueVersion: session.queueVersion || 0,
     selectedTrackIdx,
     currentTrack,
     sessionSettings: session.settings || {},
     drift: typeof session.drift === 'number' ? session.drift : null,
+    stateVersion: session.stateVersion || 0,
+    ...buildPlaybackModeState(session),
+  };
+}
+
+// Helper: shuffle/repeat state shared by every client in the session
+function buildPlaybackModeState(session) {
+  return {
+    shuffle: !!session.shuffle,
+    shuffleOrder: session.shuffle && Array.isArray(session.shuffleOrder) ? session.shuffleOrder : [],
+    repeatMode: getRepeatMode(session),
   };
 }
 
@@ -81,12 +105,224 @@ function safeDisplayName(name) {
 }
 
 export function setupSocket(io) {
-  // --- Rate limiting state ---
-  const chatRateLimit = {};
+  trackSocketServer(io);
+  /**
+   * Server-driven auto-advance: fired by playbackManager when the current track's duration has elapsed.
+   * - Re-checks the position first, in case playback moved without the timer being rescheduled.
+   * - Honours session.repeatMode ('one' restarts, 'all' wraps, 'off' stops after the last track).
+   * - Broadcasts track_change with reason 'auto_advance' followed by sync_state, same as a controller change.
+   */
+  function handleTrackEnd(sessionId) {
+    const session = getSession(sessionId);
+    if (!session || !session.isPlaying) return;
+    const duration = getTrackDuration(getCurrentTrack(session));
+    if (!duration) return;
+    if (duration - getPlaybackPosition(session) > 0.25) {
+      refreshTrackEnd(sessionId);
+      return;
+    }
+    const next = getNextAutoAdvanceIdx(session);
+    let scheduled = null;
+    bumpStateVersion(session);
+    if (!next) {
+      // Stop at end: park at the end of the last track
+      session.isPlaying = false;
+      session.timestamp = duration;
+      session.lastUpdated = serverNow();
+      cancelScheduledStart(sessionId);
+      log('Auto-advance: reached end of queue in session', sessionId);
+    } else {
+      const queue = getQueue(sessionId);
+      session.selectedTrackIdx = next.idx;
+      session.timestamp = 0;
+      session.lastUpdated = serverNow();
+      const payload = {
+        idx: next.idx,
+        entryId: queue[next.idx] ? queue[next.idx].id : null,
+        track: queue[next.idx] || null,
+        reason: 'auto_advance',
+        initiator: null,
+        timestamp: Date.now(),
+        autoAdvance: true,
+        repeatMode: getRepeatMode(session),
+        shuffle: !!session.shuffle,
+        stateVersion: session.stateVersion
+      };
+      scheduled = scheduleStart(sessionId, 'track_change', reportScheduledStart);
+      io.to(sessionId).emit('track_change', payload);
+      log('Auto-advance in session', sessionId, 'to idx', next.idx);
+    }
+    io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session, scheduled));
+    refreshTrackEnd(sessionId);
+  }
+
+  function refreshTrackEnd(sessionId) {
+    scheduleTrackEnd(sessionId, handleTrackEnd);
+  }
+
+  /**
+   * sync_state for a playback change. With a scheduled start (see startScheduleManager), lastUpdated is
+   * the future start instant and the message also carries { scheduleId, startAt }: clients park at
+   * `timestamp`, acknowledge with schedule_ack and all start at startAt.
+   * stateVersion identifies the playback state; the periodic broadcaster repeats it unchanged.
+   */
+  function buildPlaybackSyncState(session, scheduled = null) {
+    return {
+      isPlaying: session.isPlaying,
+      timestamp: session.timestamp,
+      lastUpdated: session.lastUpdated,
+      controllerId: session.controllerId,
+      serverTime: serverNow(),
+      stateVersion: session.stateVersion || 0,
+      ...(scheduled ? { scheduleId: scheduled.scheduleId, startAt: scheduled.startAt } : {})
+    };
+  }
+
+  // queue_update: the whole queue, sent on join and on queue_snapshot requests
+  function buildQueueSnapshot(session) {
+    return {
+      queue: Array.isArray(session.queue) ? session.queue : [],
+      queueVersion: session.queueVersion || 0,
+      selectedTrackIdx: Number.isInteger(session.selectedTrackIdx) ? session.selectedTrackIdx : 0,
+      stateVersion: session.stateVersion || 0
+    };
+  }
+
+  /**
+   * queue_patch: one queue edit, so an add or remove doesn't resend the whole queue to the room.
+   * - op: 'insert' { index, entry } | 'remove' { entryId, index } | 'move' { entryId, fromIndex, toIndex } | 'update' { entryId, changes }
+   * - queueVersion is the version the edit produced (see queueManager); stateVersion orders it against track_change.
+   * - remove and move shift indices, so they also carry the resulting selectedTrackIdx.
+   */
+  function emitQueuePatch(sessionId, op, fields) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    const patch = {
+      op,
+      ...fields,
+      ...(op === 'remove' || op === 'move' ? { selectedTrackIdx: session.selectedTrackIdx } : {}),
+      queueVersion: session.queueVersion || 0,
+      stateVersion: session.stateVersion || 0
+    };
+    io.to(sessionId).emit('queue_patch', patch);
+    return patch;
+  }
+
+  // After a scheduled start: tell the room how many clients acknowledged before the start instant
+  function reportScheduledStart(sessionId, report) {
+    log(`Scheduled ${report.action} in session ${sessionId}: ${report.onTime}/${report.total} on time, ${report.late} late`);
+    io.to(sessionId).emit('schedule_result', report);
+  }
+
+  // Keep the shuffled order in step with queue edits and tell clients about the new order
+  function refreshShuffleOrder(sessionId, initiator = null) {
+    const session = getSession(sessionId);
+    if (!session || !session.shuffle) return;
+    syncShuffleOrder(session);
+    io.to(sessionId).emit('playback_mode_update', { ...buildPlaybackModeState(session), initiator });
+  }
+
+  // Sessions restored from the session store may already be playing
+  for (const sessionId of Object.keys(getAllSessions())) {
+    ensureQueueEntryIds(sessionId);
+    replaceInlineAlbumArt(sessionId);
+    refreshTrackEnd(sessionId);
+  }
+
+  // Last peer_assignment sent to each socket, so unchanged assignments aren't re-sent
+  const peerAssignmentKeys = new Map();
+
+  /**
+   * Recompute the session's peer time-sync topology (see peerTopologyManager) and send each member
+   * its peer_assignment { peers, referencePeers } if it changed since the last one.
+   */
+  function refreshPeerAssignments(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return;
+    const { referencePeers, assignments } = buildPeerAssignments(session);
+    for (const [socketId, info] of session.clients.entries()) {
+      const assignment = { sessionId, peers: assignments.get(info.clientId) || [], referencePeers };
+      const key = JSON.stringify(assignment);
+      if (peerAssignmentKeys.get(socketId) === key) continue;
+      peerAssignmentKeys.set(socketId, key);
+      io.to(socketId).emit('peer_assignment', assignment);
+    }
+  }
+
+  /**
+   * Remove a session nobody is connected to any more, along with its user-uploaded files.
+   */
+  function removeEmptySession(sessionId) {
+    // Delete all files for this session (user uploads only)
+    deleteSessionFiles(sessionId);
+    cancelTrackEnd(sessionId);
+    cancelControllerGrace(sessionId);
+    removeSessionMetrics(sessionId);
+    cancelScheduledStart(sessionId);
+    cancelAcousticCalibration(sessionId);
+    removeSessionDrift(sessionId);
+    deleteSession(sessionId);
+    log(`[CLEANUP] Session deleted (empty): ${sessionId}`);
+  }
+
+  /**
+   * Hand control to `successor` ([socketId, clientInfo] from pickControllerSuccessor) and tell the room.
+   */
+  function handOffController(sessionId, [newSocketId, newClientInfo]) {
+    const session = getSession(sessionId);
+    if (!session) return;
+    const hadCoHost = session.coHostClientId;
+    setController(sessionId, newClientInfo.clientId);
+    session.controllerId = newSocketId;
+    log('Controller handed to client', newClientInfo.clientId, 'in session', sessionId);
+    io.to(sessionId).emit('controller_change', newSocketId);
+    io.to(sessionId).emit('controller_client_change', newClientInfo.clientId);
+    if (hadCoHost !== session.coHostClientId) io.to(sessionId).emit('co_host_change', session.coHostClientId);
+  }
+
+  /**
+   * The controller didn't rejoin within CONTROLLER_GRACE_MS: apply the succession policy
+   * (co-host, then longest-present member), or drop the session if everyone has gone.
+   */
+  function handleControllerGraceExpired(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return;
+    const previousClientId = session.controllerGrace ? session.controllerGrace.clientId : session.controllerClientId;
+    session.controllerGrace = null;
+    if (getClients(sessionId).length === 0) {
+      removeEmptySession(sessionId);
+      return;
+    }
+    log('Controller', previousClientId, 'did not reconnect to session', sessionId);
+    io.to(sessionId).emit('controller_reconnecting', { reconnecting: false, clientId: previousClientId, reclaimed: false });
+    const successor = pickControllerSuccessor(session, previousClientId);
+    if (successor) handOffController(sessionId, successor);
+  }
+
   io.on('connection', (socket) => {
 
+    // Schema validation and per-event rate limits run before everything else (see middleware/eventSchemas.js)
+    attachSocketGuard(socket);
+
+    // Password-protected rooms: only sockets that joined through join_session may send events for them
+    socket.use((packet, next) => {
+      const [event, payload] = packet;
+      if (event === 'join_session' || !payload || typeof payload.sessionId !== 'string') return next();
+      const session = getSession(payload.sessionId);
+      if (!isRoomProtected(session) || session.clients.has(socket.id)) return next();
+      const callback = packet[packet.length - 1];
+      typeof callback === "function" && callback({ error: 'Not a member of this session', code: 'NOT_A_MEMBER' });
+    });
+
     // Change the join_session handler to async to allow await
-    socket.on('join_session', async ({ sessionId, displayName, deviceInfo, clientId } = {}, callback) => {
+    /**
+     * join_session: join (or create) a session.
+     * - clientId is only a request: the server verifies `credential` (issued by an earlier join of this session)
+     *   and otherwise hands out the requested id only if nobody has claimed it yet.
+     * - The callback carries the clientId the server settled on plus a credential to send next time;
+     *   every other handler derives identity from this socket's join, never from the payload.
+     */
+    socket.on('join_session', async ({ sessionId, displayName, deviceInfo, clientId, credential, password, inviteToken, accessToken } = {}, callback) => {
       // Input validation
       if (!isValidSessionId(sessionId)) {
         log('join_session: missing or invalid sessionId');
@@ -104,49 +340,56 @@ export function setupSocket(io) {
         log('join_session: missing or invalid sessionId');
         return typeof callback === "function" && callback({ error: 'No sessionId provided' });
       }
+      if (password !== undefined && password !== null && password !== '' && !isValidRoomPassword(password)) {
+        return typeof callback === "function" && callback({ error: 'Password must be 4-128 characters', code: 'INVALID_PASSWORD' });
+      }
       let session = getSession(sessionId);
       let isNewSession = false;
-      if (!session) {
+      if (!session && password) {
+        // Hash before creating the session, so the room is never briefly reachable without its password.
+        // Another join may create the room while we hash: then this one joins it like any other.
+        const passwordHash = await hashRoomPassword(password);
+        session = getSession(sessionId);
+        if (!session) {
+          session = createSession(sessionId, socket.id, clientId);
+          protectRoom(session, passwordHash);
+          log('Session created:', sessionId, '(password protected)');
+          isNewSession = true;
+        }
+      } else if (!session) {
         session = createSession(sessionId, socket.id, clientId);
         log('Session created:', sessionId);
         isNewSession = true;
       }
+      if (!isNewSession && isRoomProtected(session)) {
+        const accessClientId = verifyClientCredential(session, credential) || clientId;
+        const allowed = await checkRoomAccess(session, { password, inviteToken, accessToken, clientId: accessClientId });
+        if (!allowed) {
+          log('join_session: access denied to protected session', sessionId, 'for client', clientId);
+          return typeof callback === "function" && callback(password
+            ? { error: 'Incorrect password', code: 'INVALID_PASSWORD' }
+            : { error: 'This room requires a password', code: 'PASSWORD_REQUIRED' });
+        }
+      }
+      const identity = resolveJoinIdentity(session, { clientId, credential, isValidClientId });
+      if (identity.reassigned) {
+        log('join_session: clientId', clientId, 'is already claimed in session', sessionId, '- assigned', identity.clientId);
+      }
+      clientId = identity.clientId;
+      if (isNewSession) session.controllerClientId = clientId;
       // Auto-populate queue with all sample tracks if empty, but only on new session creation
       if (isNewSession && (session.queue?.length ?? 0) === 0) {
-        const samplesDir = path.join(process.cwd(), 'uploads', 'samples');
-        if (fs.existsSync(samplesDir)) {
-          const files = fs.readdirSync(samplesDir);
-          for (const file of files) {
-            if (file.endsWith('.mp3')) {
-              // Extract metadata using music-metadata
-              let artist = '';
-              let album = '';
-              let duration = 0;
-              let albumArt = null;
-              try {
-                const metadata = await mm.parseFile(path.join(samplesDir, file));
-                artist = metadata.common.artist || '';
-                album = metadata.common.album || '';
-                duration = metadata.format.duration || 0;
-                if (metadata.common.picture && metadata.common.picture.length > 0) {
-                  const pic = metadata.common.picture[0];
-                  // Ensure pic.data is a Buffer and encode as base64
-                  albumArt = `data:${pic.format};base64,${Buffer.from(pic.data).toString('base64')}`;
-                }
-              } catch (e) {
-                // Ignore errors, fallback to empty
-              }
-              addToQueue(
-                sessionId,
-                `/audio/uploads/samples/${encodeURIComponent(file)}`,
-                file.replace(/\.mp3$/i, ''),
-                { type: 'sample', artist, album, duration, albumArt }
-              );
-            }
-          }
+        // Metadata comes from the track index; art is referenced by URL, inline art would travel with every queue snapshot
+        await whenTrackIndexReady();
+        const { tracks: samples } = listTracks({ type: 'sample', sort: 'title', limit: Number.MAX_SAFE_INTEGER });
+        for (const { url, title, artist, album, duration, albumArt } of samples) {
+          addToQueue(sessionId, url, title, { type: 'sample', artist, album, duration, albumArt });
         }
       }
       addClient(sessionId, socket.id, safeName, deviceInfo, clientId);
+      // Bind the verified identity to the socket for handlers that aren't scoped to a session
+      socket.data.clientId = clientId;
+      socket.data.sessionId = sessionId;
       socket.join(sessionId);
       log('Socket', socket.id, 'joined session', sessionId, 'as client', clientId);
       // Ensure controllerClientId is set (first joiner becomes controller)
@@ -157,9 +400,16 @@ export function setupSocket(io) {
         becameController = true;
       }
       // If this clientId is the controller, update controllerId to this socket
+      let reclaimedControl = false;
       if (session.controllerClientId === clientId) {
         session.controllerId = socket.id;
         becameController = true;
+        // Back within the grace window: control was never handed on, so just end the wait
+        if (isControllerReconnecting(session)) {
+          cancelControllerGrace(sessionId);
+          reclaimedControl = true;
+          log('Controller', clientId, 'reclaimed control of session', sessionId);
+        }
       }
 
       // Always send the correct controllerClientId in the callback
@@ -168,19 +418,47 @@ export function setupSocket(io) {
         ...syncState,
         sessionId,
         audioUrl: process.env.AUDIO_URL || 'https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3',
+        clientId,
+        credential: identity.credential,
+        requiresPassword: isRoomProtected(session),
+        // Lets this client rejoin (reconnects, reloads) without resending the password
+        ...(isRoomProtected(session) ? { accessToken: createAccessToken(session, clientId).token } : {}),
       });
       
       // Send current queue to the joining client
-      socket.emit('queue_update', getQueue(sessionId));
+      socket.emit('queue_update', buildQueueSnapshot(session));
       
       io.to(sessionId).emit('clients_update', getClients(sessionId));
+      refreshPeerAssignments(sessionId);
       if (becameController) {
         io.to(sessionId).emit('controller_change', socket.id);
         io.to(sessionId).emit('controller_client_change', clientId);
       }
+      if (reclaimedControl) {
+        io.to(sessionId).emit('controller_reconnecting', { reconnecting: false, clientId, reclaimed: true });
+      }
       log('Client joined session', sessionId, 'Current queue:', getQueue(sessionId));
     });
 
+    /**
+     * create_invite: short-lived invite token for a password-protected room.
+     * - Any member can create one; QR codes and share links carry it instead of the password.
+     * - Returns { token, expiresAt } (token is null for rooms without a password).
+     */
+    socket.on('create_invite', ({ sessionId } = {}, callback) => {
+      if (!isValidSessionId(sessionId)) {
+        return typeof callback === "function" && callback({ error: 'Invalid sessionId' });
+      }
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      if (!session.clients.has(socket.id)) return typeof callback === "function" && callback({ error: 'Not a member of this session' });
+      if (!isRoomProtected(session)) {
+        return typeof callback === "function" && callback({ success: true, token: null, expiresAt: null });
+      }
+      const invite = createInviteToken(session);
+      typeof callback === "function" && callback({ success: true, ...invite });
+    });
+
     socket.on('play', ({ sessionId, timestamp } = {}) => {
       if (!isValidSessionId(sessionId) || !isValidTimestamp(timestamp)) return;
       const session = getSession(sessionId);
@@ -188,14 +466,10 @@ export function setupSocket(io) {
       const clientId = getClientIdBySocket(sessionId, socket.id);
       if (session.controllerClientId !== clientId) return;
       updatePlayback(sessionId, { isPlaying: true, timestamp, controllerId: socket.id });
-      log('Play in session', sessionId, 'at', timestamp);
-      io.to(sessionId).emit('sync_state', {
-        isPlaying: true,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: socket.id,
-        serverTime: Date.now()
-      });
+      const scheduled = scheduleStart(sessionId, 'play', reportScheduledStart);
+      log('Play in session', sessionId, 'at', timestamp, 'starting in', scheduled.leadMs, 'ms');
+      refreshTrackEnd(sessionId);
+      io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session, scheduled));
     });
 
     socket.on('pause', ({ sessionId, timestamp } = {}) => {
@@ -205,14 +479,10 @@ export function setupSocket(io) {
       const clientId = getClientIdBySocket(sessionId, socket.id);
       if (session.controllerClientId !== clientId) return;
       updatePlayback(sessionId, { isPlaying: false, timestamp, controllerId: socket.id });
+      cancelScheduledStart(sessionId);
       log('Pause in session', sessionId, 'at', timestamp);
-      io.to(sessionId).emit('sync_state', {
-        isPlaying: false,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: socket.id,
-        serverTime: Date.now()
-      });
+      refreshTrackEnd(sessionId);
+      io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session));
     });
 
     socket.on('seek', ({ sessionId, timestamp } = {}) => {
@@ -222,14 +492,11 @@ export function setupSocket(io) {
       const clientId = getClientIdBySocket(sessionId, socket.id);
       if (session.controllerClientId !== clientId) return;
       updateTimestamp(sessionId, timestamp, socket.id);
+      // Seeking while playing restarts everyone together from the new position
+      const scheduled = session.isPlaying ? scheduleStart(sessionId, 'seek', reportScheduledStart) : null;
       log('Seek in session', sessionId, 'to', timestamp);
-      io.to(sessionId).emit('sync_state', {
-        isPlaying: session.isPlaying,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: socket.id,
-        serverTime: Date.now()
-      });
+      refreshTrackEnd(sessionId);
+      io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session, scheduled));
     });
 
     socket.on('sync_request', async ({ sessionId } = {}, callback) => {
@@ -254,6 +521,16 @@ export function setupSocket(io) {
       }
     });
 
+    /**
+     * queue_snapshot: the whole queue, for a client whose queueVersion fell behind (a queue_patch went missing).
+     * - Callback gets the same payload as queue_update: { queue, queueVersion, selectedTrackIdx, stateVersion }.
+     */
+    socket.on('queue_snapshot', ({ sessionId } = {}, callback) => {
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      typeof callback === "function" && callback(buildQueueSnapshot(session));
+    });
+
     socket.on('request_controller', ({ sessionId } = {}, callback) => {
       if (!sessionId) return typeof callback === "function" && callback({ error: 'No sessionId provided' });
       const session = getSession(sessionId);
@@ -319,7 +596,9 @@ export function setupSocket(io) {
       
       // Remove the request and transfer controller role
       removeControllerRequest(sessionId, requesterClientId);
+      const previousCoHost = session.coHostClientId;
       setController(sessionId, requesterClientId);
+      if (previousCoHost !== session.coHostClientId) io.to(sessionId).emit('co_host_change', session.coHostClientId);
       
       log('Controller transferred to client', requesterClientId, 'in session', sessionId);
       
@@ -328,11 +607,8 @@ export function setupSocket(io) {
       io.to(sessionId).emit('controller_client_change', requesterClientId);
       io.to(sessionId).emit('controller_requests_update', getPendingControllerRequests(sessionId));
       io.to(sessionId).emit('sync_state', {
-        isPlaying: session.isPlaying,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: getSocketIdByClientId(sessionId, requesterClientId),
-        serverTime: Date.now()
+        ...buildPlaybackSyncState(session),
+        controllerId: getSocketIdByClientId(sessionId, requesterClientId)
       });
       
       typeof callback === "function" && callback({ success: true });
@@ -450,7 +726,9 @@ export function setupSocket(io) {
       }
       
       // Transfer controller role
+      const previousCoHost = session.coHostClientId;
       setController(sessionId, accepterClientId);
+      if (previousCoHost !== session.coHostClientId) io.to(sessionId).emit('co_host_change', session.coHostClientId);
       
       log('Controller transferred to client', accepterClientId, 'in session', sessionId);
       
@@ -476,11 +754,8 @@ export function setupSocket(io) {
       io.to(sessionId).emit('controller_change', getSocketIdByClientId(sessionId, accepterClientId));
       io.to(sessionId).emit('controller_client_change', accepterClientId);
       io.to(sessionId).emit('sync_state', {
-        isPlaying: session.isPlaying,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: getSocketIdByClientId(sessionId, accepterClientId),
-        serverTime: Date.now()
+        ...buildPlaybackSyncState(session),
+        controllerId: getSocketIdByClientId(sessionId, accepterClientId)
       });
       
       typeof callback === "function" && callback({ success: true });
@@ -515,17 +790,111 @@ export function setupSocket(io) {
       typeof callback === "function" && callback({ success: true });
     });
 
-    socket.on('chat_message', ({ sessionId, message, sender, displayName } = {}, callback) => {
-      // --- Rate limiting ---
-      const now = Date.now();
-      if (!chatRateLimit[socket.id]) chatRateLimit[socket.id] = [];
-      // Remove timestamps older than 3 seconds
-      chatRateLimit[socket.id] = chatRateLimit[socket.id].filter(ts => now - ts < 3000);
-      if (chatRateLimit[socket.id].length >= 5) {
-        if (typeof callback === 'function') callback({ error: 'You are sending messages too quickly. Please slow down.' });
-        return;
+    /**
+     * set_co_host: the controller picks who takes over if they drop and don't come back in time.
+     * - targetClientId must be a connected member other than the controller; null clears the co-host.
+     * - Broadcasts co_host_change with the new co-host's clientId (or null).
+     */
+    socket.on('set_co_host', ({ sessionId, targetClientId } = {}, callback) => {
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId || session.controllerClientId !== clientId) {
+        return typeof callback === "function" && callback({ error: 'Only the controller can choose a co-host' });
+      }
+      if (targetClientId) {
+        if (targetClientId === clientId) {
+          return typeof callback === "function" && callback({ error: 'The controller cannot be their own co-host' });
+        }
+        if (!getSocketIdByClientId(sessionId, targetClientId)) {
+          return typeof callback === "function" && callback({ error: 'Client not found in session' });
+        }
+      }
+      session.coHostClientId = targetClientId || null;
+      log('Co-host for session', sessionId, 'set to', session.coHostClientId, 'by', clientId);
+      io.to(sessionId).emit('co_host_change', session.coHostClientId);
+      typeof callback === "function" && callback({ success: true, coHostClientId: session.coHostClientId });
+    });
+
+    /**
+     * latency_profile: a client reports its output device and latency (see latencyProfileManager).
+     * - The profile is stored per clientId + deviceKey, so it comes back on any later join with that device.
+     * - Replies { success, profile } with the compensation to apply; the room gets clients_update for DeviceList.
+     */
+    socket.on('latency_profile', ({ sessionId, deviceKey, deviceLabel, reportedLatency, calibratedLatency, clearCalibration } = {}, callback) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId) return typeof callback === "function" && callback({ error: 'Not a member of this session' });
+      const profile = reportLatencyProfile(sessionId, socket.id, clientId, { deviceKey, deviceLabel, reportedLatency, calibratedLatency, clearCalibration });
+      io.to(sessionId).emit('clients_update', getClients(sessionId));
+      typeof callback === "function" && callback({ success: true, profile });
+    });
+
+    /**
+     * set_latency_adjustment: fine-tune a member's output latency compensation (seconds, added to the measured value).
+     * - The controller can adjust anyone; everyone else only themselves.
+     * - The new compensation reaches the target (and DeviceList) through clients_update.
+     */
+    socket.on('set_latency_adjustment', ({ sessionId, targetClientId, adjustment } = {}, callback) => {
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId || (targetClientId !== clientId && session.controllerClientId !== clientId)) {
+        return typeof callback === "function" && callback({ error: 'Only the controller can adjust other listeners' });
+      }
+      const result = setLatencyAdjustment(sessionId, targetClientId, adjustment);
+      if (!result) return typeof callback === "function" && callback({ error: 'Client has not reported an output device' });
+      log('Latency adjustment for', targetClientId, 'in session', sessionId, 'set to', result.profile.adjustment, 'by', clientId);
+      io.to(sessionId).emit('clients_update', getClients(sessionId));
+      typeof callback === "function" && callback({ success: true, profile: result.profile });
+    });
+
+    /**
+     * acoustic_calibration_start: the controller aligns the room's speakers by ear (see acousticCalibrationManager).
+     * - Only while paused: the chirps have to be heard over silence.
+     * - The room gets acoustic_calibration with every member's slot and play time; the sender records.
+     */
+    socket.on('acoustic_calibration_start', ({ sessionId } = {}, callback) => {
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId || session.controllerClientId !== clientId) {
+        return typeof callback === "function" && callback({ error: 'Only the controller can calibrate speakers' });
+      }
+      if (session.isPlaying) {
+        return typeof callback === "function" && callback({ error: 'Pause playback before calibrating speakers' });
       }
-      chatRateLimit[socket.id].push(now);
+      const run = startAcousticCalibration(sessionId, socket.id);
+      if (!run) return typeof callback === "function" && callback({ error: 'Not a member of this session' });
+      log('Acoustic calibration', run.runId, 'started in session', sessionId, 'with', run.slots.length, 'speaker(s)');
+      io.to(sessionId).emit('acoustic_calibration', run);
+      typeof callback === "function" && callback({ success: true, run });
+    });
+
+    /**
+     * acoustic_calibration_result: the recorder's offsets per slot (seconds, positive = sounded late).
+     * - Each offset goes into that speaker's device profile; the room gets clients_update and acoustic_calibration_done.
+     */
+    socket.on('acoustic_calibration_result', ({ sessionId, runId, offsets } = {}, callback) => {
+      const run = finishAcousticCalibration(sessionId, runId, socket.id);
+      if (!run) return typeof callback === "function" && callback({ error: 'No matching calibration in progress' });
+      const results = [];
+      for (const { slot, socketId, clientId } of run.slots) {
+        const offset = offsets[slot];
+        if (typeof offset !== 'number') {
+          results.push({ clientId, heard: false });
+          continue;
+        }
+        const profile = applyAcousticOffset(sessionId, socketId, offset);
+        results.push({ clientId, heard: true, offset, compensation: profile ? profile.compensation : null });
+      }
+      log('Acoustic calibration', runId, 'in session', sessionId, 'heard', results.filter(r => r.heard).length, 'of', results.length, 'speaker(s)');
+      io.to(sessionId).emit('clients_update', getClients(sessionId));
+      io.to(sessionId).emit('acoustic_calibration_done', { runId, results });
+      typeof callback === "function" && callback({ success: true, results });
+    });
+
+    socket.on('chat_message', ({ sessionId, message, displayName } = {}, callback) => {
+      // Rate limiting happens in the socket guard (5 messages per 3 seconds)
       if (!sessionId || !message || typeof message !== 'string') {
         if (typeof callback === 'function') callback({ error: 'Invalid chat message data' });
         return;
@@ -548,25 +917,19 @@ export function setupSocket(io) {
         if (typeof callback === 'function') callback({ error: 'Session not found' });
         return;
       }
-      // Try to get displayName from payload, else from session.clients map
+      // Sender is whoever this socket joined as, never a payload field
+      const clientInfo = session.clients.get(socket.id);
+      if (!clientInfo) {
+        if (typeof callback === 'function') callback({ error: 'Not a member of this session' });
+        return;
+      }
+      const sender = clientInfo.clientId || socket.id;
+      // Prefer the name from the payload (it may have changed since join), else the one from join
       let resolvedDisplayName = displayName ? safeDisplayName(displayName) : undefined;
       if (!resolvedDisplayName) {
-        // Try to find by socketId or clientId
-        let clientInfo = null;
-        // Try by socketId
-        clientInfo = session.clients.get(socket.id);
-        // If not found, try by clientId
-        if (!clientInfo && sender) {
-          for (const info of session.clients.values()) {
-            if (info.clientId === sender) {
-              clientInfo = info;
-              break;
-            }
-          }
-        }
-        resolvedDisplayName = clientInfo && clientInfo.displayName ? safeDisplayName(clientInfo.displayName) : undefined;
+        resolvedDisplayName = clientInfo.displayName ? safeDisplayName(clientInfo.displayName) : undefined;
       }
-      let formattedMessage = formatChatMessage(sender || socket.id, safeMessage, resolvedDisplayName);
+      let formattedMessage = formatChatMessage(sender, safeMessage, resolvedDisplayName);
       // Ensure messageId is present
       if (!formattedMessage.messageId) {
         formattedMessage = { ...formattedMessage, messageId: uuidv4() };
@@ -579,9 +942,11 @@ export function setupSocket(io) {
     });
 
     // Edit message event
-    socket.on('edit_message', ({ sessionId, messageId, newMessage, clientId }, callback) => {
+    socket.on('edit_message', ({ sessionId, messageId, newMessage } = {}, callback) => {
       const sessionMessages = getSessionMessages(sessionId);
       if (!sessionMessages) return callback && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId) return callback && callback({ error: 'Not a member of this session' });
       const msgIdx = sessionMessages.findIndex(m => m.messageId === messageId);
       if (msgIdx === -1) return callback && callback({ error: 'Message not found' });
       const msg = sessionMessages[msgIdx];
@@ -598,9 +963,11 @@ export function setupSocket(io) {
     });
 
     // Delete message event
-    socket.on('delete_message', ({ sessionId, messageId, clientId }, callback) => {
+    socket.on('delete_message', ({ sessionId, messageId } = {}, callback) => {
       const sessionMessages = getSessionMessages(sessionId);
       if (!sessionMessages) return callback && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId) return callback && callback({ error: 'Not a member of this session' });
       const msgIdx = sessionMessages.findIndex(m => m.messageId === messageId);
       if (msgIdx === -1) return callback && callback({ error: 'Message not found' });
       const msg = sessionMessages[msgIdx];
@@ -611,18 +978,21 @@ export function setupSocket(io) {
     });
 
     // Report message event
-    socket.on('report_message', ({ sessionId, messageId, reporterId, reason }, callback) => {
+    socket.on('report_message', ({ sessionId, messageId, reason } = {}, callback) => {
       const sessionMessages = getSessionMessages(sessionId);
       if (!sessionMessages) return callback && callback({ error: 'Session not found' });
+      const reporterId = getClientIdBySocket(sessionId, socket.id);
+      if (!reporterId) return callback && callback({ error: 'Not a member of this session' });
       const msg = sessionMessages.find(m => m.messageId === messageId);
       if (!msg) return callback && callback({ error: 'Message not found' });
       // For now, just log the report
-     
+      log('Message', messageId, 'in session', sessionId, 'reported by', reporterId, reason ? `: ${String(reason).slice(0, 200)}` : '');
       callback && callback({ success: true });
     });
 
     // --- MESSAGE READ EVENT ---
-    socket.on('message_read', ({ sessionId, messageId, clientId }) => {
+    socket.on('message_read', ({ sessionId, messageId } = {}) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
       if (!sessionId || !messageId || !clientId) return;
       const sessionMessages = getSessionMessages(sessionId);
       if (!sessionMessages) return;
@@ -633,7 +1003,7 @@ export function setupSocket(io) {
       io.to(sessionId).emit('message_read', { messageId, reader: clientId });
     });
 
-    socket.on('reaction', ({ sessionId, reaction, sender } = {}) => {
+    socket.on('reaction', ({ sessionId, reaction } = {}) => {
       if (!sessionId || !reaction || typeof reaction !== 'string') {
         return;
       }
@@ -641,19 +1011,22 @@ export function setupSocket(io) {
       if (!session) {
         return;
       }
+      const sender = getClientIdBySocket(sessionId, socket.id);
+      if (!sender) return;
       log('Reaction in session', sessionId, ':', reaction);
-      const formattedReaction = formatReaction(sender || socket.id, reaction);
+      const formattedReaction = formatReaction(sender, reaction);
      
       io.to(sessionId).emit('reaction', formattedReaction);
     });
 
     /**
      * Enhanced add_to_queue event:
-     * - Validates input more strictly (URL, title).
-     * - Optionally supports metadata (artist, duration, etc) for future extensibility.
-     * - Prevents duplicate tracks (by URL) in the queue.
+     * - The socket guard has already checked the payload: url must be http(s) or an /audio/ path,
+     *   and metadata is limited to the keys declared for add_to_queue in middleware/eventSchemas.js.
+     * - Every entry gets a server-generated id plus addedBy/addedAt, so the same URL may be queued twice.
      * - Optionally allows only the controller to add tracks (uncomment to enforce).
-     * - Broadcasts queue_update and emits a track_change if this is the first track.
+     * - Broadcasts an insert queue_patch and emits a track_change if this is the first track.
+     * - If the server has to probe the duration, an update queue_patch follows once it's known.
      * - Returns detailed result in callback.
      */
     socket.on('add_to_queue', (data = {}, callback) => {
@@ -668,47 +1041,62 @@ export function setupSocket(io) {
       //   return callback && callback({ error: 'Only the controller can add tracks' });
       // }
 
-      // Enhanced: Prevent duplicate URLs in queue
-      const queue = getQueue(sessionId) || [];
-      if (queue.some(track => track && track.url === url)) {
-        return typeof callback === "function" && callback({ error: 'Track already in queue' });
-      }
-
       // Enhanced: Validate title (optional, allow empty but not non-string)
       const safeTitle = typeof title === 'string' ? title : '';
 
       // Enhanced: Support extra metadata (artist, duration, etc)
-      addToQueue(sessionId, url, safeTitle, meta);
+      const entry = addToQueue(sessionId, url, safeTitle, meta, getClientIdBySocket(sessionId, socket.id));
+      if (!entry) {
+        return typeof callback === "function" && callback({ error: 'Session not found' });
+      }
 
       const updatedQueue = getQueue(sessionId);
 
       log('[DEBUG] add_to_queue: session', sessionId, 'queue now:', updatedQueue);
 
-      io.to(sessionId).emit('queue_update', updatedQueue);
+      // Probe the duration in the background so auto-advance also works for tracks the client didn't time
+      const knownDuration = getTrackDuration(entry);
+      ensureTrackDuration(entry).then((duration) => {
+        if (!knownDuration && duration && updateQueueEntry(sessionId, entry.id, { duration })) {
+          emitQueuePatch(sessionId, 'update', { entryId: entry.id, changes: { duration } });
+        }
+        refreshTrackEnd(sessionId);
+      }).catch((err) => {
+        // The entry keeps no duration: no server-side auto-advance for it
+        console.error('[add_to_queue] Could not probe track duration:', err);
+      });
+
+      const session = getSession(sessionId);
+      bumpStateVersion(session);
+      emitQueuePatch(sessionId, 'insert', { index: updatedQueue.length - 1, entry });
+      refreshShuffleOrder(sessionId, entry.addedBy);
 
       // If this is the first track, emit a track_change event to set current track
       if (updatedQueue.length === 1) {
         io.to(sessionId).emit('track_change', {
           idx: 0,
+          entryId: entry.id,
           track: updatedQueue[0],
           reason: 'first_track_added',
-          initiator: getClientIdBySocket(sessionId, socket.id)
+          initiator: getClientIdBySocket(sessionId, socket.id),
+          stateVersion: session.stateVersion
         });
       }
 
-      typeof callback === "function" && callback({ success: true, queue: updatedQueue });
+      typeof callback === "function" && callback({ success: true, entry, queueVersion: session.queueVersion });
     });
 
     /**
      * Enhanced remove_from_queue:
-     * - Validates input more strictly (sessionId, index).
+     * - Validates input more strictly (sessionId, entryId or index).
+     * - Entries are addressed by their server-generated entryId; index is kept as a fallback.
      * - Only controller can remove tracks.
      * - Handles edge cases: removing current track, out-of-bounds, empty queue.
-     * - Broadcasts queue_update and, if needed, emits track_change if current track is removed.
+     * - Broadcasts a remove queue_patch and, if needed, emits track_change if current track is removed.
      * - Returns detailed result in callback.
      * - Logs for debugging.
      */
-    socket.on('remove_from_queue', ({ sessionId, index, trackId } = {}, callback) => {
+    socket.on('remove_from_queue', ({ sessionId, index, entryId } = {}, callback) => {
       // Validate input
       if (!sessionId || typeof sessionId !== 'string') {
         return typeof callback === "function" && callback({ error: 'Invalid input' });
@@ -722,25 +1110,26 @@ export function setupSocket(io) {
       let removedTrack = null;
       let removed = false;
       let removedIndex = -1;
-      // Prefer removal by trackId if provided
-      if (trackId) {
-        removedIndex = queue.findIndex(t => t && (t.url === trackId || t.id === trackId || t.title === trackId));
+      // Prefer removal by entryId if provided
+      if (entryId) {
+        removedIndex = getQueueIndexById(sessionId, entryId);
         if (removedIndex === -1) {
           return typeof callback === "function" && callback({ error: 'Track not found' });
         }
         removedTrack = queue[removedIndex];
-        removed = removeFromQueueById(sessionId, trackId);
+        removed = removeFromQueueById(sessionId, entryId);
       } else if (typeof index === 'number' && index >= 0 && index < queue.length) {
         removedTrack = queue[index];
         removed = removeFromQueue(sessionId, index);
         removedIndex = index;
       } else {
-        return typeof callback === "function" && callback({ error: 'Invalid index or trackId' });
+        return typeof callback === "function" && callback({ error: 'Invalid index or entryId' });
       }
       if (!removed) return typeof callback === "function" && callback({ error: 'Remove failed' });
 
-      // --- Delete uploaded file if it's a user upload (not a sample) ---
-      if (removedTrack && removedTrack.url && typeof removedTrack.url === 'string') {
+      // --- Delete uploaded file if it's a user upload (not a sample) and no other entry still uses it ---
+      const stillQueued = removedTrack && queue.some(t => t && t.url === removedTrack.url);
+      if (removedTrack && removedTrack.url && typeof removedTrack.url === 'string' && !stillQueued) {
         // Support both absolute and relative URLs
         let pathname = removedTrack.url;
         try {
@@ -756,32 +1145,38 @@ export function setupSocket(io) {
           pathname.startsWith(uploadsPrefix) &&
           !pathname.startsWith(samplesPrefix)
         ) {
-          // Extract filename
-          const filename = decodeURIComponent(pathname.substring(uploadsPrefix.length));
-          const filePath = path.join(process.cwd(), 'uploads', filename);
-          log(`[remove_from_queue][DEBUG] Attempting to delete file:`, filePath, 'from url:', removedTrack.url);
-          fs.unlink(filePath, (err) => {
-            if (err) {
-              console.error(`[remove_from_queue] Failed to delete file ${filePath}:`, err);
-            } else {
-              log(`[remove_from_queue] Deleted user-uploaded file: ${filePath}`);
-            }
-          });
+          // Extract filename; another room may still be playing it
+          let filename = null;
+          try {
+            filename = decodeURIComponent(pathname.substring(uploadsPrefix.length));
+          } catch (e) {
+            // Malformed percent-encoding: not one of our files
+          }
+          if (filename) {
+            log(`[remove_from_queue][DEBUG] Attempting to delete file:`, filename, 'from url:', removedTrack.url);
+            deleteUploadIfUnused(filename, `removed from the queue of ${sessionId}`);
+          }
         }
       }
 
       const updatedQueue = getQueue(sessionId) || [];
-      log('[DEBUG] remove_from_queue: session', sessionId, 'removed', trackId ? `trackId ${trackId}` : `index ${removedIndex}`, 'track:', removedTrack, 'queue now:', updatedQueue);
+      log('[DEBUG] remove_from_queue: session', sessionId, 'removed', entryId ? `entryId ${entryId}` : `index ${removedIndex}`, 'track:', removedTrack, 'queue now:', updatedQueue);
 
+      bumpStateVersion(session);
       // If the removed track was the current track, emit a track_change to update current track
       let trackChangePayload = null;
       if (typeof session.selectedTrackIdx === 'number' && session.selectedTrackIdx === removedIndex) {
+        // Whatever is selected next starts from the top, like any track change; the track-end timer below
+        // must not run from the removed track's position
+        session.timestamp = 0;
+        session.lastUpdated = serverNow();
         // If queue is not empty, select next track (or previous if last was removed), else null
         let newIdx = 0;
         if (updatedQueue.length === 0) {
           session.selectedTrackIdx = 0;
           trackChangePayload = {
             idx: null,
+            entryId: null,
             track: null,
             reason: 'track_removed_queue_empty',
             initiator: clientId,
@@ -793,13 +1188,19 @@ export function setupSocket(io) {
           session.selectedTrackIdx = newIdx;
           trackChangePayload = {
             idx: newIdx,
+            entryId: updatedQueue[newIdx].id,
             track: updatedQueue[newIdx],
             reason: 'current_track_removed',
             initiator: clientId,
             timestamp: Date.now()
           };
         }
+        trackChangePayload.stateVersion = session.stateVersion;
+        // While playing, the next track starts everyone together once they've had time to load it
+        const scheduled = session.isPlaying && updatedQueue.length > 0 ? scheduleStart(sessionId, 'track_change', reportScheduledStart) : null;
+        if (!scheduled) cancelScheduledStart(sessionId);
         io.to(sessionId).emit('track_change', trackChangePayload);
+        io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session, scheduled));
       } else if (
         typeof session.selectedTrackIdx === 'number' &&
         removedIndex < session.selectedTrackIdx
@@ -808,23 +1209,103 @@ export function setupSocket(io) {
         session.selectedTrackIdx = Math.max(0, session.selectedTrackIdx - 1);
       }
 
-      io.to(sessionId).emit('queue_update', updatedQueue);
+      emitQueuePatch(sessionId, 'remove', { entryId: removedTrack ? removedTrack.id : null, index: removedIndex });
+      refreshShuffleOrder(sessionId, clientId);
+      refreshTrackEnd(sessionId);
 
       typeof callback === "function" && callback({
         success: true,
         removedIndex,
+        removedEntryId: removedTrack ? removedTrack.id : null,
         removedTrack,
-        queue: updatedQueue,
+        queueVersion: session.queueVersion,
         ...(trackChangePayload ? { trackChange: trackChangePayload } : {})
       });
     });
 
+    /**
+     * move_in_queue: reorder the queue (controller only).
+     * - Moves the entry identified by entryId (or at fromIndex) to toIndex; selectedTrackIdx follows the currently playing track.
+     * - Broadcasts a move queue_patch carrying the new selectedTrackIdx, so clients never render
+     *   the new order against a stale index.
+     * - A move to the same index changes nothing and broadcasts nothing.
+     */
+    socket.on('move_in_queue', ({ sessionId, entryId, fromIndex, toIndex } = {}, callback) => {
+      if (!isValidSessionId(sessionId) || !Number.isInteger(toIndex) || (!entryId && !Number.isInteger(fromIndex))) {
+        return typeof callback === "function" && callback({ error: 'Invalid input' });
+      }
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (session.controllerClientId !== clientId) return typeof callback === "function" && callback({ error: 'Not allowed' });
+
+      if (entryId) {
+        fromIndex = getQueueIndexById(sessionId, entryId);
+        if (fromIndex === -1) return typeof callback === "function" && callback({ error: 'Track not found' });
+      }
+
+      if (!moveInQueue(sessionId, fromIndex, toIndex)) {
+        return typeof callback === "function" && callback({ error: 'Invalid index' });
+      }
+      if (fromIndex === toIndex) {
+        // Nothing moved and no version was bumped: no patch, clients already have this queue
+        return typeof callback === "function" && callback({ success: true, queueVersion: session.queueVersion || 0 });
+      }
+      const updatedQueue = getQueue(sessionId);
+      bumpStateVersion(session);
+      const payload = emitQueuePatch(sessionId, 'move', {
+        entryId: updatedQueue[toIndex].id,
+        fromIndex,
+        toIndex,
+        initiator: clientId
+      });
+      log('Queue move in session', sessionId, ':', fromIndex, '->', toIndex, 'selectedTrackIdx now', session.selectedTrackIdx);
+
+      typeof callback === "function" && callback({ success: true, ...payload });
+    });
+
+    /**
+     * set_playback_mode: change shuffle and/or repeat mode for the whole session (controller only).
+     * - shuffle: boolean. Turning it on builds a fresh server-held order starting at the current track,
+     *   so every client steps through the same sequence.
+     * - repeatMode: 'off' | 'one' | 'all'.
+     * - Broadcasts playback_mode_update with { shuffle, shuffleOrder, repeatMode, initiator }.
+     */
+    socket.on('set_playback_mode', ({ sessionId, shuffle, repeatMode } = {}, callback) => {
+      if (!isValidSessionId(sessionId)) {
+        return typeof callback === "function" && callback({ error: 'Invalid input' });
+      }
+      if (shuffle !== undefined && typeof shuffle !== 'boolean') {
+        return typeof callback === "function" && callback({ error: 'Invalid shuffle value' });
+      }
+      if (repeatMode !== undefined && !REPEAT_MODES.includes(repeatMode)) {
+        return typeof callback === "function" && callback({ error: 'Invalid repeat mode' });
+      }
+      const session = getSession(sessionId);
+      if (!session) return typeof callback === "function" && callback({ error: 'Session not found' });
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (session.controllerClientId !== clientId) return typeof callback === "function" && callback({ error: 'Not allowed' });
+
+      if (typeof shuffle === 'boolean' && shuffle !== !!session.shuffle) {
+        session.shuffle = shuffle;
+        session.shuffleOrder = shuffle ? buildShuffleOrder(getQueue(sessionId), getCurrentTrack(session)?.id) : [];
+      }
+      if (repeatMode !== undefined) {
+        session.repeatMode = repeatMode;
+      }
+      const payload = { ...buildPlaybackModeState(session), initiator: clientId };
+      io.to(sessionId).emit('playback_mode_update', payload);
+      log('Playback mode in session', sessionId, ': shuffle', payload.shuffle, 'repeat', payload.repeatMode);
+
+      typeof callback === "function" && callback({ success: true, ...payload });
+    });
+
     /**
      * Ultra-Enhanced track_change event:
      * - Only controller can change track.
      * - Broadcasts new track index and metadata to all clients.
-     * - Supports "reason", "initiator", and "extra" for diagnostics.
-     * - Emits a queue_update for clients to refresh their queue state.
+     * - Supports "reason" and "initiator" for diagnostics.
+     * - Only selects tracks already in the queue (by entryId, or idx for older clients).
      * - Optionally supports "autoAdvance" and "force" flags for advanced control.
      * - Handles out-of-bounds and empty queue cases gracefully.
      * - Logs detailed diagnostics in development.
@@ -833,7 +1314,7 @@ export function setupSocket(io) {
      */
     socket.on('track_change', (data, callback) => {
       data = data || {};
-      let { sessionId, idx, reason, extra, autoAdvance, force, track: customTrack } = data;
+      let { sessionId, idx, entryId, reason, autoAdvance, force } = data;
 
       if (!sessionId) {
         if (typeof callback === "function") callback({ error: 'No sessionId provided' });
@@ -856,19 +1337,16 @@ export function setupSocket(io) {
         return;
       }
 
-      let queue = getQueue(sessionId) || [];
-      let newIdx = typeof idx === 'number' ? idx : 0;
-      let track = (queue.length > 0 && typeof newIdx === 'number' && queue[newIdx]) ? queue[newIdx] : null;
-
-      // --- Backend safeguard: If a custom track is provided and not in the queue, add it ---
-      if (customTrack && customTrack.url && !queue.some(t => t && t.url === customTrack.url)) {
-        addToQueue(sessionId, customTrack.url, customTrack.title || '', customTrack.meta || {});
-        queue = getQueue(sessionId) || [];
-        newIdx = queue.findIndex(t => t && t.url === customTrack.url);
-        track = queue[newIdx];
+      // Only queued tracks can be selected: new tracks go through add_to_queue and its checks first
+      const queue = getQueue(sessionId) || [];
+      // Prefer addressing the entry by id; idx is a fallback for older clients
+      const entryIdx = entryId ? getQueueIndexById(sessionId, entryId) : -1;
+      if (entryId && entryIdx === -1) {
+        if (typeof callback === "function") callback({ error: 'Track not found' });
+        return;
       }
-
-
+      let newIdx = entryIdx !== -1 ? entryIdx : (typeof idx === 'number' ? idx : 0);
+      let track = (queue.length > 0 && typeof newIdx === 'number' && queue[newIdx]) ? queue[newIdx] : null;
 
       // Defensive: If idx is out of bounds, clamp to valid range or null
       if (typeof newIdx === 'number' && (newIdx < 0 || newIdx >= queue.length)) {
@@ -890,7 +1368,11 @@ export function setupSocket(io) {
 
       // --- Reset playback timestamp when changing tracks ---
       session.timestamp = 0;
-      session.lastUpdated = Date.now();
+      session.lastUpdated = serverNow();
+      bumpStateVersion(session);
+      // While playing, the new track starts everyone together once they've had time to load it
+      const scheduled = session.isPlaying ? scheduleStart(sessionId, 'track_change', reportScheduledStart) : null;
+      if (!scheduled) cancelScheduledStart(sessionId);
 
       // Optionally support autoAdvance (e.g., for next/prev track)
       let autoAdvanceInfo = {};
@@ -903,43 +1385,46 @@ export function setupSocket(io) {
 
       // Debug log for queue and track
       if (process.env.NODE_ENV === 'development') {
-        log('[DEBUG][track_change] session:', sessionId, 'queue:', queue, 'idx:', newIdx, 'track:', track, 'reason:', reason, 'extra:', extra, 'autoAdvance:', autoAdvance, 'force:', force);
+        log('[DEBUG][track_change] session:', sessionId, 'queue:', queue, 'idx:', newIdx, 'track:', track, 'reason:', reason, 'autoAdvance:', autoAdvance, 'force:', force);
       }
 
       const payload = {
         idx: newIdx,
+        entryId: track ? track.id : null,
         track,
         reason: reason || null,
         initiator: clientId,
         timestamp: Date.now(),
+        stateVersion: session.stateVersion,
         ...autoAdvanceInfo,
-        ...(extra && typeof extra === 'object' ? { extra } : {})
       };
 
-      // Emit track_change and sync_state BEFORE queue_update for fastest listener update
+      // Emit track_change and sync_state BEFORE the queue_patch for fastest listener update
       io.to(sessionId).emit('track_change', payload);
-      io.to(sessionId).emit('sync_state', {
-        isPlaying: session.isPlaying,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: session.controllerId,
-        serverTime: Date.now()
-      });
-      io.to(sessionId).emit('queue_update', queue);
+      io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session, scheduled));
+      refreshShuffleOrder(sessionId, clientId);
       log('Track change in session', sessionId, ':', payload);
+      refreshTrackEnd(sessionId);
 
       // Emit sync_state after track change so all clients get the latest play state and timestamp
-      io.to(sessionId).emit('sync_state', {
-        isPlaying: session.isPlaying,
-        timestamp: session.timestamp,
-        lastUpdated: session.lastUpdated,
-        controllerId: session.controllerId,
-        serverTime: Date.now()
-      });
+      io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session, scheduled));
 
       if (typeof callback === "function") callback({ success: true, ...payload });
     });
 
+    /**
+     * schedule_ack: a client has scheduled its start for a pending play/seek/track change.
+     * - Acks that arrive after the start instant count as late in the schedule_result report.
+     * - Replies { success, status: 'on_time' | 'late' }, or an error for an unknown or superseded schedule.
+     */
+    socket.on('schedule_ack', ({ sessionId, scheduleId } = {}, callback) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
+      if (!clientId) return typeof callback === "function" && callback({ error: 'Not a member of this session' });
+      const status = acknowledgeStart(sessionId, scheduleId, clientId);
+      if (!status) return typeof callback === "function" && callback({ error: 'Unknown or superseded schedule' });
+      typeof callback === "function" && callback({ success: true, status });
+    });
+
     /**
      * Ultra-accurate time_sync event for robust client-server time synchronization.
      * Responds with:
@@ -954,7 +1439,7 @@ export function setupSocket(io) {
      *   - roundTripEstimate: estimated round-trip time in ms (if client provides a callback timestamp)
      */
     socket.on('time_sync', (clientSent, callback) => {
-      const serverReceived = Date.now();
+      const serverReceived = serverNow();
       const parsedClientSent = typeof clientSent === 'number' ? clientSent : Number(clientSent) || null;
 
       // Optionally, allow client to send an object with more info (future-proofing)
@@ -968,10 +1453,15 @@ export function setupSocket(io) {
         }
       }
 
+      // Clients include their smoothed RTT/jitter, which feeds the reference peer election
+      if (socket.data.sessionId && typeof clientExtra.rtt === 'number') {
+        recordClientSyncStats(socket.data.sessionId, socket.id, clientExtra);
+      }
+
       if (typeof callback === "function") {
         // Simulate minimal processing delay for realism
         setImmediate(() => {
-          const serverProcessed = Date.now();
+          const serverProcessed = serverNow();
           // Optionally estimate round-trip if client sent a callback timestamp
           let roundTripEstimate = null;
           if (clientExtra && typeof clientExtra.clientCallbackReceived === 'number') {
@@ -997,16 +1487,19 @@ export function setupSocket(io) {
       }
     });
 
-    // Store per-client drift for diagnostics/adaptive correction
-    const clientDriftMap = {};
-
-    socket.on('drift_report', ({ sessionId, drift, clientId, timestamp, manual, resyncDuration, beforeDrift, afterDrift, improvement } = {}) => {
+    /**
+     * drift_report: a client drifted past its threshold (or finished a manual resync).
+     * - Feeds driftManager, so the broadcaster sends this socket a targeted correction on its next tick.
+     */
+    socket.on('drift_report', ({ sessionId, drift, timestamp, manual, resyncDuration, beforeDrift, afterDrift, improvement } = {}) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
       if (!sessionId || typeof drift !== 'number' || !clientId) return;
-      if (!clientDriftMap[sessionId]) clientDriftMap[sessionId] = {};
-      clientDriftMap[sessionId][clientId] = { drift, timestamp };
-      
+      recordClientDrift(sessionId, socket.id, clientId, { drift, manual, timestamp, beforeDrift, afterDrift, improvement, resyncDuration });
+
       // Enhanced logging with more context
-      let logMessage = `[DRIFT] Session ${sessionId} Client ${clientId}: Drift=${drift.toFixed(3)}s at ${new Date(timestamp).toISOString()}`;
+      // The client's clock: a value Date can't represent is logged as is rather than thrown on
+      const reportedAt = new Date(timestamp);
+      let logMessage = `[DRIFT] Session ${sessionId} Client ${clientId}: Drift=${drift.toFixed(3)}s at ${Number.isNaN(reportedAt.getTime()) ? timestamp : reportedAt.toISOString()}`;
       
       if (manual) {
         logMessage += ` (MANUAL RESYNC)`;
@@ -1022,42 +1515,29 @@ export function setupSocket(io) {
       }
       
       log(logMessage);
-      
-      // Store additional analytics for manual resyncs
-      if (manual && typeof improvement === 'number') {
-        if (!clientDriftMap[sessionId][clientId].resyncHistory) {
-          clientDriftMap[sessionId][clientId].resyncHistory = [];
-        }
-        clientDriftMap[sessionId][clientId].resyncHistory.push({
-          timestamp,
-          beforeDrift,
-          afterDrift,
-          improvement,
-          resyncDuration
-        });
-        
-        // Keep only last 10 resyncs
-        if (clientDriftMap[sessionId][clientId].resyncHistory.length > 10) {
-          clientDriftMap[sessionId][clientId].resyncHistory.shift();
-        }
-      }
-      
-      // (Optional) Adaptive correction logic can be added here
+      recordDriftReport(sessionId, { drift, manual, improvement, resyncDuration });
     });
 
     // Typing indicator events
-    socket.on('typing', ({ sessionId, clientId, displayName }) => {
-      if (!sessionId || !clientId) return;
+    socket.on('typing', ({ sessionId, displayName } = {}) => {
+      const session = getSession(sessionId);
+      const clientInfo = session && session.clients.get(socket.id);
+      if (!clientInfo || !clientInfo.clientId) return;
       // Broadcast to all except sender
-      socket.to(sessionId).emit('user_typing', { clientId, displayName: safeDisplayName(displayName) });
+      socket.to(sessionId).emit('user_typing', {
+        clientId: clientInfo.clientId,
+        displayName: safeDisplayName(displayName || clientInfo.displayName)
+      });
     });
-    socket.on('stop_typing', ({ sessionId, clientId }) => {
+    socket.on('stop_typing', ({ sessionId } = {}) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
       if (!sessionId || !clientId) return;
       socket.to(sessionId).emit('user_stop_typing', { clientId });
     });
 
     // --- Emoji Reaction Events ---
-    socket.on('emoji_reaction', ({ sessionId, messageId, emoji, clientId, displayName }, callback) => {
+    socket.on('emoji_reaction', ({ sessionId, messageId, emoji, displayName } = {}, callback) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
       if (!sessionId || !messageId || !emoji || !clientId) {
         if (typeof callback === 'function') callback({ error: 'Invalid reaction data' });
         return;
@@ -1085,12 +1565,13 @@ export function setupSocket(io) {
         messageId,
         reactions: reactions[messageId],
         addedBy: clientId,
-        joinedBy: displayName,
+        joinedBy: safeDisplayName(displayName || getSession(sessionId)?.clients.get(socket.id)?.displayName),
       });
       if (typeof callback === 'function') callback({ success: true, reactions: reactions[messageId] });
     });
 
-    socket.on('remove_emoji_reaction', ({ sessionId, messageId, emoji, clientId }, callback) => {
+    socket.on('remove_emoji_reaction', ({ sessionId, messageId, emoji } = {}, callback) => {
+      const clientId = getClientIdBySocket(sessionId, socket.id);
       if (!sessionId || !messageId || !emoji || !clientId) {
         if (typeof callback === 'function') callback({ error: 'Invalid reaction data' });
         return;
@@ -1128,93 +1609,106 @@ export function setupSocket(io) {
       if (typeof callback === 'function') callback({ success: true, reactions });
     });
 
-    socket.on('disconnect', () => {
+    /**
+     * disconnect: leave every session this socket was in.
+     * - A controller that drops (network blip, reload) keeps control for CONTROLLER_GRACE_MS and the room gets
+     *   controller_reconnecting; rejoining with the same clientId reclaims it (see join_session).
+     * - A controller that disconnects on purpose hands over straight away using the same succession policy.
+     * - Empty sessions are removed, unless the controller may still come back.
+     */
+    socket.on('disconnect', (reason) => {
       for (const [sessionId, session] of Object.entries(getAllSessions())) {
         const clientId = getClientIdBySocket(sessionId, socket.id);
         removeClient(sessionId, socket.id);
+        removeClientDrift(sessionId, socket.id);
         // Clean up any pending controller requests from this client
         if (clientId) {
           removeControllerRequest(sessionId, clientId);
         }
-        // If the disconnecting socket was the controller, assign a new controller if possible
         if (session.controllerId === socket.id) {
-          // Find the next available client (if any)
-          const remainingClients = Array.from(session.clients.entries());
-          if (remainingClients.length > 0) {
-            // Pick the first client as the new controller
-            const [newSocketId, newClientInfo] = remainingClients[0];
-            session.controllerId = newSocketId;
-            session.controllerClientId = newClientInfo.clientId;
-            io.to(sessionId).emit('controller_change', newSocketId);
-            io.to(sessionId).emit('controller_client_change', newClientInfo.clientId);
+          const otherSocketId = clientId ? getSocketIdByClientId(sessionId, clientId) : null;
+          if (otherSocketId) {
+            // Same client is still connected on another socket (e.g. a second tab)
+            session.controllerId = otherSocketId;
+            io.to(sessionId).emit('controller_change', otherSocketId);
+          } else if (clientId && reason !== 'client namespace disconnect') {
+            const grace = startControllerGrace(sessionId, handleControllerGraceExpired);
+            log('Controller', clientId, 'disconnected from session', sessionId, `(${reason}), holding control for ${CONTROLLER_GRACE_MS}ms`);
+            io.to(sessionId).emit('controller_reconnecting', { reconnecting: true, ...grace });
           } else {
-            // No clients left, clear controller
-            session.controllerId = null;
-            session.controllerClientId = null;
+            const successor = pickControllerSuccessor(session, clientId);
+            if (successor) {
+              handOffController(sessionId, successor);
+            } else {
+              // No clients left, clear controller
+              session.controllerId = null;
+              session.controllerClientId = null;
+            }
           }
         }
-        // Only delete files if the session is now empty
-        if (getClients(sessionId).length === 0) {
-          // Delete all files for this session (user uploads only)
-          const sessionFiles = getSessionFiles(sessionId);
-          const uploadsDir = path.join(process.cwd(), 'uploads');
-          const samplesDir = path.join(uploadsDir, 'samples');
-          const sampleFiles = fs.existsSync(samplesDir) ? new Set(fs.readdirSync(samplesDir)) : new Set();
-          Object.values(sessionFiles).forEach(fileList => {
-            fileList.forEach(filename => {
-              // Only delete files that are NOT in the samples directory and not a sample file
-              if (!filename.startsWith('samples/') && !sampleFiles.has(filename)) {
-                const filePath = path.join(uploadsDir, filename);
-                fs.unlink(filePath, (err) => {
-                  if (err) {
-                    console.error(`[CLEANUP] Failed to delete file ${filePath}:`, err);
-                  } else {
-                    log(`[CLEANUP] Deleted user-uploaded file: ${filePath}`);
-                  }
-                });
-              } else {
-                log(`[CLEANUP] Skipped sample file: ${filename}`);
-              }
-            });
-          });
-          removeSessionFiles(sessionId);
-          deleteSession(sessionId);
-          log(`[CLEANUP] Session deleted (empty): ${sessionId}`);
+        // Only delete files if the session is now empty (and not waiting for its controller)
+        if (getClients(sessionId).length === 0 && !isControllerReconnecting(session)) {
+          removeEmptySession(sessionId);
         }
         io.to(sessionId).emit('clients_update', getClients(sessionId));
         io.to(sessionId).emit('controller_requests_update', getPendingControllerRequests(sessionId));
+        if (clientId) refreshPeerAssignments(sessionId);
       }
+      peerAssignmentKeys.delete(socket.id);
       log('Socket disconnected:', socket.id);
     });
 
     // --- WebRTC Peer-to-Peer Signaling for Time Sync ---
-    socket.on('peer-offer', ({ to, from, offer }) => {
-      const targetSocket = Array.from(io.sockets.sockets.values()).find(s => s.clientId === to || s.id === to);
-      if (targetSocket) {
-        targetSocket.emit('peer-offer', { from, offer });
-      }
+    /**
+     * Relay a signaling message to another member of the sender's session.
+     * - `to` is a clientId, resolved through the session's clientId -> socket registry.
+     * - `from` is always the sender's verified clientId, whatever the payload says.
+     * - Undeliverable messages (not in a session, peer gone or in another room) are reported back through
+     *   the callback with code PEER_UNAVAILABLE, so the sender can stop trying and fall back to server sync.
+     */
+    function relayPeerSignal(event, to, body, callback) {
+      const sessionId = socket.data.sessionId;
+      const from = socket.data.clientId;
+      const session = sessionId ? getSession(sessionId) : null;
+      if (!session || !from || !session.clients.has(socket.id)) {
+        return typeof callback === "function" && callback({ error: 'Not a member of a session', code: 'NOT_A_MEMBER' });
+      }
+      const targetSocketId = getSocketIdByClientId(sessionId, to);
+      const targetSocket = targetSocketId && targetSocketId !== socket.id ? io.sockets.sockets.get(targetSocketId) : null;
+      if (!targetSocket) {
+        return typeof callback === "function" && callback({ error: 'Peer is not connected to this session', code: 'PEER_UNAVAILABLE', to });
+      }
+      targetSocket.emit(event, { from, ...body });
+      typeof callback === "function" && callback({ success: true });
+    }
+
+    socket.on('peer-offer', ({ to, offer } = {}, callback) => {
+      relayPeerSignal('peer-offer', to, { offer }, callback);
     });
-    socket.on('peer-answer', ({ to, from, answer }) => {
-      const targetSocket = Array.from(io.sockets.sockets.values()).find(s => s.clientId === to || s.id === to);
-      if (targetSocket) {
-        targetSocket.emit('peer-answer', { from, answer });
-      }
+    socket.on('peer-answer', ({ to, answer } = {}, callback) => {
+      relayPeerSignal('peer-answer', to, { answer }, callback);
     });
-    socket.on('peer-ice-candidate', ({ to, from, candidate }) => {
-      const targetSocket = Array.from(io.sockets.sockets.values()).find(s => s.clientId === to || s.id === to);
-      if (targetSocket) {
-        targetSocket.emit('peer-ice-candidate', { from, candidate });
-      }
+    socket.on('peer-ice-candidate', ({ to, candidate } = {}, callback) => {
+      relayPeerSignal('peer-ice-candidate', to, { candidate }, callback);
     });
   });
 
-  // Session timeout/cleanup (1 hour inactivity)
+  // Re-run the reference peer election as RTT/jitter reports come in (membership changes refresh immediately)
+  const PEER_ELECTION_INTERVAL_MS = 30 * 1000;
+  setInterval(() => {
+    for (const sessionId of Object.keys(getAllSessions())) {
+      refreshPeerAssignments(sessionId);
+    }
+  }, PEER_ELECTION_INTERVAL_MS);
+
+  // Session timeout/cleanup: rooms nobody has been connected to for an hour. Playback changes don't count:
+  // a room left playing with repeat 'all' auto-advances (and refreshes lastUpdated) forever.
   const SESSION_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
   setInterval(() => {
-    const now = Date.now();
+    const now = serverNow();
     const sessions = getAllSessions();
     for (const [sessionId, session] of Object.entries(sessions)) {
-      if (now - session.lastUpdated > SESSION_TIMEOUT_MS) {
+      if (session.clients.size === 0 && now - session.lastActivity > SESSION_TIMEOUT_MS) {
         io.to(sessionId).emit('session_closed');
         for (const clientId of session.clients.keys()) {
           const clientSocket = io.sockets.sockets.get(clientId);
@@ -1223,7 +1717,13 @@ export function setupSocket(io) {
           }
         }
         // Clean up uploaded files and in-memory file tracking
-        removeSessionFiles(sessionId);
+        deleteSessionFiles(sessionId);
+        cancelTrackEnd(sessionId);
+        cancelControllerGrace(sessionId);
+        removeSessionMetrics(sessionId);
+        cancelScheduledStart(sessionId);
+        cancelAcousticCalibration(sessionId);
+        removeSessionDrift(sessionId);
         deleteSession(sessionId);
         log(`Session ${sessionId} timed out and was removed.`);
       } else {
@@ -1237,77 +1737,41 @@ export function setupSocket(io) {
     }
   }, 60 * 1000);
 
-  // --- Adaptive sync_state broadcast ---
-  const BASE_SYNC_INTERVAL = 300; // ms (was 500)
-  const HIGH_DRIFT_SYNC_INTERVAL = 100; // ms (was 200)
-  const DRIFT_THRESHOLD = 0.2; // seconds
-  const DRIFT_WINDOW = 10000; // ms (10s)
-  const clientDriftMap = {}; // sessionId -> { clientId: { drift, timestamp } }
+  // Uploads sweeper: files no live room tracks or queues (crashes, timed-out rooms, uploads never queued),
+  // and the global disk cap (see fileManager). Runs once at startup for whatever a crash left behind.
+  const UPLOAD_SWEEP_INTERVAL_MS = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS, 10) || 10 * 60 * 1000;
+  const runUploadSweep = () => {
+    const deleted = sweepUploads();
+    if (deleted > 0) log(`[Uploads] Sweep removed ${deleted} orphaned upload(s)`);
+  };
+  runUploadSweep();
+  setInterval(runUploadSweep, UPLOAD_SWEEP_INTERVAL_MS);
 
-  // Clean up old drift reports every minute
-  setInterval(() => {
-    const now = Date.now();
-    for (const sessionId in clientDriftMap) {
-      for (const clientId in clientDriftMap[sessionId]) {
-        if (now - clientDriftMap[sessionId][clientId].timestamp > DRIFT_WINDOW) {
-          delete clientDriftMap[sessionId][clientId];
-        }
-      }
-      if (Object.keys(clientDriftMap[sessionId]).length === 0) {
-        delete clientDriftMap[sessionId];
-      }
-    }
-  }, 60000);
+  // --- sync_state broadcaster ---
+  // Playing rooms get the current state every SYNC_BROADCAST_INTERVAL_MS; paused and empty rooms get nothing
+  // (their state only changes through play/pause/seek/track_change, which emit straight away).
+  // In between, a socket that reported drift (see driftManager) gets the state on its own at the next tick, once per report.
+  const SYNC_BROADCAST_INTERVAL_MS = parseInt(process.env.SYNC_BROADCAST_INTERVAL_MS, 10) || 1000;
+  const DRIFT_CORRECTION_INTERVAL_MS = 100;
+  const ticksPerBroadcast = Math.max(1, Math.round(SYNC_BROADCAST_INTERVAL_MS / DRIFT_CORRECTION_INTERVAL_MS));
+  let syncTick = 0;
 
-  // Adaptive sync broadcast
-  setInterval(() => {
-    const sessions = getAllSessions();
-    const now = Date.now();
-    for (const [sessionId, session] of Object.entries(sessions)) {
-      let highDrift = false;
-      if (clientDriftMap[sessionId]) {
-        for (const { drift, timestamp } of Object.values(clientDriftMap[sessionId])) {
-          if (now - timestamp < DRIFT_WINDOW && drift > DRIFT_THRESHOLD) {
-            highDrift = true;
-            break;
-          }
-        }
-      }
-      if (!highDrift) {
-        io.to(sessionId).emit('sync_state', {
-          isPlaying: session.isPlaying,
-          timestamp: session.timestamp,
-          lastUpdated: session.lastUpdated,
-          controllerId: session.controllerId,
-          serverTime: Date.now()
-        });
-      }
-    }
-  }, BASE_SYNC_INTERVAL);
+  setInterval(pruneDriftReports, 60 * 1000);
 
-  // High-drift sessions get extra syncs
   setInterval(() => {
-    const sessions = getAllSessions();
+    syncTick = (syncTick + 1) % ticksPerBroadcast;
     const now = Date.now();
-    for (const [sessionId, session] of Object.entries(sessions)) {
-      let highDrift = false;
-      if (clientDriftMap[sessionId]) {
-        for (const { drift, timestamp } of Object.values(clientDriftMap[sessionId])) {
-          if (now - timestamp < DRIFT_WINDOW && drift > DRIFT_THRESHOLD) {
-            highDrift = true;
-            break;
-          }
-        }
+    for (const [sessionId, session] of Object.entries(getAllSessions())) {
+      if (!session.isPlaying || session.clients.size === 0) continue;
+      if (syncTick === 0) {
+        io.to(sessionId).emit('sync_state', buildPlaybackSyncState(session));
+        continue;
       }
-      if (highDrift) {
-        io.to(sessionId).emit('sync_state', {
-          isPlaying: session.isPlaying,
-          timestamp: session.timestamp,
-          lastUpdated: session.lastUpdated,
-          controllerId: session.controllerId,
-          serverTime: Date.now()
-        });
+      const drifting = getDriftingSockets(sessionId, now).filter(socketId => session.clients.has(socketId));
+      if (drifting.length) {
+        io.to(drifting).emit('sync_state', { ...buildPlaybackSyncState(session), correction: true });
+        markDriftCorrected(sessionId, drifting, now);
       }
     }
-  }, HIGH_DRIFT_SYNC_INTERVAL);
+  }, DRIFT_CORRECTION_INTERVAL_MS);
 } 
\ No newline at end of file
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemorySessionStore } from './memorySessionStore.js';
+import { log } from '../utils/utils.js';
+import { serverNow } from '../utils/clock.js';
+
+const SNAPSHOT_VERSION = 1;
+
+// Runtime-only session fields. Sockets do not survive a restart, so connected
+// clients and the controller's socket id are rebuilt as clients re-join
+// (and a controller grace window has no timer behind it any more).
+const TRANSIENT_KEYS = new Set(['clients', 'socketsByClientId', 'controllerId', 'controllerGrace']);
+
+// JSON has no Map type; tag Maps (clients, pendingControllerRequests, ...) so they round-trip
+function replacer(key, value) {
+  if (value instanceof Map) return { __type: 'Map', entries: Array.from(value.entries()) };
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && value.__type === 'Map' && Array.isArray(value.entries)) return new Map(value.entries);
+  return value;
+}
+
+function serializeSession(session) {
+  const data = {};
+  for (const [key, value] of Object.entries(session)) {
+    if (!TRANSIENT_KEYS.has(key)) data[key] = value;
+  }
+  return data;
+}
+
+function reviveSession(data, savedAt) {
+  const session = { ...data, clients: new Map(), socketsByClientId: new Map(), controllerId: null, controllerGrace: null };
+  if (!(session.pendingControllerRequests instanceof Map)) {
+    session.pendingControllerRequests = new Map();
+  }
+  // Resume from where playback had got to when the snapshot was written,
+  // rather than skipping ahead by however long the server was down.
+  if (session.isPlaying && typeof session.timestamp === 'number' && typeof session.lastUpdated === 'number') {
+    session.timestamp += Math.max(0, savedAt - session.lastUpdated) / 1000;
+  }
+  session.lastUpdated = serverNow();
+  // Its clients get the full session timeout to reconnect after the restart
+  session.lastActivity = serverNow();
+  return session;
+}
+
+/**
+ * File-backed session store.
+ * - Keeps the live objects in memory (same as the memory store) so handlers can keep mutating sessions directly.
+ * - Periodically snapshots sessions, queues, controller identity, chat messages, reactions and uploaded file
+ *   ownership to a JSON file, writing only when something changed (or while a room is playing, since its
+ *   position moves with the clock).
+ * - Writes go to a temp file first and are renamed into place, so a crash mid-write never corrupts the snapshot.
+ * - load() restores the snapshot on boot; close() writes a final snapshot on shutdown.
+ */
+export function createFileSessionStore({ filePath, intervalMs = 5000 } = {}) {
+  const store = createMemorySessionStore();
+  let lastWritten = null;
+  let timer = null;
+
+  function buildPayload() {
+    const sessions = {};
+    for (const [sessionId, session] of Object.entries(store.getAllSessions())) {
+      sessions[sessionId] = serializeSession(session);
+    }
+    return JSON.stringify({ sessions, sessionFiles: store.getAllSessionFiles() }, replacer);
+  }
+
+  function hasPlayingSession() {
+    return Object.values(store.getAllSessions()).some(session => session && session.isPlaying);
+  }
+
+  function flush() {
+    let payload;
+    try {
+      payload = buildPayload();
+    } catch (err) {
+      console.error('[SessionStore] Failed to serialize sessions:', err);
+      return;
+    }
+    if (payload === lastWritten && !hasPlayingSession()) return;
+    const snapshot = `{"version":${SNAPSHOT_VERSION},"savedAt":${serverNow()},"data":${payload}}`;
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, snapshot);
+      fs.renameSync(tmpPath, filePath);
+      lastWritten = payload;
+    } catch (err) {
+      console.error(`[SessionStore] Failed to write snapshot ${filePath}:`, err);
+    }
+  }
+
+  function load() {
+    if (fs.existsSync(filePath)) {
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'), reviver);
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+          log(`[SessionStore] Ignoring snapshot with unsupported version ${snapshot.version}`);
+        } else {
+          const { sessions = {}, sessionFiles = {} } = snapshot.data || {};
+          for (const [sessionId, data] of Object.entries(sessions)) {
+            store.setSession(sessionId, reviveSession(data, snapshot.savedAt));
+          }
+          for (const [sessionId, files] of Object.entries(sessionFiles)) {
+            store.setSessionFiles(sessionId, files);
+          }
+          lastWritten = buildPayload();
+          log(`[SessionStore] Restored ${Object.keys(sessions).length} session(s) from ${filePath}`);
+        }
+      } catch (err) {
+        console.error(`[SessionStore] Failed to load snapshot ${filePath}, starting empty:`, err);
+      }
+    }
+    if (!timer) {
+      timer = setInterval(flush, intervalMs);
+      // Never keep the process alive just to write snapshots
+      if (typeof timer.unref === 'function') timer.unref();
+    }
+  }
+
+  function close() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    flush();
+  }
+
+  return {
+    ...store,
+    name: 'file',
+    load,
+    flush,
+    close
+  };
+}
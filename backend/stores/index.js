@@ -0,0 +1,21 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { createMemorySessionStore } from './memorySessionStore.js';
+import { createFileSessionStore } from './fileSessionStore.js';
+dotenv.config();
+
+// SESSION_STORE=memory disables persistence (sessions die with the process).
+// SESSION_STORE=file (default) snapshots sessions to SESSION_STORE_PATH and restores them on boot.
+function createSessionStore() {
+  const kind = (process.env.SESSION_STORE || 'file').toLowerCase();
+  if (kind === 'memory') return createMemorySessionStore();
+  if (kind !== 'file') {
+    console.warn(`[SessionStore] Unknown SESSION_STORE "${kind}", falling back to file store`);
+  }
+  return createFileSessionStore({
+    filePath: process.env.SESSION_STORE_PATH || path.join(process.cwd(), 'data', 'sessions.json'),
+    intervalMs: Number(process.env.SESSION_SNAPSHOT_INTERVAL_MS) || 5000
+  });
+}
+
+export const sessionStore = createSessionStore();
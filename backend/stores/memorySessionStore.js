@@ -0,0 +1,51 @@
+// In-memory session store (SESSION_STORE=memory): nothing survives a restart. The default file store
+// (fileSessionStore.js) keeps its sessions in one of these and snapshots them to disk.
+// Every store exposes the same surface so sessionManager/fileManager never
+// need to know where sessions actually live.
+export function createMemorySessionStore() {
+  const sessions = {};
+  const sessionFiles = {};
+
+  return {
+    name: 'memory',
+
+    getSession(sessionId) {
+      return sessions[sessionId];
+    },
+
+    setSession(sessionId, session) {
+      sessions[sessionId] = session;
+      return session;
+    },
+
+    deleteSession(sessionId) {
+      delete sessions[sessionId];
+    },
+
+    getAllSessions() {
+      return sessions;
+    },
+
+    getSessionFiles(sessionId) {
+      return sessionFiles[sessionId];
+    },
+
+    setSessionFiles(sessionId, files) {
+      sessionFiles[sessionId] = files;
+      return files;
+    },
+
+    deleteSessionFiles(sessionId) {
+      delete sessionFiles[sessionId];
+    },
+
+    getAllSessionFiles() {
+      return sessionFiles;
+    },
+
+    // Persistence hooks are no-ops for the in-memory store
+    load() {},
+    flush() {},
+    close() {}
+  };
+}
@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import * as mm from 'music-metadata';
+
+// Audio formats we accept and serve: the ones browsers can play. An upload is identified by its first bytes,
+// never by its name, and only kept if music-metadata can parse it as that format; it is then stored under the
+// format's extension, whatever it was called on the client.
+// container and codec match music-metadata's format.container and format.codec. WAV's 65534 is
+// WAVE_FORMAT_EXTENSIBLE (24-bit and multichannel files), which music-metadata doesn't unpack; browsers play it.
+
+export const AUDIO_FORMATS = {
+  mp3: { label: 'MP3', extensions: ['.mp3'], mime: 'audio/mpeg', container: /^MPEG$/ },
+  aac: { label: 'AAC', extensions: ['.aac'], mime: 'audio/aac', container: /^ADTS/ },
+  flac: { label: 'FLAC', extensions: ['.flac'], mime: 'audio/flac', container: /^FLAC$/ },
+  ogg: { label: 'OGG', extensions: ['.ogg', '.oga', '.opus'], mime: 'audio/ogg', container: /^Ogg$/, codec: /^(Opus|Vorbis|FLAC)/ },
+  m4a: { label: 'M4A', extensions: ['.m4a'], mime: 'audio/mp4', codec: /AAC/ },
+  wav: { label: 'WAV', extensions: ['.wav'], mime: 'audio/wav', container: /^WAVE$/, codec: /^(PCM|IEEE_FLOAT|non-PCM \(65534\))$/ },
+};
+
+export const AUDIO_EXTENSIONS = Object.values(AUDIO_FORMATS).flatMap(f => f.extensions);
+export const SUPPORTED_FORMATS_LABEL = 'MP3, FLAC, OGG/Opus, M4A/AAC or WAV';
+
+const SNIFF_BYTES = 12;
+
+// The format served for a file name, by extension (for files we stored or that sit in samples/)
+export function getAudioFormatByName(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return Object.values(AUDIO_FORMATS).find(f => f.extensions.includes(ext)) || null;
+}
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function sniff(bytes) {
+  const ascii = (start, end) => bytes.toString('latin1', start, end);
+  if (ascii(0, 4) === 'fLaC') return 'flac';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+  if (ascii(4, 8) === 'ftyp') return 'm4a';
+  // MPEG audio frame sync: layer bits 00 are AAC in an ADTS stream, anything else MPEG-1/2 audio
+  if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  return null;
+}
+
+/**
+ * Identify a file by its magic bytes. An ID3v2 tag in front (MP3, AAC and sometimes FLAC carry one) is skipped.
+ * Returns a key of AUDIO_FORMATS, or null.
+ */
+export async function sniffAudioFormat(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let position = 0;
+    let bytes = await readBytes(handle, position, SNIFF_BYTES);
+    while (bytes.length >= 10 && bytes.toString('latin1', 0, 3) === 'ID3') {
+      // Size is syncsafe (7 bits per byte) and excludes the 10-byte header and the footer, if flagged
+      const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+      position += 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+      bytes = await readBytes(handle, position, SNIFF_BYTES);
+    }
+    return bytes.length >= SNIFF_BYTES ? sniff(bytes) : null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that a file is audio we can serve: its magic bytes name a supported format, and music-metadata parses it
+ * as that format with a codec browsers play.
+ * @returns {Promise<object>} { format } or { error } with a reason fit to show the uploader
+ */
+export async function probeAudioFile(filePath) {
+  let key;
+  try {
+    key = await sniffAudioFormat(filePath);
+  } catch (err) {
+    return { error: 'The uploaded file could not be read' };
+  }
+  if (!key) {
+    return { error: `Not a supported audio file. Upload ${SUPPORTED_FORMATS_LABEL} (the file's contents are checked, not its name).` };
+  }
+  const format = AUDIO_FORMATS[key];
+  let metadata;
+  try {
+    metadata = await mm.parseFile(filePath);
+  } catch (err) {
+    return { error: `This ${format.label} file could not be read; it may be damaged or incomplete.` };
+  }
+  const { container = '', codec = '', hasVideo } = metadata.format;
+  if (format.container && !format.container.test(container)) {
+    return { error: `This file looks like ${format.label} but could not be read as one; it may be damaged or mislabeled.` };
+  }
+  if (hasVideo) {
+    return { error: 'Video files are not supported, upload the audio only.' };
+  }
+  if (format.codec && !format.codec.test(codec)) {
+    return { error: `${format.label} files with ${codec || 'this kind of'} audio can't be played in browsers. Upload ${SUPPORTED_FORMATS_LABEL}.` };
+  }
+  return { format };
+}
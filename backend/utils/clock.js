@@ -0,0 +1,12 @@
+// Monotonic server clock for everything clients sync against: time_sync replies, sync_state and
+// session.lastUpdated. Date.now() jumps whenever the OS adjusts the wall clock; this one is anchored
+// to the wall clock once at startup and then advanced with process.hrtime, so it moves forward at a
+// steady rate no matter what happens to the system time.
+
+const startWallMs = Date.now();
+const startHr = process.hrtime.bigint();
+
+// Milliseconds since the epoch (fractional), monotonic for the life of the process
+export function serverNow() {
+  return startWallMs + Number(process.hrtime.bigint() - startHr) / 1e6;
+}
@@ -7,6 +7,7 @@ import './App.css'
 import ErrorBoundary from './components/ErrorBoundary'
 import usePrefersReducedMotion from './hooks/usePrefersReducedMotion';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { setPendingRoomSecret } from './utils/roomAccess';
 
 export const ReducedMotionContext = createContext(false);
 
@@ -18,6 +19,13 @@ function App() {
     const urlParams = new URLSearchParams(window.location.search)
     const sessionFromUrl = urlParams.get('session')
     const sessionFromStorage = localStorage.getItem('fxSync_sessionId')
+    // Invite links/QR codes for password-protected rooms carry a short-lived token
+    const inviteFromUrl = urlParams.get('invite')
+    if (sessionFromUrl && inviteFromUrl) {
+      setPendingRoomSecret(sessionFromUrl, { inviteToken: inviteFromUrl })
+      urlParams.delete('invite')
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}?${urlParams.toString()}`)
+    }
     return sessionFromUrl || sessionFromStorage || null
   })
   
@@ -77,8 +77,8 @@ function AllTracksList({
                     if (existingIdx !== -1) {
                       onSelectTrack && onSelectTrack(existingIdx, track);
                     } else {
-                      socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, () => {
-                        onSelectTrack && onSelectTrack(queue.length, track);
+                      socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, (res) => {
+                        onSelectTrack && onSelectTrack(queue.length, res?.entry || track);
                       });
                     }
                   }}
@@ -93,8 +93,8 @@ function AllTracksList({
                       if (existingIdx !== -1) {
                         onSelectTrack && onSelectTrack(existingIdx, track);
                       } else {
-                        socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, () => {
-                          onSelectTrack && onSelectTrack(queue.length, track);
+                        socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, (res) => {
+                          onSelectTrack && onSelectTrack(queue.length, res?.entry || track);
                         });
                       }
                     }
@@ -134,8 +134,8 @@ function AllTracksList({
                   if (existingIdx !== -1) {
                     onSelectTrack && onSelectTrack(existingIdx, track);
                   } else {
-                    socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, () => {
-                      onSelectTrack && onSelectTrack(queue.length, track);
+                    socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, (res) => {
+                      onSelectTrack && onSelectTrack(queue.length, res?.entry || track);
                     });
                   }
                 }}
@@ -150,8 +150,8 @@ function AllTracksList({
                     if (existingIdx !== -1) {
                       onSelectTrack && onSelectTrack(existingIdx, track);
                     } else {
-                      socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, () => {
-                        onSelectTrack && onSelectTrack(queue.length, track);
+                      socket.emit('add_to_queue', { sessionId, url: track.url, title: track.title }, (res) => {
+                        onSelectTrack && onSelectTrack(queue.length, res?.entry || track);
                       });
                     }
                   }
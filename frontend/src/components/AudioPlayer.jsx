@@ -5,18 +5,24 @@ import useSmoothAppearance from '../hooks/useSmoothAppearance';
 import LoadingSpinner from './LoadingSpinner';
 import ResyncAnalytics from './ResyncAnalytics';
 import useDriftCorrection from '../hooks/useDriftCorrection'
-import useAudioElement from '../hooks/useAudioElement'
+import useAudioElement, { AUDIO_ENGINES, getAudioEnginePreference, setAudioEnginePreference, resolveAudioEngine } from '../hooks/useAudioElement'
 import useResyncAnalytics from '../hooks/useResyncAnalytics'
+import usePlaybackMode from '../hooks/usePlaybackMode';
+import { getAdjacentTrackIdx } from '../utils/playbackOrder';
 import SYNC_CONFIG from '../utils/syncConfig';
 import useUltraPreciseOffset from '../hooks/useUltraPreciseOffset';
 import useUltraPreciseLagDetection from '../hooks/useUltraPreciseLagDetection';
 import { createEMA } from '../utils/syncConfig';
+import { monotonicNow } from '../utils/monotonicClock';
 import PlayerControls from './AudioPlayer/PlayerControls';
+import PlaybackModeControls from './AudioPlayer/PlaybackModeControls';
 import ProgressBar from './AudioPlayer/ProgressBar';
 import ErrorBanner from './AudioPlayer/ErrorBanner';
 import TrackInfo from './AudioPlayer/TrackInfo';
 import SyncStatusBanner from './AudioPlayer/SyncStatusBanner';
 import DiagnosticsPanel from './AudioPlayer/DiagnosticsPanel';
+import LatencyProfilePanel from './AudioPlayer/LatencyProfilePanel';
+import { resolveMediaUrl } from '../utils/mediaUrl';
 import { motion } from 'framer-motion';
 
 // Add global error handlers
@@ -130,7 +136,12 @@ function setCurrentTimeSafely(audio, value, setCurrentTime) {
     }
   };
 
-  // If audio is ready and duration is known, set immediately
+  // If audio is ready and duration is known, set immediately.
+  // The Web Audio engine takes a position at any time, even before the track is decoded.
+  if (audio.preciseSeek) {
+    doSet(logContext, 'immediate');
+    return;
+  }
   if (
     audio.readyState >= 1 &&
     audio.duration &&
@@ -270,6 +281,67 @@ function safePlay(audio) {
   });
 }
 
+// How early a scheduled start is handed to an engine that can schedule the exact sample (Web Audio)
+const SCHEDULED_START_HANDOFF_MS = 100;
+
+// Utility: true if a playback state with this stateVersion is not older than the last one applied (and remember it).
+// Versions increase with every playback change on the server; a delayed broadcast or sync_request reply can carry
+// an older one than a seek we already applied. States without a version are always applied.
+function acceptStateVersion(versionRef, stateVersion) {
+  if (typeof stateVersion !== 'number') return true;
+  if (stateVersion < versionRef.current) return false;
+  versionRef.current = stateVersion;
+  return true;
+}
+
+// Utility: drop a pending scheduled start (see scheduleSyncedStart)
+function clearScheduledStart(pendingRef) {
+  const pending = pendingRef.current;
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pending.audio.removeEventListener('play', pending.holdPaused);
+  pendingRef.current = null;
+}
+
+/**
+ * Scheduled start: the server sends play/seek/track changes with a start instant on its clock
+ * (startAt, also stored as lastUpdated) instead of "now", so every client starts at the same moment.
+ * - Parks the audio at `timestamp` and holds it there: anything that starts playback early
+ *   (track-change effects, autoplay) is paused again until startAt.
+ * - Starts `outputLatency` seconds early, so the first sample is heard (not just sent) at startAt.
+ * - Acknowledges scheduleId so the server can report who started on time.
+ * - A start is only scheduled once: periodic sync_state broadcasts repeat it without the scheduleId.
+ */
+function scheduleSyncedStart(pendingRef, audio, { scheduleId, startAt, timestamp }, { socket, getServerTime, setDisplayedCurrentTime, outputLatency = 0, onStart }) {
+  const pending = pendingRef.current;
+  if (pending && (pending.startAt === startAt || (scheduleId && pending.scheduleId === scheduleId))) return;
+  clearScheduledStart(pendingRef);
+  const holdPaused = () => audio.pause();
+  audio.pause();
+  audio.addEventListener('play', holdPaused);
+  setCurrentTimeSafely(audio, timestamp, setDisplayedCurrentTime);
+  // The Web Audio engine schedules the first sample itself, so hand it the instant a little early;
+  // the media element can only be started from a timer.
+  // The engine already allows for the latency its AudioContext reports; only the rest (calibration, adjustment) is ours.
+  const canScheduleSample = typeof audio.playAt === 'function';
+  const latencyLead = canScheduleSample ? outputLatency - (audio.outputLatency || 0) : outputLatency;
+  const delay = Math.max(0, startAt - getNow(getServerTime) - latencyLead * 1000);
+  const startLocal = monotonicNow() + delay;
+  const timer = setTimeout(() => {
+    clearScheduledStart(pendingRef);
+    const started = canScheduleSample ? audio.playAt(startLocal) : safePlay(audio);
+    started.then(onStart).catch(e => {
+      if (import.meta.env.MODE === 'development') {
+        console.warn('[AudioPlayer][scheduleSyncedStart] Failed to start audio', e);
+      }
+    });
+  }, canScheduleSample ? Math.max(0, delay - SCHEDULED_START_HANDOFF_MS) : delay);
+  pendingRef.current = { scheduleId, startAt, timer, audio, holdPaused };
+  if (scheduleId && socket?.sessionId) {
+    socket.emit('schedule_ack', { sessionId: socket.sessionId, scheduleId });
+  }
+}
+
 // Utility to darken a hex color by a given amount (0.0-1.0)
 function darkenHexColor(hex, amount = 0.15) {
   let col = hex.replace('#', '');
@@ -358,20 +430,23 @@ export default function AudioPlayer({
   // --- Add these props for sync quality display ---
   syncQuality: propSyncQuality,
   selectedSource: propSelectedSource,
+  latencyProfile = null, // useLatencyProfile result from SessionPage: this device's output-latency compensation
 }) {
-  // Fix: manualLatency must be declared before any useEffect or code that references it
-  const [manualLatency, setManualLatency] = useState(() => {
-    const saved = localStorage.getItem('audioLatencyOverride');
-    return saved ? parseFloat(saved) : null;
-  });
+  // Output latency to compensate for (s), from the server-side profile of this device
+  const audioLatency = latencyProfile ? latencyProfile.audioLatency : 0.08;
 
   // Use controllerClientId/clientId for sticky controller logic
   const isController = controllerClientId && clientId && controllerClientId === clientId;
 
+  // Shuffle/repeat are session state owned by the server, so every client agrees on the play order
+  const playbackMode = usePlaybackMode(socket, sessionId, sessionSyncState);
+  const { shuffle, repeatMode, toggleShuffle, cycleRepeatMode } = playbackMode;
+
   // Add handlers for previous and next buttons
   const handlePrevious = () => {
     if (!isController || !socket || !queue || queue.length === 0) return;
-    const newIdx = selectedTrackIdx > 0 ? selectedTrackIdx - 1 : queue.length - 1;
+    const newIdx = getAdjacentTrackIdx(queue, selectedTrackIdx, -1, playbackMode);
+    if (newIdx === null) return;
     if (onSelectTrack) {
       onSelectTrack(newIdx);
     } else if (socket && sessionId) {
@@ -381,7 +456,8 @@ export default function AudioPlayer({
 
   const handleNext = () => {
     if (!isController || !socket || !queue || queue.length === 0) return;
-    const newIdx = selectedTrackIdx < queue.length - 1 ? selectedTrackIdx + 1 : 0;
+    const newIdx = getAdjacentTrackIdx(queue, selectedTrackIdx, 1, playbackMode);
+    if (newIdx === null) return;
     if (onSelectTrack) {
       onSelectTrack(newIdx);
     } else if (socket && sessionId) {
@@ -391,13 +467,21 @@ export default function AudioPlayer({
 
   // Check if previous/next buttons should be enabled
   const canNavigate = isController && queue && queue.length > 1;
-  const canGoPrevious = isController && canNavigate && selectedTrackIdx > 0;
-  const canGoNext = isController && canNavigate && selectedTrackIdx < queue.length - 1;
+  const canGoPrevious = isController && canNavigate && getAdjacentTrackIdx(queue, selectedTrackIdx, -1, playbackMode) !== null;
+  const canGoNext = isController && canNavigate && getAdjacentTrackIdx(queue, selectedTrackIdx, 1, playbackMode) !== null;
   // Remove: audioUrl, loading, audioError, isPlaying, duration, displayedCurrentTime, audioRef, and their setters
   // Instead, use:
   const lastSeekTime = useRef(0); // Track last user seek time
+  // Playback engine: <audio> element or Web Audio, picked per device unless the user forced one
+  const [enginePreference, setEnginePreference] = useState(getAudioEnginePreference);
+  const audioEngine = resolveAudioEngine(enginePreference);
+  const handleEnginePreferenceChange = (preference) => {
+    setAudioEnginePreference(preference);
+    setEnginePreference(preference);
+  };
   const {
     audioRef,
+    mediaElementRef,
     audioUrl,
     loading,
     audioError,
@@ -410,15 +494,14 @@ export default function AudioPlayer({
     setAudioUrl,
     handleSeek,
     isSeeking,
-  } = useAudioElement({ currentTrack, isController, getServerTime, setLastSeekTime: (t) => { lastSeekTime.current = t; } })
+  } = useAudioElement({ currentTrack, isController, getServerTime, setLastSeekTime: (t) => { lastSeekTime.current = t; }, engine: audioEngine })
   const [syncStatus, setSyncStatus] = useState('In Sync');
   const [shouldAnimate, setShouldAnimate] = useState(false);
-  const [audioLatency, setAudioLatency] = useState(0.08); // measured latency in seconds
-  const playRequestedAt = useRef(null);
   const lastCorrectionRef = useRef(0);
   const correctionInProgressRef = useRef(false);
   const [microCorrectionActive, setMicroCorrectionActive] = useState(false); // Visual feedback for micro-corrections
   const [displayedTitle, setDisplayedTitle] = useState(currentTrack?.title || '');
+  const albumArt = resolveMediaUrl(currentTrack?.albumArt);
   const [errorBanner, setErrorBanner] = useState(null);
   // Remove all state, handlers, and UI for latency calibration, LatencyCalBanner, and LatencyWizardModal
   // Restore edgeCaseBanner and related state at the top level
@@ -506,6 +589,12 @@ export default function AudioPlayer({
     onMicroCorrection: (active) => setMicroCorrectionActive(active), // <-- new callback
     aggressiveSync, // pass flag to hook
   });
+  // maybeCorrectDrift is a new function every render; the sync_state handlers call the latest one through this ref
+  // rather than re-subscribing (and dropping their pending timers) on each render
+  const maybeCorrectDriftRef = useRef(maybeCorrectDrift);
+  useEffect(() => {
+    maybeCorrectDriftRef.current = maybeCorrectDrift;
+  });
 
   // Ultra-precise lag detection hook
   const { getLagAnalytics } = useUltraPreciseLagDetection({
@@ -577,6 +666,19 @@ export default function AudioPlayer({
 
   // Jitter buffer: only correct drift if sustained for N checks
   const driftCountRef = useRef(0);
+  // Start the server scheduled and we're waiting for: { scheduleId, startAt, timer, audio, holdPaused }
+  const scheduledStartRef = useRef(null);
+  useEffect(() => () => clearScheduledStart(scheduledStartRef), []);
+  // Highest playback stateVersion applied (see acceptStateVersion). Versions are per session, and a server
+  // restarted without its session store counts from 0 again, so start over on session change and disconnect.
+  const stateVersionRef = useRef(-1);
+  useEffect(() => {
+    stateVersionRef.current = -1;
+    if (!socket) return;
+    const handleDisconnect = () => { stateVersionRef.current = -1; };
+    socket.on('disconnect', handleDisconnect);
+    return () => socket.off('disconnect', handleDisconnect);
+  }, [socket, sessionId]);
 
   useEffect(() => {
     if ((currentTrack?.title || '') !== displayedTitle) {
@@ -699,32 +801,6 @@ export default function AudioPlayer({
       });
   }, [currentTrack]);
 
-  // Audio event listeners and initialization
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-    
-    // const update = () => setDisplayedCurrentTime(audio.currentTime); // Removed
-    // const setDur = () => setDuration(audio.duration || 0); // Removed
-    const handlePlaying = () => {
-      if (playRequestedAt.current) {
-        const latency = (Date.now() - playRequestedAt.current) / 1000;
-        setAudioLatency(latency);
-        playRequestedAt.current = null;
-      }
-    };
-    
-    // audio.addEventListener('timeupdate', update); // Removed
-    // audio.addEventListener('durationchange', setDur); // Removed
-    audio.addEventListener('playing', handlePlaying);
-    
-    return () => {
-      // audio.removeEventListener('timeupdate', update); // Removed
-      // audio.removeEventListener('durationchange', setDur); // Removed
-      audio.removeEventListener('playing', handlePlaying);
-    };
-  }, [audioUrl]);
-
   // Ensure proper audio state when role changes
   useEffect(() => {
     const audio = audioRef.current;
@@ -782,6 +858,9 @@ export default function AudioPlayer({
       trackId,
       meta,
       serverTime,
+      scheduleId,
+      startAt,
+      stateVersion,
     }) => {
       // Defensive: check for valid timestamp and lastUpdated
       if (
@@ -798,6 +877,26 @@ export default function AudioPlayer({
       if (!audio) {
         return;
       }
+      if (!acceptStateVersion(stateVersionRef, stateVersion)) {
+        log('log', 'Ignoring stale sync_state', { stateVersion, applied: stateVersionRef.current });
+        return;
+      }
+      if (!isPlaying) {
+        clearScheduledStart(scheduledStartRef);
+      } else if (lastUpdated > getNow(getServerTime)) {
+        // Scheduled start still ahead of us: no drift to correct yet, just start on time
+        setSyncStatus('Starting together...');
+        scheduleSyncedStart(scheduledStartRef, audio, { scheduleId, startAt: startAt ?? lastUpdated, timestamp }, {
+          socket,
+          getServerTime,
+          setDisplayedCurrentTime,
+          outputLatency: audioLatency,
+          onStart: () => {
+            if (!isController) setSyncStatus('In Sync');
+          },
+        });
+        return;
+      }
       // Use serverTime if present, else fallback
       let now = null;
       if (typeof serverTime === 'number' && isFinite(serverTime)) {
@@ -831,7 +930,7 @@ export default function AudioPlayer({
 
       // --- ULTRA-PRECISE IMMEDIATE CORRECTION FOR EXTREME DRIFT ---
       if (drift > 1.0) { // 1 second or more
-        maybeCorrectDrift(audio, expected);
+        maybeCorrectDriftRef.current(audio, expected);
         setSyncStatus('Major re-sync');
         if (typeof socket?.forceTimeSync === 'function') {
           socket.forceTimeSync();
@@ -867,7 +966,7 @@ export default function AudioPlayer({
         // BALANCED: Wait for 2 detections to prevent over-correction
         if (driftCountRef.current >= 2) { // Changed back to 2 for stability
           showSyncStatus('Drifted', 1000);
-          maybeCorrectDrift(audio, expected);
+          maybeCorrectDriftRef.current(audio, expected);
           setSyncStatus('Re-syncing...');
           if (resyncTimeout) clearTimeout(resyncTimeout);
           resyncTimeout = setTimeout(() => setSyncStatus('In Sync'), 800);
@@ -885,8 +984,9 @@ export default function AudioPlayer({
 
       // setIsPlaying(isPlaying); // Removed
 
-      // Only play/pause if state differs
-      if (isPlaying && audio.paused) {
+      // Only play/pause if state differs. An ended track is left alone: the server
+      // auto-advances and its track_change will load the next one.
+      if (isPlaying && audio.paused && !audio.ended) {
         safePlay(audio).catch(e => {
           log('warn', 'SYNC_STATE: failed to play audio', e);
         });
@@ -896,14 +996,22 @@ export default function AudioPlayer({
       }
     };
 
+    // The server reports how many clients acknowledged a scheduled start in time; the controller gets to see it
+    const handleScheduleResult = ({ total, onTime, late } = {}) => {
+      if (!isController || typeof total !== 'number') return;
+      showSyncStatus(late ? `Started together on ${onTime}/${total} (${late} late)` : `Started together on ${onTime}/${total}`, 2500);
+    };
+
     socket.on('sync_state', handleSyncState);
+    socket.on('schedule_result', handleScheduleResult);
 
     return () => {
       socket.off('sync_state', handleSyncState);
+      socket.off('schedule_result', handleScheduleResult);
       if (syncTimeout) clearTimeout(syncTimeout);
       if (resyncTimeout) clearTimeout(resyncTimeout);
     };
-  }, [socket, audioLatency, getServerTime, clientId, rtt, smoothedOffset]);
+  }, [socket, audioLatency, getServerTime, clientId, rtt, smoothedOffset, isController, audioRef, setDisplayedCurrentTime]);
 
   // Enhanced periodic drift check (for followers)
   useEffect(() => {
@@ -954,11 +1062,15 @@ export default function AudioPlayer({
           }
           return;
         }
+        // Answered after a newer sync_state was applied
+        if (!acceptStateVersion(stateVersionRef, state.stateVersion)) return;
 
         const audio = audioRef.current;
         if (!audio) return;
 
         const now = getNow(getServerTime);
+        // Scheduled start still pending: sync_state already set it up
+        if (state.lastUpdated > now) return;
         const rttComp = rtt ? rtt / 2000 : 0; // ms to s, one-way
         const expected = state.timestamp + (now - state.lastUpdated) / 1000 - audioLatency + rttComp + smoothedOffset;
         if (!isFiniteNumber(expected)) {
@@ -1219,6 +1331,10 @@ export default function AudioPlayer({
           }
           return;
         }
+        if (!acceptStateVersion(stateVersionRef, state.stateVersion)) {
+          log('Ignoring sync_request reply older than the state already applied', { stateVersion: state.stateVersion });
+          return;
+        }
 
         // Defensive: check for negative/NaN/absurd timestamps
         if (state.timestamp < 0 || state.lastUpdated < 0) {
@@ -1243,6 +1359,16 @@ export default function AudioPlayer({
         setErrorBanner(null);
 
         const now = getNow(getServerTime);
+        // Joined while a scheduled start is pending: start with everyone else
+        if (state.isPlaying && state.lastUpdated > now) {
+          scheduleSyncedStart(scheduledStartRef, audio, { startAt: state.lastUpdated, timestamp: state.timestamp }, {
+            socket,
+            getServerTime,
+            setDisplayedCurrentTime,
+            outputLatency: audioLatency,
+          });
+          return;
+        }
         // Compensate for measured audio latency and RTT (one-way delay)
         const rttComp = rtt ? rtt / 2000 : 0; // ms to s, one-way
         const expected = state.timestamp + (now - state.lastUpdated) / 1000 - audioLatency + rttComp + smoothedOffset;
@@ -1278,7 +1404,6 @@ export default function AudioPlayer({
         setIsPlaying(state.isPlaying);
 
         if (state.isPlaying) {
-          playRequestedAt.current = Date.now();
           // Defensive: try/catch for play() (may throw in some browsers)
           safePlay(audio).catch((err) => {
             warn('audio.play() failed on sync_request', err);
@@ -1299,10 +1424,10 @@ export default function AudioPlayer({
     if (isController && socket && getServerTime) {
       const now = getNow(getServerTime);
       const audio = audioRef.current;
-      const playAt = (audio ? audio.currentTime : 0) + SYNC_CONFIG.PLAY_OFFSET;
+      // The server schedules the actual start (see scheduleSyncedStart), so no lead is added here
       const payload = {
         sessionId: socket.sessionId,
-        timestamp: playAt,
+        timestamp: audio ? audio.currentTime : 0,
         clientId,
         emittedAt: now,
         latency: audioLatency,
@@ -1392,7 +1517,11 @@ export default function AudioPlayer({
       if (!isPlaying) setIsPlaying(true);
       return;
     }
-    playRequestedAt.current = Date.now(); // keep Date.now() for wall-clock timestamps
+    // In a session the controller starts with everyone else: the server answers play with a scheduled sync_state
+    if (isController && socket?.connected && socket.sessionId) {
+      emitPlay();
+      return;
+    }
     try {
       const playPromise = audio.play();
       if (playPromise && typeof playPromise.then === 'function') {
@@ -1540,29 +1669,6 @@ export default function AudioPlayer({
       return () => window.removeEventListener('resize', handleResize);
     }, []);
 
-  // --- Automatic device latency estimation using AudioContext.baseLatency ---
-  useEffect(() => {
-    let ctx;
-    try {
-      ctx = new (window.AudioContext || window.webkitAudioContext)();
-      if (ctx.baseLatency && ctx.baseLatency > 0 && ctx.baseLatency < 1) {
-        setAudioLatency(ctx.baseLatency);
-      }
-    } catch (e) {
-      // Ignore, fallback to default
-    } finally {
-      if (ctx && typeof ctx.close === 'function') ctx.close();
-    }
-  }, []);
-
-  // On manual latency change, update state and localStorage
-  useEffect(() => {
-    if (manualLatency && !isNaN(manualLatency)) {
-      setAudioLatency(manualLatency);
-      localStorage.setItem('audioLatencyOverride', manualLatency.toString());
-    }
-  }, [manualLatency]);
-
   // Smoothly animate displayedCurrentTime toward audio.currentTime
   useEffect(() => {
     let raf;
@@ -1605,14 +1711,6 @@ export default function AudioPlayer({
     const dragDeltaY = useRef(0);
     const [dragging, setDragging] = useState(false);
 
-    // Add loop state for current track
-    const [loop, setLoop] = useState(false);
-    useEffect(() => {
-      if (audioRef.current) {
-        audioRef.current.loop = loop;
-      }
-    }, [loop, audioRef]);
-
     // Drag event handlers
     const onHandleTouchStart = (e) => {
       if (e.touches && e.touches.length === 1) {
@@ -1694,16 +1792,16 @@ export default function AudioPlayer({
     useEffect(() => {
       let cancelled = false;
       async function extractColor() {
-        if (currentTrack?.albumArt) {
+        if (albumArt) {
           try {
-            console.log('[Vibrant] Extracting color for album art:', currentTrack.albumArt);
+            console.log('[Vibrant] Extracting color for album art:', albumArt);
             // Dynamically load the UMD bundle if not already loaded
             if (!window.Vibrant) {
               console.log('[Vibrant] Loading UMD bundle...');
               await loadVibrantScript();
               console.log('[Vibrant] UMD bundle loaded.');
             }
-            const palette = await window.Vibrant.from(currentTrack.albumArt).getPalette();
+            const palette = await window.Vibrant.from(albumArt).getPalette();
             // Prefer the most populous dark swatch (DarkVibrant or DarkMuted)
             let bestDarkSwatch = null;
             let maxDarkPopulation = 0;
@@ -1750,7 +1848,7 @@ export default function AudioPlayer({
       }
       extractColor();
       return () => { cancelled = true; };
-    }, [currentTrack?.albumArt]);
+    }, [albumArt]);
 
     if (loading) {
       return (
@@ -1777,9 +1875,9 @@ export default function AudioPlayer({
     return (
       <div className="fixed bottom-20 left-0 right-0 w-full z-40 pointer-events-auto px-3 sm:px-4">
         {/* Only one audio element for mobile, outside compact/expanded content */}
-        {audioUrl && (
+        {audioUrl && audioEngine === AUDIO_ENGINES.MEDIA && (
           <audio
-            ref={audioRef}
+            ref={mediaElementRef}
             src={audioUrl}
             preload="auto"
             style={{ display: 'none' }}
@@ -1880,9 +1978,9 @@ export default function AudioPlayer({
                     >
                       {/* Album Art or Icon */}
                       <div className="flex-shrink-0 w-10 h-10 rounded-lg overflow-hidden bg-neutral-800 flex items-center justify-center">
-                        {currentTrack?.albumArt ? (
+                        {albumArt ? (
                           <img
-                            src={currentTrack.albumArt}
+                            src={albumArt}
                             alt={displayedTitle ? `Album art for ${displayedTitle}` : 'Album Art'}
                             className="w-11 h-11 object-cover rounded-lg shadow-md"
                             style={{ minWidth: 44, minHeight: 44, background: '#18181b' }}
@@ -2020,9 +2118,9 @@ export default function AudioPlayer({
                     <div className="flex items-center gap-4 w-full min-h-[80px] select-none transition-all duration-300 -ml-1 -mb-3">
                       {/* Album Art */}
                       <div className="flex-shrink-0 w-12 h-12 rounded-xl overflow-hidden bg-neutral-800 flex items-center justify-center">
-                        {currentTrack?.albumArt ? (
+                        {albumArt ? (
                           <img
-                            src={currentTrack.albumArt}
+                            src={albumArt}
                             alt={displayedTitle ? `Album art for ${displayedTitle}` : 'Album Art'}
                             className="w-12 h-12 object-cover rounded-xl shadow-md"
                             style={{ minWidth: 64, minHeight: 64, background: '#18181b' }}
@@ -2098,22 +2196,14 @@ export default function AudioPlayer({
 
                     {/* Controls Section */}
                     <div className="flex items-center justify-between gap-3">
-                      {/* Track settings: loop toggle */}
-                      <button
-                        className={`w-8 h-8 flex items-center justify-center border-none bg-transparent mr-1 p-0 ${loop ? 'text-primary' : 'text-white-400 hover:text-primary'}`}
-                        onClick={() => setLoop(l => !l)}
-                        aria-label={loop ? 'Disable loop' : 'Enable loop'}
-                        title={loop ? 'Disable loop' : 'Enable loop'}
-                        style={{ boxShadow: 'none' }}
-                      >
-                        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                          <path d="M17 1l4 4-4 4" />
-                          <path d="M3 11V9a4 4 0 014-4h14" />
-                          <path d="M7 23l-4-4 4-4" />
-                          <path d="M21 13v2a4 4 0 01-4 4H3" />
-                          {loop && <circle cx="12" cy="12" r="3" fill="currentColor" opacity="0.3" />}
-                        </svg>
-                      </button>
+                      {/* Session-wide shuffle/repeat */}
+                      <PlaybackModeControls
+                        shuffle={shuffle}
+                        repeatMode={repeatMode}
+                        onToggleShuffle={toggleShuffle}
+                        onCycleRepeat={cycleRepeatMode}
+                        isController={isController}
+                      />
                       <PlayerControls
                         isPlaying={isPlaying}
                         onPlay={handlePlay}
@@ -2192,9 +2282,9 @@ export default function AudioPlayer({
     if (isPortrait) {
       return (
         <div className={`audio-player audio-player-portrait transition-all duration-500 ${audioLoaded.animationClass}`}>
-          {audioUrl && (
+          {audioUrl && audioEngine === AUDIO_ENGINES.MEDIA && (
             <audio
-              ref={audioRef}
+              ref={mediaElementRef}
               src={audioUrl}
               preload="auto"
               onLoadedMetadata={() => {
@@ -2237,9 +2327,9 @@ export default function AudioPlayer({
                 aspectRatio: '1/1',
               }}
             >
-              {currentTrack?.albumArt ? (
+              {albumArt ? (
                 <img
-                  src={currentTrack.albumArt}
+                  src={albumArt}
                   alt={currentTrack.title ? `Album art for ${currentTrack.title}` : "Album Art"}
                   className="object-cover w-full h-full rounded-2xl transition-all duration-300"
                   style={{
@@ -2358,6 +2448,14 @@ export default function AudioPlayer({
                 isController={isController}
                 audioUrl={audioUrl}
               />
+              <PlaybackModeControls
+                shuffle={shuffle}
+                repeatMode={repeatMode}
+                onToggleShuffle={toggleShuffle}
+                onCycleRepeat={cycleRepeatMode}
+                isController={isController}
+                className="ml-3"
+              />
             </div>
           </div>
           {import.meta.env.MODE === 'development' && showLatencyCal && (
@@ -2375,17 +2473,14 @@ export default function AudioPlayer({
               boxShadow: '0 2px 8px rgba(0,0,0,0.25)'
             }}>
               <div style={{fontWeight: 'bold', marginBottom: 8}}>Audio Latency Calibration</div>
-              <div>Measured: <b>{audioLatency.toFixed(3)}s</b></div>
-              <div>Override: <input type="number" step="0.001" min="0" max="1" value={manualLatency ?? ''} onChange={e => setManualLatency(parseFloat(e.target.value) || 0)} style={{width: 80, marginLeft: 8}} /> s</div>
-              <button style={{marginTop: 10, padding: '4px 10px', borderRadius: 6, background: '#444', color: '#fff', border: 'none', cursor: 'pointer'}} onClick={() => { setManualLatency(null); localStorage.removeItem('audioLatencyOverride'); }}>Reset</button>
+              <LatencyProfilePanel latencyProfile={latencyProfile} clientId={clientId} />
+              <div style={{marginTop: 8}}>Engine: <select value={enginePreference} onChange={e => handleEnginePreferenceChange(e.target.value)} style={{marginLeft: 8}}><option value="auto">Auto ({resolveAudioEngine('auto') === AUDIO_ENGINES.WEB_AUDIO ? 'Web Audio' : 'media element'})</option><option value={AUDIO_ENGINES.MEDIA}>Media element</option><option value={AUDIO_ENGINES.WEB_AUDIO}>Web Audio</option></select></div>
               <div style={{color:'#aaa', fontSize:12, marginTop:8}}>Press <b>L</b> to toggle this panel.</div>
             </div>
           )}
           {import.meta.env.MODE === 'development' && showDriftDebug && (
             <DiagnosticsPanel
               audioLatency={audioLatency}
-              manualLatency={manualLatency}
-              setManualLatency={setManualLatency}
               resyncStats={resyncStats}
               rtt={rtt}
               jitter={jitter}
@@ -2409,9 +2504,9 @@ export default function AudioPlayer({
   return (
     <div className={`audio-player transition-all duration-500 ${audioLoaded.animationClass}`}>
       {/* Only one audio element for desktop, and only if not mobile */}
-      {audioUrl && (
+      {audioUrl && audioEngine === AUDIO_ENGINES.MEDIA && (
         <audio 
-          ref={audioRef} 
+          ref={mediaElementRef} 
           src={audioUrl} 
           preload="auto"
           onLoadedMetadata={() => {
@@ -2445,9 +2540,9 @@ export default function AudioPlayer({
       <div className="rounded-xl p-5 shadow-lg transition-all duration-500 group/audio-player-main">
         <div className="flex items-center gap-4 mb-5">
           <div className="w-14 h-14 bg-primary/30 rounded-xl flex items-center justify-center overflow-hidden shadow-md transition-all duration-300 group-hover/audio-player-main:scale-105">
-            {currentTrack?.albumArt ? (
+            {albumArt ? (
               <img
-                src={currentTrack.albumArt}
+                src={albumArt}
                 alt={currentTrack.title ? `Album art for ${currentTrack.title}` : "Album Art"}
                 className="w-14 h-14 object-cover rounded-xl transition-all duration-300"
                 style={{ minWidth: 56, minHeight: 56 }}
@@ -2564,6 +2659,14 @@ export default function AudioPlayer({
             isController={isController}
             audioUrl={audioUrl}
           />
+          <PlaybackModeControls
+            shuffle={shuffle}
+            repeatMode={repeatMode}
+            onToggleShuffle={toggleShuffle}
+            onCycleRepeat={cycleRepeatMode}
+            isController={isController}
+            className="ml-3"
+          />
         </div>
       </div>
       {import.meta.env.MODE === 'development' && showLatencyCal && (
@@ -2581,17 +2684,14 @@ export default function AudioPlayer({
     boxShadow: '0 2px 8px rgba(0,0,0,0.25)'
   }}>
     <div style={{fontWeight: 'bold', marginBottom: 8}}>Audio Latency Calibration</div>
-    <div>Measured: <b>{audioLatency.toFixed(3)}s</b></div>
-    <div>Override: <input type="number" step="0.001" min="0" max="1" value={manualLatency ?? ''} onChange={e => setManualLatency(parseFloat(e.target.value) || 0)} style={{width: 80, marginLeft: 8}} /> s</div>
-    <button style={{marginTop: 10, padding: '4px 10px', borderRadius: 6, background: '#444', color: '#fff', border: 'none', cursor: 'pointer'}} onClick={() => { setManualLatency(null); localStorage.removeItem('audioLatencyOverride'); }}>Reset</button>
+    <LatencyProfilePanel latencyProfile={latencyProfile} clientId={clientId} />
+    <div style={{marginTop: 8}}>Engine: <select value={enginePreference} onChange={e => handleEnginePreferenceChange(e.target.value)} style={{marginLeft: 8}}><option value="auto">Auto ({resolveAudioEngine('auto') === AUDIO_ENGINES.WEB_AUDIO ? 'Web Audio' : 'media element'})</option><option value={AUDIO_ENGINES.MEDIA}>Media element</option><option value={AUDIO_ENGINES.WEB_AUDIO}>Web Audio</option></select></div>
     <div style={{color:'#aaa', fontSize:12, marginTop:8}}>Press <b>L</b> to toggle this panel.</div>
   </div>
 )}
       {import.meta.env.MODE === 'development' && showDriftDebug && (
   <DiagnosticsPanel
     audioLatency={audioLatency}
-    manualLatency={manualLatency}
-    setManualLatency={setManualLatency}
     resyncStats={resyncStats}
     rtt={rtt}
     jitter={jitter}
@@ -5,8 +5,6 @@ import PropTypes from 'prop-types';
  * DiagnosticsPanel - Shows sync diagnostics and latency calibration (dev only)
  * @param {Object} props
  * @param {number} props.audioLatency
- * @param {number} props.manualLatency
- * @param {function} props.setManualLatency
  * @param {object} props.resyncStats
  * @param {number} props.rtt
  * @param {number} props.jitter
@@ -15,7 +13,7 @@ import PropTypes from 'prop-types';
  * @param {number} props.computedUltraPreciseOffset
  * @param {number} props.smoothedOffset
  */
-export default function DiagnosticsPanel({ audioLatency, manualLatency, setManualLatency, resyncStats, rtt, jitter, syncQuality, selectedSource, computedUltraPreciseOffset, smoothedOffset }) {
+export default function DiagnosticsPanel({ audioLatency, resyncStats, rtt, jitter, syncQuality, selectedSource, computedUltraPreciseOffset, smoothedOffset }) {
   return (
     <div style={{
       position: 'fixed',
@@ -53,8 +51,6 @@ export default function DiagnosticsPanel({ audioLatency, manualLatency, setManua
 
 DiagnosticsPanel.propTypes = {
   audioLatency: PropTypes.number,
-  manualLatency: PropTypes.number,
-  setManualLatency: PropTypes.func,
   resyncStats: PropTypes.object,
   rtt: PropTypes.number,
   jitter: PropTypes.number,
@@ -0,0 +1,42 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const ADJUSTMENT_STEP = 0.005; // s
+
+function formatMs(seconds) {
+  return typeof seconds === 'number' ? `${Math.round(seconds * 1000)} ms` : '--';
+}
+
+/**
+ * LatencyProfilePanel - This device's output-latency profile, as stored on the server (dev only)
+ * @param {Object} props
+ * @param {object} props.latencyProfile - Result of useLatencyProfile
+ * @param {string} props.clientId - Own clientId, the target of adjustments
+ */
+export default function LatencyProfilePanel({ latencyProfile, clientId }) {
+  const profile = latencyProfile && latencyProfile.profile;
+  if (!profile) {
+    return <div style={{color: '#aaa'}}>No latency profile yet (join a session).</div>;
+  }
+  const adjust = (adjustment) => latencyProfile.setAdjustment(clientId, Math.round(adjustment * 1000) / 1000);
+  const buttonStyle = {padding: '2px 8px', borderRadius: 6, background: '#444', color: '#fff', border: 'none', cursor: 'pointer', marginLeft: 6};
+  return (
+    <div>
+      <div>Device: <b>{profile.deviceLabel || profile.deviceKey}</b></div>
+      <div>Detected: <b>{formatMs(profile.reportedLatency)}</b></div>
+      <div>Calibrated: <b>{formatMs(profile.calibratedLatency)}</b></div>
+      <div>
+        Adjustment: <b>{formatMs(profile.adjustment)}</b>
+        <button style={buttonStyle} onClick={() => adjust(profile.adjustment - ADJUSTMENT_STEP)}>-5</button>
+        <button style={buttonStyle} onClick={() => adjust(profile.adjustment + ADJUSTMENT_STEP)}>+5</button>
+        <button style={buttonStyle} onClick={() => adjust(0)}>Reset</button>
+      </div>
+      <div>Compensation: <b>{formatMs(profile.compensation)}</b></div>
+    </div>
+  );
+}
+
+LatencyProfilePanel.propTypes = {
+  latencyProfile: PropTypes.object,
+  clientId: PropTypes.string
+};
@@ -0,0 +1,83 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const REPEAT_LABELS = {
+  off: 'Repeat off',
+  all: 'Repeat all',
+  one: 'Repeat one',
+};
+
+/**
+ * PlaybackModeControls - Session-wide shuffle and repeat toggles (controller only)
+ * @param {Object} props
+ * @param {boolean} props.shuffle
+ * @param {'off'|'all'|'one'} props.repeatMode
+ * @param {function} props.onToggleShuffle
+ * @param {function} props.onCycleRepeat
+ * @param {boolean} props.isController
+ */
+export default function PlaybackModeControls({
+  shuffle,
+  repeatMode,
+  onToggleShuffle,
+  onCycleRepeat,
+  isController,
+  className = ''
+}) {
+  const buttonClass = (active) =>
+    `w-8 h-8 flex items-center justify-center border-none bg-transparent p-0 transition-colors duration-200 disabled:cursor-not-allowed ${
+      active ? 'text-primary' : 'text-neutral-400 hover:text-primary'
+    }`;
+  const repeatLabel = REPEAT_LABELS[repeatMode] || REPEAT_LABELS.off;
+
+  return (
+    <div className={`flex items-center gap-1 ${className}`}>
+      {/* Shuffle */}
+      <button
+        className={buttonClass(shuffle)}
+        onClick={onToggleShuffle}
+        disabled={!isController}
+        aria-pressed={shuffle}
+        aria-label={shuffle ? 'Disable shuffle' : 'Enable shuffle'}
+        title={isController ? (shuffle ? 'Shuffle on' : 'Shuffle off') : 'Only the controller can change shuffle'}
+        style={{ boxShadow: 'none' }}
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <polyline points="16 3 21 3 21 8" />
+          <line x1="4" y1="20" x2="21" y2="3" />
+          <polyline points="21 16 21 21 16 21" />
+          <line x1="15" y1="15" x2="21" y2="21" />
+          <line x1="4" y1="4" x2="9" y2="9" />
+        </svg>
+      </button>
+      {/* Repeat: off -> all -> one */}
+      <button
+        className={`relative ${buttonClass(repeatMode !== 'off')}`}
+        onClick={onCycleRepeat}
+        disabled={!isController}
+        aria-label={repeatLabel}
+        title={isController ? repeatLabel : 'Only the controller can change repeat'}
+        style={{ boxShadow: 'none' }}
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <path d="M17 1l4 4-4 4" />
+          <path d="M3 11V9a4 4 0 014-4h14" />
+          <path d="M7 23l-4-4 4-4" />
+          <path d="M21 13v2a4 4 0 01-4 4H3" />
+        </svg>
+        {repeatMode === 'one' && (
+          <span className="absolute -top-0.5 -right-0.5 text-[9px] font-bold leading-none">1</span>
+        )}
+      </button>
+    </div>
+  );
+}
+
+PlaybackModeControls.propTypes = {
+  shuffle: PropTypes.bool.isRequired,
+  repeatMode: PropTypes.oneOf(['off', 'all', 'one']).isRequired,
+  onToggleShuffle: PropTypes.func.isRequired,
+  onCycleRepeat: PropTypes.func.isRequired,
+  isController: PropTypes.bool,
+  className: PropTypes.string
+};
@@ -11,7 +11,8 @@ export default function ControllerRequestManager({
   controllerOfferReceived,
   controllerOfferSent,
   controllerOfferAccepted,
-  controllerOfferDeclined
+  controllerOfferDeclined,
+  controllerReconnecting
 }) {
   const [requestStatus, setRequestStatus] = useState(null);
   const [showRequestReceived, setShowRequestReceived] = useState(false);
@@ -85,6 +86,14 @@ export default function ControllerRequestManager({
 
 
   
+  // Tick the countdown while the controller's reconnection grace window is open
+  useEffect(() => {
+    if (!controllerReconnecting) return;
+    setCurrentTime(Date.now());
+    const interval = setInterval(() => setCurrentTime(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [controllerReconnecting]);
+
   // Clear request status when becoming controller or when request is no longer pending
   useEffect(() => {
     // Detect when user becomes controller (request approved)
@@ -221,6 +230,27 @@ export default function ControllerRequestManager({
   
   return (
     <div className={`mb-4 ${isController && (showRequestReceived || pendingControllerRequests.length > 0) ? 'border-t border-neutral-800 pt-4' : ''}`}>
+      {/* Controller dropped and may still come back; playback keeps going meanwhile */}
+      {controllerReconnecting && !isController && (
+        <div className="rounded-lg p-3 mb-2 bg-neutral-900 border border-neutral-800" role="status" aria-live="polite">
+          <div className="flex items-center gap-3">
+            <div className="w-8 h-8 rounded-lg flex items-center justify-center bg-neutral-800">
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-white animate-spin">
+                <path d="M21 12a9 9 0 1 1-6.219-8.56"></path>
+              </svg>
+            </div>
+            <div className="flex-1">
+              <h4 className="font-medium text-sm text-white">Controller reconnecting…</h4>
+              <p className="text-xs text-neutral-400">
+                {controllerClientId === controllerReconnecting.clientId && controllerReconnecting.expiresAt > currentTime
+                  ? `Control passes on in ${Math.ceil((controllerReconnecting.expiresAt - currentTime) / 1000)}s if they don't return.`
+                  : 'Handing control to the next listener.'}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Request Result Notification */}
       {requestResult && (
         <div className={`rounded-lg p-3 ${requestResultVisible.animationClass} bg-neutral-900 border border-neutral-800`}> 
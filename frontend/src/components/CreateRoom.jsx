@@ -5,6 +5,8 @@ export default function CreateRoom({ onConfirm, onCancel, sessionId }) {
   const codeRef = useRef(null);
   const modalRef = useRef(null);
   const [copied, setCopied] = useState(false);
+  const [password, setPassword] = useState('');
+  const passwordTooShort = password.length > 0 && password.length < 4;
 
   useFocusTrap(true, modalRef, onCancel);
 
@@ -118,8 +120,29 @@ export default function CreateRoom({ onConfirm, onCancel, sessionId }) {
             </div>
           </div>
 
+          <div className="w-full mb-4">
+            <label htmlFor="create-room-password" className="block text-neutral-400 text-xs mb-1">
+              Password or PIN (optional)
+            </label>
+            <input
+              id="create-room-password"
+              type="password"
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              autoComplete="new-password"
+              maxLength={128}
+              placeholder="Leave empty for an open room"
+              aria-invalid={passwordTooShort}
+              className="w-full px-3 py-2 rounded-lg bg-neutral-900 border border-neutral-700 text-white text-sm placeholder-neutral-500 focus:outline-none focus:border-primary"
+            />
+            {passwordTooShort && (
+              <div className="text-red-400 text-xs mt-1">Use at least 4 characters.</div>
+            )}
+          </div>
+
           <button
-            onClick={onConfirm}
+            onClick={() => onConfirm(password || null)}
+            disabled={passwordTooShort}
             className="w-full px-4 py-2 bg-primary hover:bg-primary/90 text-white rounded-full font-medium text-base cursor-pointer transition-all duration-300 flex items-center justify-center gap-2 mb-3 shadow-lg"
             autoFocus
           >
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import CreateRoom from './CreateRoom'
 import LoadingSpinner from './LoadingSpinner'
 import SessionPage from './SessionPage';
+import { setPendingRoomSecret } from '../utils/roomAccess'
 
 /**
  * Enhanced CreateRoomPage:
@@ -148,7 +149,11 @@ function CreateRoomPage() {
     <div className="animate-fade-in-fast">
       <CreateRoom
         sessionId={sessionId}
-        onConfirm={() => navigate(`/${sessionId}`)}
+        onConfirm={(password) => {
+          // The room is created on first join, so the password travels with that join_session
+          if (password) setPendingRoomSecret(sessionId, { password })
+          navigate(`/${sessionId}`)
+        }}
         onCancel={() => navigate('/')}
       />
     </div>
@@ -162,10 +162,21 @@ function MakeControllerButton({ onClick, displayName, className = "" }) {
   );
 }
 
+// Output-latency compensation a member's player applies (server-side profile, see useLatencyProfile)
+function formatLatency(latency) {
+  if (!latency) return '';
+  const ms = Math.round(latency.compensation * 1000);
+  return latency.deviceLabel ? `${latency.deviceLabel} · ${ms} ms` : `${ms} ms`;
+}
+
+// Step for the controller's latency adjustment buttons
+const LATENCY_ADJUSTMENT_STEP = 0.005; // s
+
 // Memoized list item renderer for react-window (mobile and desktop)
-const DeviceListItem = React.memo(function DeviceListItem({ c, index, clientId, controllerClientId, isController, handleOfferController, clientAnimations }) {
+const DeviceListItem = React.memo(function DeviceListItem({ c, index, clientId, controllerClientId, coHostClientId, isController, handleOfferController, clientAnimations }) {
   const isCurrentUser = c.clientId === clientId;
   const isCurrentController = c.clientId === controllerClientId;
+  const isCoHost = !!coHostClientId && c.clientId === coHostClientId;
   return (
     <li
       key={c.clientId || c.id}
@@ -186,9 +197,13 @@ const DeviceListItem = React.memo(function DeviceListItem({ c, index, clientId,
             `}>
               {c.displayName || c.clientId || c.id}
             </span>
+            {isCoHost && (
+              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-neutral-700/60 text-neutral-200 border border-neutral-600/40">Co-host</span>
+            )}
           </div>
           <p className="text-neutral-400 text-xs truncate">
             {c.deviceInfo || 'Unknown device'}
+            {c.latency && ` · ${formatLatency(c.latency)}`}
           </p>
         </div>
       </div>
@@ -257,7 +272,7 @@ function SmoothList({ items, renderItem, getKey }) {
   );
 }
 
-const DeviceList = React.memo(function DeviceList({ clients = [], controllerClientId, clientId, socket, dropdown = false }) {
+const DeviceList = React.memo(function DeviceList({ clients = [], controllerClientId, coHostClientId, clientId, socket, dropdown = false }) {
   const isController = controllerClientId && clientId && controllerClientId === clientId;
   const [shouldAnimate, setShouldAnimate] = useState(false);
   const deviceListScrollRef = useRef(null);
@@ -370,6 +385,41 @@ const DeviceList = React.memo(function DeviceList({ clients = [], controllerClie
     });
   }, [socket, isController]);
 
+  // The co-host takes over if the controller drops and doesn't reconnect in time
+  const handleToggleCoHost = useCallback((targetClientId) => {
+    if (!socket || !isController) return;
+    const nextCoHost = targetClientId === coHostClientId ? null : targetClientId;
+    socket.emit('set_co_host', {
+      sessionId: socket.sessionId,
+      targetClientId: nextCoHost
+    }, (res) => {
+      if (res && res.success) {
+        setToast({ type: 'success', message: nextCoHost ? 'Co-host set.' : 'Co-host removed.' });
+      } else {
+        setToast({ type: 'error', message: (res && res.error) || 'Failed to update co-host.' });
+      }
+      setTimeout(() => setToast(null), 2500);
+    });
+  }, [socket, isController, coHostClientId]);
+
+  // Fine-tune a listener's output-latency compensation, e.g. when their Bluetooth headset lags the room
+  const handleAdjustLatency = useCallback((target, delta) => {
+    if (!socket || !isController || !target.latency) return;
+    const adjustment = Math.round(((target.latency.adjustment || 0) + delta) * 1000) / 1000;
+    socket.emit('set_latency_adjustment', {
+      sessionId: socket.sessionId,
+      targetClientId: target.clientId,
+      adjustment
+    }, (res) => {
+      if (res && res.success) {
+        setToast({ type: 'success', message: `Latency compensation: ${Math.round(res.profile.compensation * 1000)} ms` });
+      } else {
+        setToast({ type: 'error', message: (res && res.error) || 'Failed to adjust latency.' });
+      }
+      setTimeout(() => setToast(null), 2500);
+    });
+  }, [socket, isController]);
+
   // Always use the ultra-minimalist desktop layout for all views
   return (
     <div className="py-2">
@@ -422,6 +472,7 @@ const DeviceList = React.memo(function DeviceList({ clients = [], controllerClie
               const isCurrentUser = c.clientId === clientId;
               const isController = controllerClientId === c.clientId;
               const canMakeController = !isController && clientId === controllerClientId;
+              const isCoHost = !!coHostClientId && coHostClientId === c.clientId;
               return (
                 <li
                   key={c.clientId || c.id}
@@ -435,21 +486,63 @@ const DeviceList = React.memo(function DeviceList({ clients = [], controllerClie
                     <span className="flex-shrink-0 w-7 h-7 rounded-full bg-neutral-700 flex items-center justify-center text-xs text-white font-semibold">
                       {c.displayName ? c.displayName.charAt(0).toUpperCase() : '?'}
                     </span>
-                    <span className="text-neutral-200 text-sm truncate" title={c.displayName || c.clientId}>
-                      {c.displayName || c.clientId}
-                      {isCurrentUser && (
-                        <span className="ml-2 px-2 py-0.5 rounded bg-primary/20 text-primary text-xs font-medium">You</span>
-                      )}
-                      {isController && (
-                        <span className="ml-2 px-2 py-0.5 rounded bg-green-600/20 text-green-500 text-xs font-medium">Controller</span>
+                    <div className="min-w-0">
+                      <span className="block text-neutral-200 text-sm truncate" title={c.displayName || c.clientId}>
+                        {c.displayName || c.clientId}
+                        {isCurrentUser && (
+                          <span className="ml-2 px-2 py-0.5 rounded bg-primary/20 text-primary text-xs font-medium">You</span>
+                        )}
+                        {isController && (
+                          <span className="ml-2 px-2 py-0.5 rounded bg-green-600/20 text-green-500 text-xs font-medium">Controller</span>
+                        )}
+                        {isCoHost && (
+                          <span className="ml-2 px-2 py-0.5 rounded bg-neutral-600/30 text-neutral-300 text-xs font-medium">Co-host</span>
+                        )}
+                      </span>
+                      {c.latency && (
+                        <span className="flex items-center gap-1 text-neutral-500 text-xs" title="Output latency compensation">
+                          <span className="truncate">{formatLatency(c.latency)}</span>
+                          {clientId === controllerClientId && (
+                            <>
+                              <button
+                                type="button"
+                                className="px-1.5 rounded border border-neutral-700 text-neutral-300 hover:bg-white/10"
+                                aria-label={`Decrease latency compensation for ${c.displayName || c.clientId} by 5 ms`}
+                                onClick={() => handleAdjustLatency(c, -LATENCY_ADJUSTMENT_STEP)}
+                              >
+                                −
+                              </button>
+                              <button
+                                type="button"
+                                className="px-1.5 rounded border border-neutral-700 text-neutral-300 hover:bg-white/10"
+                                aria-label={`Increase latency compensation for ${c.displayName || c.clientId} by 5 ms`}
+                                onClick={() => handleAdjustLatency(c, LATENCY_ADJUSTMENT_STEP)}
+                              >
+                                +
+                              </button>
+                            </>
+                          )}
+                        </span>
                       )}
-                    </span>
+                    </div>
                   </div>
-                  {/* Right: Make Controller button (if present) */}
+                  {/* Right: Co-host toggle + Make Controller button (controller only) */}
+                  {canMakeController && (
+                    <button
+                      type="button"
+                      className="ml-auto px-2 py-1 rounded-full border border-neutral-600 text-neutral-300 text-xs font-medium hover:bg-white/10 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-white/30"
+                      aria-pressed={isCoHost}
+                      aria-label={isCoHost ? `Remove ${c.displayName || c.clientId} as co-host` : `Make ${c.displayName || c.clientId} co-host`}
+                      title="The co-host takes over if you disconnect and don't come back"
+                      onClick={() => handleToggleCoHost(c.clientId)}
+                    >
+                      {isCoHost ? 'Remove co-host' : 'Co-host'}
+                    </button>
+                  )}
                   {canMakeController && (
                     <button
                       type="button"
-                      className="ml-auto px-2 py-1 rounded-full border border-black text-black text-xs font-medium bg-white hover:bg-black hover:text-white transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-black/40 mobile-make-controller"
+                      className="px-2 py-1 rounded-full border border-black text-black text-xs font-medium bg-white hover:bg-black hover:text-white transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-black/40 mobile-make-controller"
                       style={{
                         background: '#fff',
                         color: '#000',
@@ -492,6 +585,7 @@ DeviceListItem.propTypes = {
   index: PropTypes.number.isRequired,
   clientId: PropTypes.string,
   controllerClientId: PropTypes.string,
+  coHostClientId: PropTypes.string,
   isController: PropTypes.bool,
   handleOfferController: PropTypes.func.isRequired,
   clientAnimations: PropTypes.array,
@@ -500,6 +594,7 @@ DeviceListItem.propTypes = {
 DeviceList.propTypes = {
   clients: PropTypes.array,
   controllerClientId: PropTypes.string,
+  coHostClientId: PropTypes.string,
   clientId: PropTypes.string,
   socket: PropTypes.object,
   dropdown: PropTypes.bool,
@@ -30,4 +30,15 @@ export const RemoveIcon = (props) => (
     <line x1="10" y1="11" x2="10" y2="17"></line>
     <line x1="14" y1="11" x2="14" y2="17"></line>
   </svg>
-); 
\ No newline at end of file
+); 
+
+export const DragHandleIcon = (props) => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" {...props}>
+    <circle cx="9" cy="6" r="1.5"></circle>
+    <circle cx="15" cy="6" r="1.5"></circle>
+    <circle cx="9" cy="12" r="1.5"></circle>
+    <circle cx="15" cy="12" r="1.5"></circle>
+    <circle cx="9" cy="18" r="1.5"></circle>
+    <circle cx="15" cy="18" r="1.5"></circle>
+  </svg>
+);
@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+import QRCodeDisplay from './QRCodeDisplay';
+
+// Ask for a fresh invite this long before the current one expires
+const INVITE_REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * InviteQRCode - QR code for the current room.
+ * For password-protected rooms it embeds a short-lived invite token (refreshed before it expires)
+ * instead of the password; open rooms get the plain room link.
+ */
+export default function InviteQRCode({ socket, sessionId, size = 128, label = '' }) {
+  const [invite, setInvite] = useState({ token: null, expiresAt: null });
+
+  useEffect(() => {
+    if (!socket || !sessionId) return;
+    let cancelled = false;
+    let refreshTimer;
+    const requestInvite = () => {
+      socket.emit('create_invite', { sessionId }, (res) => {
+        if (cancelled || !res || res.error) return;
+        setInvite({ token: res.token, expiresAt: res.expiresAt });
+        if (res.expiresAt) {
+          const delay = Math.max(5000, res.expiresAt - Date.now() - INVITE_REFRESH_MARGIN_MS);
+          refreshTimer = setTimeout(requestInvite, delay);
+        }
+      });
+    };
+    requestInvite();
+    return () => {
+      cancelled = true;
+      if (refreshTimer) clearTimeout(refreshTimer);
+    };
+  }, [socket, sessionId]);
+
+  return (
+    <QRCodeDisplay
+      sessionId={sessionId}
+      inviteToken={invite.token}
+      expiresAt={invite.expiresAt}
+      size={size}
+      label={label}
+    />
+  );
+}
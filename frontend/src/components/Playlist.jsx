@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect, useContext, useMemo, useCallback } from 'react';
 import { useStaggeredAnimation } from '../hooks/useSmoothAppearance';
-import { getClientId } from '../utils/clientId';
-import jsmediatags from 'jsmediatags/dist/jsmediatags.min.js';
+import { getClientCredential } from '../utils/clientId';
+import { uploadResumable } from '../utils/resumableUpload';
 import { VariableSizeList as List } from 'react-window';
 import { ReducedMotionContext } from '../App';
 import UploadForm from './UploadForm';
@@ -11,6 +11,11 @@ import Toast from './Toast';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
 import useDeviceType from '../hooks/useDeviceType';
 
+// The all-tracks endpoint pages its results; one page of this size covers the browse list
+const ALL_TRACKS_LIMIT = 200;
+// What the file picker offers. The backend checks each file's contents, so this is only a hint.
+const UPLOAD_ACCEPT = 'audio/*,.mp3,.flac,.ogg,.oga,.opus,.m4a,.aac,.wav';
+
 // Helper to format duration in seconds to mm:ss
 function formatDuration(seconds) {
   if (!seconds || isNaN(seconds) || seconds <= 0) return '';
@@ -25,7 +30,7 @@ function isValidAudioUrl(url) {
     const parsed = new URL(url);
     if (!/^https?:$/.test(parsed.protocol)) return false;
     // Accept common audio extensions
-    return /\.(mp3|wav|ogg|m4a|aac|flac)$/i.test(parsed.pathname);
+    return /\.(mp3|wav|ogg|oga|opus|m4a|aac|flac)$/i.test(parsed.pathname);
   } catch {
     return false;
   }
@@ -62,7 +67,7 @@ const SAMPLE_TRACKS = [
   },
 ];
 
-const Playlist = React.memo(function Playlist({ queue = [], isController, socket, sessionId, onSelectTrack, selectedTrackIdx, mobile = false, pendingRemoveId, handleRemove, confirmRemove }) {
+const Playlist = React.memo(function Playlist({ queue = [], isController, socket, sessionId, clientId, onSelectTrack, selectedTrackIdx, mobile = false, pendingRemoveId, handleRemove, confirmRemove }) {
   const reducedMotion = useContext(ReducedMotionContext);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
@@ -78,17 +83,19 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
 
   // Fetch all tracks with React Query
   const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:4000';
+  // Samples plus this room's own uploads
+  const allTracksUrl = `${backendUrl}/audio/all-tracks?limit=${ALL_TRACKS_LIMIT}${sessionId ? `&sessionId=${encodeURIComponent(sessionId)}` : ''}`;
   const {
     data: allTracks = [],
     isLoading: allTracksLoading,
     error: allTracksError,
     refetch: refetchAllTracks,
   } = useQuery({
-    queryKey: ['all-tracks'],
+    queryKey: ['all-tracks', sessionId],
     queryFn: async () => {
-      const res = await fetch(`${backendUrl}/audio/all-tracks`);
+      const res = await fetch(allTracksUrl);
       if (!res.ok) throw new Error('Failed to fetch tracks');
-      return res.json();
+      return (await res.json()).tracks;
     },
     staleTime: 1000 * 60 * 5, // 5 minutes
     cacheTime: 1000 * 60 * 30, // 30 minutes
@@ -98,16 +105,16 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
   // Prefetch all-tracks on mount for snappy UX
   React.useEffect(() => {
     queryClient.prefetchQuery({
-      queryKey: ['all-tracks'],
+      queryKey: ['all-tracks', sessionId],
       queryFn: async () => {
-        const res = await fetch(`${backendUrl}/audio/all-tracks`);
+        const res = await fetch(allTracksUrl);
         if (!res.ok) throw new Error('Failed to fetch tracks');
-        return res.json();
+        return (await res.json()).tracks;
       },
       staleTime: 1000 * 60 * 5,
       cacheTime: 1000 * 60 * 30,
     });
-  }, [queryClient, backendUrl]);
+  }, [queryClient, allTracksUrl, sessionId]);
 
   const [allTracksSearch, setAllTracksSearch] = useState("");
   const [showUploadModal, setShowUploadModal] = useState(false);
@@ -171,144 +178,51 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
     if (fileInputRef.current) fileInputRef.current.value = '';
   }, [selectedFiles, isDuplicateFile]);
 
-    const sendUploadToBackend = useCallback((meta, file) => {
-    // Return a promise so batch upload can chain
-    return new Promise((resolve, reject) => {
-    console.log('sendUploadToBackend called', meta);
+  const sendUploadToBackend = useCallback(async (file) => {
+    console.log('sendUploadToBackend called', file.name);
+    const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:4000';
     try {
-      const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:4000';
-      const formData = new FormData();
-      formData.append('music', file);
-      formData.append('clientId', getClientId());
-      formData.append('sessionId', sessionId);
-      const xhr = new window.XMLHttpRequest();
-      xhr.open('POST', `${backendUrl}/audio/upload`);
-      xhr.upload.onprogress = (event) => {
-        if (event.lengthComputable) {
-          setUploadProgress(Math.round((event.loaded / event.total) * 100));
-        }
-      };
-      xhr.onload = () => {
-        setUploading(false);
-        setUploadProgress(0);
-        setSelectedFile(null);
-        if (fileInputRef.current) fileInputRef.current.value = '';
-        if (xhr.status === 200) {
-          const data = JSON.parse(xhr.responseText);
-          if (data.url) {
-            socket.emit('add_to_queue', { sessionId, url: backendUrl + data.url, ...meta }, (res) => {
-              if (res && res.error) {
-                setToast(res.error);
-              }
-            });
+      // Sent in chunks: if the connection drops, the upload resumes where it stopped once the device is back online
+      const data = await uploadResumable(file, {
+        backendUrl,
+        sessionId,
+        // The id the server settled on at join (useSocket), which the credential is issued for
+        clientId,
+        credential: getClientCredential(sessionId),
+        onProgress: (fraction) => setUploadProgress(Math.round(fraction * 100)),
+        onRetry: () => setToast(`Connection lost, "${file.name}" will resume when you're back online`),
+      });
+      if (data.url) {
+        // The backend reads title, artist, album, duration and album art from the file's tags
+        const { title, artist, album, duration } = data;
+        const albumArt = data.albumArt ? backendUrl + data.albumArt : undefined;
+        socket.emit('add_to_queue', { sessionId, url: backendUrl + data.url, title, artist, album, duration, albumArt }, (res) => {
+          if (res && res.error) {
+            setToast(res.error);
           }
-          resolve();
-        } else {
-          let errorMsg = 'Upload failed';
-          try {
-            const errData = JSON.parse(xhr.responseText);
-            if (errData && errData.error) errorMsg = errData.error;
-            else if (errData && errData.errors && Array.isArray(errData.errors) && errData.errors.length > 0 && errData.errors[0].msg) errorMsg = errData.errors[0].msg;
-          } catch {}
-          setToast(errorMsg);
-          reject();
-        }
-      };
-      xhr.onerror = () => {
-        setUploading(false);
-        setUploadProgress(0);
-        setSelectedFile(null);
-        if (fileInputRef.current) fileInputRef.current.value = '';
-        setToast('Upload failed (network error)');
-        reject();
-      };
-      xhr.send(formData);
+        });
+      }
     } catch (err) {
-      setUploading(false);
+      setToast(err.message || 'Upload failed');
+      throw err;
+    } finally {
       setUploadProgress(0);
       setSelectedFile(null);
       if (fileInputRef.current) fileInputRef.current.value = '';
-      setToast('Upload failed (unexpected error)');
-      reject();
     }
-  });
-  }, [socket, sessionId]);
+  }, [socket, sessionId, clientId]);
 
   // 2. Add upload handler for all selected files
   const handleUploadAll = useCallback(async () => {
     setUploading(true);
     for (let idx = 0; idx < selectedFiles.length; idx++) {
       const file = selectedFiles[idx];
-      // File type validation
-      const allowedTypes = [
-        "audio/mp3",
-        "audio/mpeg",
-        "audio/x-mp3",
-        "audio/mpeg3",
-        "audio/x-mpeg-3",
-        "audio/x-mpeg",
-      ];
-      if (!allowedTypes.includes(file.type)) {
-        setUploadError("Only MP3 files are allowed.");
-        continue;
-      }
+      // No type check here: the backend decides what is audio, by the file's contents
       if (file.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
         setUploadError(`File size must be under ${MAX_FILE_SIZE_MB}MB.`);
         continue;
       }
-      // Extract ID3 metadata and upload (reuse previous logic)
-      await new Promise((resolve) => {
-      jsmediatags.read(file, {
-        onSuccess: (tag) => {
-          let title = tag.tags.title;
-          let artist = tag.tags.artist || '';
-          let album = tag.tags.album || '';
-          let duration = 0;
-          let albumArt = null;
-          // Extract album art if available
-          if (tag.tags.picture) {
-            const { data, format } = tag.tags.picture;
-            let base64String = '';
-            if (Array.isArray(data)) {
-              base64String = btoa(String.fromCharCode.apply(null, data));
-            } else if (data instanceof Uint8Array) {
-              base64String = btoa(String.fromCharCode.apply(null, Array.from(data)));
-            }
-            albumArt = `data:${format};base64,${base64String}`;
-          }
-          if (!title || typeof title !== 'string' || !title.trim()) {
-            title = file.name.replace(/\.[^/.]+$/, "");
-          }
-          const audio = document.createElement('audio');
-          audio.preload = 'metadata';
-          audio.onloadedmetadata = () => {
-            duration = audio.duration;
-              sendUploadToBackend({ title, artist, album, duration, albumArt }, file).then(resolve).catch(resolve);
-          };
-          audio.onerror = () => {
-              sendUploadToBackend({ title, artist, album, duration: 0, albumArt }, file).then(resolve).catch(resolve);
-          };
-          audio.src = URL.createObjectURL(file);
-        },
-          onError: () => {
-          let title = file.name.replace(/\.[^/.]+$/, "");
-          let artist = '';
-          let album = '';
-          let duration = 0;
-          let albumArt = null;
-          const audio = document.createElement('audio');
-          audio.preload = 'metadata';
-          audio.onloadedmetadata = () => {
-            duration = audio.duration;
-              sendUploadToBackend({ title, artist, album, duration, albumArt }, file).then(resolve).catch(resolve);
-          };
-          audio.onerror = () => {
-              sendUploadToBackend({ title, artist, album, duration: 0, albumArt }, file).then(resolve).catch(resolve);
-          };
-          audio.src = URL.createObjectURL(file);
-        }
-      });
-      });
+      await sendUploadToBackend(file).catch(() => {});
     }
     setUploading(false);
     setUploadProgress(0);
@@ -446,8 +360,8 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
     }
     if (!socket) return;
     setLoading(true);
-    // Remove by trackId only
-    socket.emit('remove_from_queue', { sessionId, trackId }, (res) => {
+    // Remove by queue entry id only
+    socket.emit('remove_from_queue', { sessionId, entryId: trackId }, (res) => {
       setLoading(false);
       if (res && res.error) {
         setToast(res.error);
@@ -455,6 +369,16 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
     });
   }, [handleRemove, socket, sessionId]);
 
+  // Reorder the queue (controller only); the server broadcasts the new order to everyone
+  const handleMoveTrack = useCallback((fromIndex, toIndex) => {
+    if (!socket || !isController) return;
+    socket.emit('move_in_queue', { sessionId, entryId: queue[fromIndex]?.id, fromIndex, toIndex }, (res) => {
+      if (res && res.error) {
+        setToast(res.error);
+      }
+    });
+  }, [socket, sessionId, isController, queue]);
+
   // --- Upload logic with progress ---
   const MAX_FILE_SIZE_MB = 50;
 
@@ -578,7 +502,7 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
                               <div className="flex items-center space-x-4 text-xs text-neutral-400">
                                 <span>{(file.size / (1024 * 1024)).toFixed(2)} MB</span>
                                 <span>•</span>
-                                <span>{file.type || 'audio/mp3'}</span>
+                                <span>{file.type || 'audio'}</span>
                               </div>
                             </div>
                             
@@ -722,7 +646,7 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
                     <span className="text-neutral-500 text-xs mt-1">or <span className="underline text-primary">click to select</span></span>
                   </div>
                   <div className="mt-4 text-xs text-neutral-400 text-center">
-                    Only <span className="font-semibold text-white">MP3</span> files. Max size: <span className="font-semibold text-white">50MB</span> per file.
+                    <span className="font-semibold text-white">MP3, FLAC, OGG/Opus, M4A/AAC or WAV</span> files. Max size: <span className="font-semibold text-white">50MB</span> per file.
                   </div>
                 </>
               )}
@@ -749,7 +673,7 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
                     <span>Select Audio Files</span>
                   </div>
                   <div className="mt-3 text-xs text-neutral-400">
-                    Only <span className="font-semibold text-white">MP3</span> files. Max size: <span className="font-semibold text-white">50MB</span> per file.
+                    <span className="font-semibold text-white">MP3, FLAC, OGG/Opus, M4A/AAC or WAV</span> files. Max size: <span className="font-semibold text-white">50MB</span> per file.
                   </div>
                 </div>
               )}
@@ -757,7 +681,7 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
               {/* Hidden file input for both desktop and mobile */}
                 <input
                   type="file"
-                  accept="audio/mp3,audio/mpeg"
+                  accept={UPLOAD_ACCEPT}
                   multiple
                   ref={fileInputRef}
                   style={{ display: 'none' }}
@@ -782,6 +706,7 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
         handleAdd={handleAdd}
         handleFileChange={handleFileChange}
         handleUploadClick={openUploadModal}
+        accept={UPLOAD_ACCEPT}
       />
 
       {/* Show filtered tracks if any */}
@@ -848,6 +773,7 @@ const Playlist = React.memo(function Playlist({ queue = [], isController, socket
           queueScrollRef={queueScrollRef}
           pendingRemoveId={pendingRemoveId}
           confirmRemove={confirmRemove}
+          onMoveTrack={handleMoveTrack}
         />
       </div>
 
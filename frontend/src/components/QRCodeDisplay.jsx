@@ -1,6 +1,14 @@
 import { QRCodeSVG } from 'qrcode.react';
+import { buildRoomShareUrl } from '../utils/roomAccess';
 
-export default function QRCodeDisplay({ value, size = 128, label = '' }) {
+/**
+ * QRCodeDisplay
+ * - Pass `value` to encode any string, or `sessionId` (+ optional `inviteToken`) to encode a room link.
+ * - Invite tokens are short-lived, so the raw link isn't printed under the code when one is embedded.
+ */
+export default function QRCodeDisplay({ value, sessionId, inviteToken = null, expiresAt = null, size = 128, label = '' }) {
+  const qrValue = value || (sessionId ? buildRoomShareUrl(sessionId, inviteToken) : '');
+  const expiresInMin = expiresAt ? Math.max(1, Math.round((expiresAt - Date.now()) / 60000)) : null;
 
   return (
     <div className="flex flex-col items-center gap-2">
@@ -9,7 +17,7 @@ export default function QRCodeDisplay({ value, size = 128, label = '' }) {
         style={{ width: size, height: size }}
       >
         <QRCodeSVG
-          value={value || ''}
+          value={qrValue}
           size={size}
           bgColor="#18181b"
           fgColor="#fff"
@@ -28,11 +36,15 @@ export default function QRCodeDisplay({ value, size = 128, label = '' }) {
           {label}
         </div>
       )}
-      {value && (
+      {inviteToken ? (
+        <div className="text-[10px] text-neutral-500 mt-1 text-center max-w-xs">
+          Invite expires in {expiresInMin} min
+        </div>
+      ) : qrValue && (
         <div className="text-[10px] text-neutral-500 mt-1 text-center select-all break-all max-w-xs">
-          {value}
+          {qrValue}
         </div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,6 +1,7 @@
 import React, { useCallback, useMemo, useState, useRef, useEffect } from 'react';
-import { MusicIcon, RemoveIcon } from './Icons';
+import { MusicIcon, RemoveIcon, DragHandleIcon } from './Icons';
 import useDeviceType from '../hooks/useDeviceType';
+import { resolveMediaUrl } from '../utils/mediaUrl';
 // Add Vibrant color extraction
 let Vibrant = null;
 async function loadVibrant() {
@@ -50,8 +51,18 @@ const TrackRow = React.memo(function TrackRow({
   confirmRemove,
   onOptimisticRemove, // <-- new prop
   isAnimatingOut, // <-- new prop
+  canReorder = false,
+  queueLength = 0,
+  isDragging = false,
+  isDropTarget = false,
+  onDragStartRow,
+  onDragOverRow,
+  onDropRow,
+  onDragEndRow,
+  onMoveTrack,
 }) {
-  const trackId = item.url || item.id || item.title;
+  // Server-generated entry id; url/title only for entries that predate ids
+  const trackId = item.id || item.url || item.title;
   const isSelected = selectedTrackIdx === idx;
   const animationClass = queueAnimations[idx]?.animationClass || '';
   const durationStr = formatDuration(item.duration);
@@ -265,21 +276,22 @@ const TrackRow = React.memo(function TrackRow({
     handleRemove(trackId);
   };
 
+  const albumArt = resolveMediaUrl(item.albumArt);
   // Dominant color burst logic
   const [dominantColor, setDominantColor] = useState('#18181b');
   useEffect(() => {
     let cancelled = false;
     async function extractColor() {
-      if (item.albumArt) {
-        if (colorCache[item.albumArt]) {
-          setDominantColor(colorCache[item.albumArt]);
+      if (albumArt) {
+        if (colorCache[albumArt]) {
+          setDominantColor(colorCache[albumArt]);
           return;
         }
         try {
           await loadVibrant();
-          const palette = await window.Vibrant.from(item.albumArt).getPalette();
+          const palette = await window.Vibrant.from(albumArt).getPalette();
           let color = palette?.Vibrant?.getHex?.() || palette?.DarkVibrant?.getHex?.() || palette?.Muted?.getHex?.() || '#18181b';
-          colorCache[item.albumArt] = color;
+          colorCache[albumArt] = color;
           if (!cancelled) setDominantColor(color);
         } catch (e) {
           if (!cancelled) setDominantColor('#18181b');
@@ -290,7 +302,7 @@ const TrackRow = React.memo(function TrackRow({
     }
     extractColor();
     return () => { cancelled = true; };
-  }, [item.albumArt]);
+  }, [albumArt]);
 
   // Color burst animation on select
   const [showBurst, setShowBurst] = useState(false);
@@ -304,11 +316,75 @@ const TrackRow = React.memo(function TrackRow({
     }
   }, [isSelected]);
 
+  // --- Reorder handlers (controller only) ---
+  // Desktop: the handle is the HTML5 drag source and every row is a drop target.
+  const handleDragStart = (e) => {
+    if (!canReorder) return;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(idx));
+    if (rowRef.current) e.dataTransfer.setDragImage(rowRef.current, 24, 24);
+    onDragStartRow && onDragStartRow(idx);
+  };
+
+  const handleDragOver = (e) => {
+    if (!canReorder) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    onDragOverRow && onDragOverRow(idx);
+  };
+
+  const handleDrop = (e) => {
+    if (!canReorder) return;
+    e.preventDefault();
+    onDropRow && onDropRow(idx);
+  };
+
+  // Touch: drag the handle and pick the row under the finger (touch-action: none stops page scroll)
+  const handleReorderTouchStart = (e) => {
+    e.stopPropagation(); // don't start swipe-to-remove
+    if (!canReorder) return;
+    onDragStartRow && onDragStartRow(idx);
+  };
+
+  const handleReorderTouchMove = (e) => {
+    e.stopPropagation();
+    if (!canReorder || !e.touches || e.touches.length !== 1) return;
+    const touch = e.touches[0];
+    const target = document.elementFromPoint(touch.clientX, touch.clientY)?.closest('[data-queue-idx]');
+    if (target) onDragOverRow && onDragOverRow(Number(target.getAttribute('data-queue-idx')));
+  };
+
+  const handleReorderTouchEnd = (e) => {
+    e.stopPropagation();
+    if (!canReorder) return;
+    onDropRow && onDropRow(null);
+  };
+
+  // Keyboard: arrows move one step, Home/End jump to the top/bottom
+  const handleReorderKeyDown = (e) => {
+    if (!canReorder || !onMoveTrack) return;
+    let toIdx = null;
+    if (e.key === 'ArrowUp') toIdx = idx - 1;
+    else if (e.key === 'ArrowDown') toIdx = idx + 1;
+    else if (e.key === 'Home') toIdx = 0;
+    else if (e.key === 'End') toIdx = queueLength - 1;
+    if (toIdx === null) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onMoveTrack(idx, toIdx);
+  };
+
   return (
     <div
       ref={collapseRef}
-      className={`relative track-row-animate${fadeIn ? ' queue-fade-in' : ''}`}
-      style={collapseStyle}
+      className={`relative track-row-animate${fadeIn ? ' queue-fade-in' : ''}${isDragging ? ' opacity-50' : ''}`}
+      style={{
+        ...collapseStyle,
+        ...(isDropTarget ? { boxShadow: 'inset 0 2px 0 0 #fff' } : {}),
+      }}
+      data-queue-idx={idx}
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
     >
       {/* Color stream burst effect (only on select, flows left to right) */}
       {showBurst && (
@@ -380,12 +456,33 @@ const TrackRow = React.memo(function TrackRow({
         onTouchEnd={handleTouchEnd}
       >
         <div className="flex items-center gap-2 sm:gap-3 relative z-10">
+          {canReorder && (
+            <button
+              type="button"
+              className="p-1 -ml-1 text-neutral-500 hover:text-white focus:text-white rounded cursor-grab active:cursor-grabbing flex-shrink-0"
+              style={{ touchAction: 'none' }}
+              draggable
+              onDragStart={handleDragStart}
+              onDragEnd={() => onDragEndRow && onDragEndRow()}
+              onTouchStart={handleReorderTouchStart}
+              onTouchMove={handleReorderTouchMove}
+              onTouchEnd={handleReorderTouchEnd}
+              onTouchCancel={() => onDragEndRow && onDragEndRow()}
+              onKeyDown={handleReorderKeyDown}
+              onClick={e => e.stopPropagation()}
+              aria-label={`Reorder ${item.title || 'Unknown Track'}, position ${idx + 1} of ${queueLength}`}
+              aria-describedby="queue-reorder-instructions"
+              title="Drag to reorder"
+            >
+              <DragHandleIcon />
+            </button>
+          )}
           <div className={`w-10 h-10 rounded-lg flex items-center justify-center flex-shrink-0 transition-all duration-300 ${isSelected ? 'bg-white' : 'bg-neutral-800'}`}
             title={item.title || 'Unknown Track'}
           >
-            {item.albumArt ? (
+            {albumArt ? (
               <img
-                src={item.albumArt}
+                src={albumArt}
                 alt={item.title ? `Album art for ${item.title}` : 'Album Art'}
                 className="w-10 h-10 object-cover rounded-lg transition-all duration-300 shadow-md"
                 style={{ minWidth: 32, minHeight: 32, background: isSelected ? '#fff' : '#18181b' }}
@@ -586,10 +683,39 @@ function QueueList({
   confirmRemove,
   pendingRemoveIds = [],
   onRemoveAnimationEnd,
+  onMoveTrack,
 }) {
   // All hooks must be called before any early return
   const { isMobile } = useDeviceType();
 
+  // --- Drag-and-drop reordering state (controller only) ---
+  const [dragFromIdx, setDragFromIdx] = useState(null);
+  const [dragOverIdx, setDragOverIdx] = useState(null);
+  const [reorderAnnouncement, setReorderAnnouncement] = useState('');
+  const queueLength = Array.isArray(queue) ? queue.length : 0;
+  const canReorder = !!isController && typeof onMoveTrack === 'function' && queueLength > 1;
+
+  const moveTrack = useCallback((fromIdx, toIdx) => {
+    if (!canReorder || fromIdx === null || toIdx === null) return;
+    const clampedIdx = Math.max(0, Math.min(toIdx, queueLength - 1));
+    if (clampedIdx === fromIdx) return;
+    onMoveTrack(fromIdx, clampedIdx);
+    const title = queue[fromIdx]?.title || 'Track';
+    setReorderAnnouncement(`${title} moved to position ${clampedIdx + 1} of ${queueLength}`);
+  }, [canReorder, queue, queueLength, onMoveTrack]);
+
+  const handleDragEndRow = useCallback(() => {
+    setDragFromIdx(null);
+    setDragOverIdx(null);
+  }, []);
+
+  // toIdx === null means "wherever the pointer last hovered" (touch drags)
+  const handleDropRow = useCallback((toIdx) => {
+    const targetIdx = toIdx === null ? dragOverIdx : toIdx;
+    if (dragFromIdx !== null && targetIdx !== null) moveTrack(dragFromIdx, targetIdx);
+    handleDragEndRow();
+  }, [dragFromIdx, dragOverIdx, moveTrack, handleDragEndRow]);
+
   // Local cache of animating-out items
   const [optimisticRemovals, setOptimisticRemovals] = useState([]); // [{id, item, direction, uniqueKey}]
 
@@ -628,14 +754,14 @@ function QueueList({
         </div>
         <p className="text-neutral-400 text-sm mb-1">No tracks in queue</p>
         <p className="text-neutral-500 text-xs">
-          {isController ? 'Add audio URLs or upload MP3s to get started' : 'The controller will add tracks here'}
+          {isController ? 'Add audio URLs or upload audio files to get started' : 'The controller will add tracks here'}
         </p>
       </div>
     );
   }
 
   // Only render the backend queue, do not merge in optimisticRemovals
-  const fullList = queue.map((item, idx) => ({ item, idx, isAnimatingOut: false, uniqueKey: item.url || item.id || item.title }));
+  const fullList = queue.map((item, idx) => ({ item, idx, isAnimatingOut: false, uniqueKey: item.id || item.url || item.title }));
 
   // Single non-drag version for all users
   return (
@@ -651,6 +777,14 @@ function QueueList({
       aria-label="Queue list"
       data-testid="queue-list"
     >
+      {canReorder && (
+        <>
+          <p id="queue-reorder-instructions" className="sr-only">
+            Drag the handle, or focus it and use the arrow keys, Home or End to move the track.
+          </p>
+          <div className="sr-only" aria-live="polite">{reorderAnnouncement}</div>
+        </>
+      )}
       {fullList.map(({ item, idx, isAnimatingOut, direction, uniqueKey }) => (
         <TrackRow
           key={uniqueKey}
@@ -667,6 +801,15 @@ function QueueList({
           confirmRemove={confirmRemove}
           isAnimatingOut={isAnimatingOut}
           onOptimisticRemove={(trackId) => handleOptimisticRemove(trackId, uniqueKey)}
+          canReorder={canReorder}
+          queueLength={queueLength}
+          isDragging={dragFromIdx === idx}
+          isDropTarget={dragFromIdx !== null && dragOverIdx === idx && dragFromIdx !== idx}
+          onDragStartRow={setDragFromIdx}
+          onDragOverRow={setDragOverIdx}
+          onDropRow={handleDropRow}
+          onDragEndRow={handleDragEndRow}
+          onMoveTrack={moveTrack}
         />
       ))}
     </div>
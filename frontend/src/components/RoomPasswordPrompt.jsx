@@ -0,0 +1,85 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useFocusTrap from './useFocusTrap';
+
+/**
+ * RoomPasswordPrompt - shown when a password-protected room refuses join_session.
+ * @param {Object} props
+ * @param {string} props.sessionId
+ * @param {{ code: string, error: string }} props.accessError - from useSocket's roomAccessError
+ * @param {function} props.onSubmit - called with the entered password
+ * @param {function} props.onCancel - leave the room
+ */
+export default function RoomPasswordPrompt({ sessionId, accessError, onSubmit, onCancel }) {
+  const modalRef = useRef(null);
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useFocusTrap(true, modalRef, onCancel);
+
+  // A new error means the last attempt came back; let the user try again
+  useEffect(() => {
+    setSubmitting(false);
+  }, [accessError]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!password || submitting) return;
+    setSubmitting(true);
+    onSubmit(password);
+  };
+
+  const showError = accessError?.code === 'INVALID_PASSWORD';
+
+  return (
+    <div
+      ref={modalRef}
+      className="fixed inset-0 flex flex-col items-center justify-center z-[2000] bg-neutral-950/90 backdrop-blur animate-fade-in"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="room-password-title"
+      aria-describedby="room-password-desc"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-[24rem] mx-4 p-6 sm:p-8 rounded-2xl border border-neutral-700/50 bg-neutral-900/95 shadow-2xl animate-scale-in"
+      >
+        <h2 id="room-password-title" className="text-lg font-bold text-white mb-2 text-center">
+          This room is protected
+        </h2>
+        <p id="room-password-desc" className="text-neutral-400 text-sm mb-5 text-center">
+          Enter the password or PIN for <span className="font-mono text-neutral-200">{sessionId}</span> to join.
+        </p>
+        <input
+          type="password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          autoComplete="off"
+          maxLength={128}
+          placeholder="Password or PIN"
+          aria-label="Room password or PIN"
+          aria-invalid={showError}
+          className="w-full px-4 py-3 rounded-lg bg-neutral-800 border border-neutral-600 text-white placeholder-neutral-500 focus:outline-none focus:border-neutral-400 mb-3"
+        />
+        {showError && (
+          <div className="mb-3 text-red-400 text-sm text-center animate-shake" role="alert">
+            {accessError.error || 'Incorrect password'}
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={!password || submitting}
+          className="w-full px-4 py-3 bg-white text-black rounded-lg font-bold text-sm mb-3 transition-all duration-300 hover:bg-neutral-100 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? 'Joining...' : 'Join Room'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="w-full px-4 py-3 text-white rounded-lg font-bold text-sm border border-neutral-700 hover:border-neutral-600 transition-all duration-300"
+        >
+          Back
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ import SessionFormContainer from './SessionFormContainer';
 import SessionFooter from './SessionFooter';
 import SessionPage from './SessionPage';
 import useDeviceType from '../hooks/useDeviceType';
+import { setPendingRoomSecret } from '../utils/roomAccess';
 
 // --- State management with useReducer ---
 // Refactored: Use useState for form state, refs for animation state
@@ -29,6 +30,7 @@ const initialFormState = {
   createRoomSessionId: '',
   isCreatingRoom: false,
   createRoomError: '',
+  createRoomPassword: '',
   copied: false,
   recentRooms: [],
   formHeight: 'auto',
@@ -326,11 +328,18 @@ export default function SessionForm({ onJoin, currentSessionId }) {
 
   // Replace handleCreateRoomConfirm to trigger calibration modal
   const handleCreateRoomConfirm = () => {
+    const password = formState.createRoomPassword;
+    if (password && (password.length < 4 || password.length > 128)) {
+      formDispatch({ type: 'SET', payload: { createRoomError: 'Password or PIN must be 4-128 characters' } });
+      return;
+    }
+    // The room is created on first join, so the password travels with that join_session
+    if (password) setPendingRoomSecret(formState.createRoomSessionId, { password });
     onJoin(formState.createRoomSessionId, formState.displayName);
   };
 
   const handleCreateRoomCancel = () => {
-    formDispatch({ type: 'SET', payload: { showCreateRoom: false, createRoomSessionId: '', createRoomError: '' } });
+    formDispatch({ type: 'SET', payload: { showCreateRoom: false, createRoomSessionId: '', createRoomError: '', createRoomPassword: '' } });
   };
 
   const copyToClipboard = async (text) => {
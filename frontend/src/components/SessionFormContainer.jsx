@@ -253,6 +253,28 @@ const SessionFormContainer = React.memo(function SessionFormContainer({
               </div>
             </div>
 
+            {/* Optional room password / PIN */}
+            <div className="p-4 rounded-xl border border-neutral-600/50 transition-all duration-300 hover:border-neutral-500/70 mb-4">
+              <label htmlFor="create-room-password" className="block text-xs sm:text-sm text-neutral-400 font-medium mb-2">
+                Password or PIN <span className="text-neutral-500">(optional)</span>
+              </label>
+              <input
+                id="create-room-password"
+                type="password"
+                value={formState.createRoomPassword}
+                onChange={e => formDispatch({ type: 'SET', payload: { createRoomPassword: e.target.value, createRoomError: '' } })}
+                autoComplete="new-password"
+                maxLength={128}
+                placeholder="Leave empty for an open room"
+                className="w-full px-3 py-2 rounded-lg bg-neutral-900/60 border border-neutral-700 text-white text-sm placeholder-neutral-500 focus:outline-none focus:border-neutral-500"
+              />
+              {formState.createRoomPassword && (
+                <p className="text-xs text-neutral-500 mt-2">
+                  Guests will be asked for it. Use Invite inside the room for a QR code that skips it.
+                </p>
+              )}
+            </div>
+
             {/* Display name (same as join form) */}
             <div className="flex items-center justify-between p-4 rounded-xl border border-neutral-600/50 transition-all duration-300 hover:border-neutral-500/70 group hover:scale-[1.02] hover:shadow-lg mb-6">
               <div className="text-xs sm:text-sm text-neutral-400 transition-all duration-300 group-hover:text-neutral-300 font-medium">You'll join as</div>
@@ -8,6 +8,8 @@ import ChatBox from './ChatBox';
 import Playlist from './Playlist';
 import ResizableLayout from './ResizableLayout';
 import ExitRoomModal from './ExitRoomModal';
+import RoomPasswordPrompt from './RoomPasswordPrompt';
+import InviteQRCode from './InviteQRCode';
 import BottomTabBar from './BottomTabBar';
 import useSmoothAppearance from '../hooks/useSmoothAppearance';
 import {
@@ -18,16 +20,26 @@ import {
   clearSessionData,
   cleanupOldSessions,
 } from '../utils/persistence';
-import usePeerTimeSync from '../hooks/usePeerTimeSync';
+import useMultiPeerTimeSync from '../hooks/useMultiPeerTimeSync';
 import useChatMessages from '../hooks/useChatMessages';
 import useQueue from '../hooks/useQueue';
 import useUltraPreciseOffset from '../hooks/useUltraPreciseOffset';
+import useLatencyProfile from '../hooks/useLatencyProfile';
+import useAcousticCalibration from '../hooks/useAcousticCalibration';
+import { monotonicNow } from '../utils/monotonicClock';
 import useModalState from '../hooks/useModalState';
 import useMobileTab from '../hooks/useMobileTab';
 import useDeviceType from '../hooks/useDeviceType';
 
 // --- CalibrateLatencyWizard: Automatic device-specific latency measurement ---
-function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark' }) {
+// What the controller sees while speakers are being aligned (useAcousticCalibration status)
+const ACOUSTIC_STATUS_TEXT = {
+  starting: 'Opening the microphone...',
+  listening: 'Listening to every speaker in the room...',
+  analyzing: 'Measuring...',
+};
+
+function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark', acoustic = null, canAlignSpeakers = false }) {
   // --- Accessibility: Focus trap, ARIA, keyboard nav ---
   const modalRef = useRef(null);
   useEffect(() => {
@@ -100,8 +112,10 @@ function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark' }) {
       let audioError = null;
       try {
         const ctx = new (window.AudioContext || window.webkitAudioContext)();
-        if (ctx.baseLatency && ctx.baseLatency > 0 && ctx.baseLatency < 1) {
-          measured = ctx.baseLatency;
+        // Processing plus device output latency; outputLatency is where Bluetooth headsets show up
+        const total = (ctx.baseLatency || 0) + (ctx.outputLatency || 0);
+        if (total > 0 && total < 1) {
+          measured = total;
         } else {
           audioError = 'Could not measure audio latency (unsupported browser/device).';
         }
@@ -130,7 +144,7 @@ function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark' }) {
       if (socket && typeof socket.emit === 'function') {
         for (let i = 0; i < 5; ++i) {
           await new Promise(resolve => {
-            const clientSent = Date.now();
+            const clientSent = monotonicNow();
             let responded = false;
             const timeout = setTimeout(() => {
               if (!responded) {
@@ -146,7 +160,7 @@ function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark' }) {
             socket.emit('time_sync', { clientSent }, (res) => {
               responded = true;
               clearTimeout(timeout);
-              const clientReceived = Date.now();
+              const clientReceived = monotonicNow();
               if (res && typeof res.serverTime === 'number' && typeof res.serverReceived === 'number') {
                 const rttSample = clientReceived - clientSent;
                 const offsetSample = res.serverTime + rttSample / 2 - clientReceived;
@@ -186,15 +200,7 @@ function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark' }) {
       }
       setMiniProgress(100);
       await new Promise(res => setTimeout(res, minStepTime));
-      // --- Store in localStorage ---
-      const key = 'audioLatency_' + (navigator.userAgent || 'unknown');
-      const data = {
-        latency: measured,
-        rtt: rttSamples.length ? rttSamples.reduce((a, b) => a + b, 0) / rttSamples.length : null,
-        jitter: rttSamples.length ? Math.sqrt(rttSamples.reduce((a, b) => a + Math.pow(b - (rttSamples.reduce((a, b) => a + b, 0) / rttSamples.length)), 2), 0) / rttSamples.length : null,
-        offset: offsetSamples.length ? offsetSamples.reduce((a, b) => a + b, 0) / offsetSamples.length : null,
-      };
-      localStorage.setItem(key, JSON.stringify(data));
+      // The latency is saved to this device's server-side profile when the user enters the room (onDone)
       // Only now, after all steps, mark measuring as false
       setMeasuring(false);
       setCalibrationDone(true);
@@ -468,6 +474,25 @@ function CalibrateLatencyWizard({ onDone, socket, onSkip, theme = 'dark' }) {
           <div className="mt-3 sm:mt-4 text-xs sm:text-sm text-white/40 text-center font-sans select-none">
             For best results, use your device's native speakers.
           </div>
+          {/* Several phones in one room: line them up by ear with this device's microphone */}
+          {canAlignSpeakers && acoustic && acoustic.supported && (
+            <div className="mt-4 w-full flex flex-col items-center">
+              <button
+                className="w-full py-2 rounded-full border border-white/20 text-white text-sm font-medium transition hover:bg-white/10 focus:outline-none focus:ring-2 focus:ring-white/40 disabled:opacity-50"
+                onClick={acoustic.start}
+                disabled={!!ACOUSTIC_STATUS_TEXT[acoustic.status]}
+                tabIndex={0}
+              >
+                Align speakers in this room
+              </button>
+              <div className="mt-2 text-xs text-white/50 text-center font-sans" aria-live="polite">
+                {ACOUSTIC_STATUS_TEXT[acoustic.status]
+                  || (acoustic.status === 'error' && acoustic.error)
+                  || (acoustic.status === 'done' && acoustic.results && `Aligned ${acoustic.results.filter(r => r.heard).length} of ${acoustic.results.length} speakers.`)
+                  || 'Each device plays a short chirp while this one listens. Pause the music first.'}
+              </div>
+            </div>
+          )}
         </div>
         {/* ARIA live region for screen readers */}
         <div className="sr-only" aria-live="polite">{ariaStatus}</div>
@@ -486,6 +511,9 @@ function SessionPage({
   connected,
   controllerId,
   controllerClientId,
+  coHostClientId,
+  controllerReconnecting,
+  peerAssignment,
   clients,
   clientId,
   getServerTime,
@@ -500,11 +528,12 @@ function SessionPage({
   timeOffset,
   jitter,
   drift,
-  forceNtpBatchSync
+  forceNtpBatchSync,
+  roomAccessError,
+  submitRoomPassword
 }) {
   const { sessionId: urlSessionId } = useParams()
   const pendingTrackIdx = useRef(null); // Buffer for track_change before queue is set
-  const [peerIds, setPeerIds] = useState([]);
   const { isMobile, isTablet, isDesktop, width } = useDeviceType();
 
   // Clean up old sessions on component mount
@@ -608,7 +637,7 @@ function SessionPage({
   }
 
   // After loading savedQueue:
-  const [queue, setQueue, selectedTrackIdx, setSelectedTrackIdx, currentTrackOverride, setCurrentTrackOverride] = useQueue(socket, savedQueue, pendingTrackIdx)
+  const [queue, setQueue, selectedTrackIdx, setSelectedTrackIdx, currentTrackOverride, setCurrentTrackOverride] = useQueue(socket, savedQueue, pendingTrackIdx, currentSessionId)
 
   // Delayed removal state for swipe-to-remove animation
   const [pendingRemoveId, setPendingRemoveId] = useState(null);
@@ -620,9 +649,9 @@ function SessionPage({
   }, []);
 
   const confirmRemove = useCallback((trackId) => {
-    // Use trackId (url or id) for removal
+    // trackId is the queue entry's server-generated id
     if (isController && socket && trackId) {
-      socket.emit('remove_from_queue', { sessionId: currentSessionId, trackId });
+      socket.emit('remove_from_queue', { sessionId: currentSessionId, entryId: trackId });
     }
     setPendingRemoveId(null);
     // Do NOT remove from pendingRemoveIds here; wait for animation end
@@ -669,7 +698,7 @@ function SessionPage({
         // Try to find the index in the queue if possible, fallback to 0 if not found
         if (queue && queue.length > 0) {
           const idx = queue.findIndex(
-            (t) => t && state.currentTrack && t.url === state.currentTrack.url
+            (t) => t && state.currentTrack && t.id === state.currentTrack.id
           );
           if (idx !== -1) {
             setSelectedTrackIdx(idx);
@@ -741,6 +770,8 @@ function SessionPage({
     openExitModal()
   }
 
+  const [showInvite, setShowInvite] = useState(false);
+
   const confirmExitRoom = () => {
     // Clear session data
     if (currentSessionId) {
@@ -763,7 +794,7 @@ function SessionPage({
       setCurrentTrackOverride(trackObj);
       setSelectedTrackIdx(idx !== null && typeof idx === 'number' ? idx : 0); // fallback to 0 if idx is null
       if (isController && socket) {
-        socket.emit('track_change', { sessionId: currentSessionId, idx }, { override: true, track: trackObj });
+        socket.emit('track_change', { sessionId: currentSessionId, idx, entryId: trackObj.id }, { override: true, track: trackObj });
       }
       return;
     }
@@ -777,7 +808,7 @@ function SessionPage({
     setCurrentTrackOverride(null);
     setSelectedTrackIdx(idx);
     if (isController && socket) {
-      socket.emit('track_change', { sessionId: currentSessionId, idx }, { override: false });
+      socket.emit('track_change', { sessionId: currentSessionId, idx, entryId: queue[idx]?.id }, { override: false });
     }
   }, [setSelectedTrackIdx, setCurrentTrackOverride, isController, socket, currentSessionId, queue]);
 
@@ -795,28 +826,9 @@ function SessionPage({
     }
   }, [sessionSyncState]);
 
-  // --- Peer Discovery ---
-  useEffect(() => {
-    if (!socket) return;
-    const handleClientsUpdate = (clients) => {
-      // Exclude self
-      setPeerIds(clients.filter(c => c.clientId && c.clientId !== clientId).map(c => c.clientId));
-    };
-    socket.on('clients_update', handleClientsUpdate);
-    return () => socket.off('clients_update', handleClientsUpdate);
-  }, [socket, clientId]);
-
-  // --- Peer-to-Peer Time Sync (Fixed Hooks) ---
-  const MAX_PEERS = 5;
-  const paddedPeerIds = [...peerIds.slice(0, MAX_PEERS)];
-  while (paddedPeerIds.length < MAX_PEERS) paddedPeerIds.push(null);
-
-  const peerSyncA = usePeerTimeSync(socket, clientId, paddedPeerIds[0]);
-  const peerSyncB = usePeerTimeSync(socket, clientId, paddedPeerIds[1]);
-  const peerSyncC = usePeerTimeSync(socket, clientId, paddedPeerIds[2]);
-  const peerSyncD = usePeerTimeSync(socket, clientId, paddedPeerIds[3]);
-  const peerSyncE = usePeerTimeSync(socket, clientId, paddedPeerIds[4]);
-  const peerSyncs = [peerSyncA, peerSyncB, peerSyncC, peerSyncD, peerSyncE];
+  // --- Peer-to-Peer Time Sync ---
+  // The server assigns a bounded set of well-connected reference peers (peer_assignment), whatever the room size
+  const peerSyncs = useMultiPeerTimeSync(socket, clientId, peerAssignment?.peers);
 
   // Remove: syncQuality useMemo and allOffsets/best/ultraPreciseOffset logic
   // Instead, use the hook:
@@ -891,20 +903,26 @@ function SessionPage({
     };
   }, []);
 
+  // --- Output latency: per-device profile stored on the server ---
+  const latencyProfile = useLatencyProfile(socket, currentSessionId, clients || []);
+  const { saveCalibration } = latencyProfile;
+
   // --- Latency Calibration Wizard State ---
-  const [calibrated, setCalibrated] = useState(true); // Default to true, only show after join
-  useEffect(() => {
-    // Only check for calibration after a session is joined
-    if (currentSessionId) {
-      const key = 'audioLatency_' + (navigator.userAgent || 'unknown');
-      const stored = localStorage.getItem(key);
-      if (!stored || isNaN(parseFloat(stored))) {
-        setCalibrated(false);
-      } else {
-        setCalibrated(true);
-      }
-    }
-  }, [currentSessionId]);
+  // Shown once the server says this device has no calibration yet (a new browser or output device)
+  const [calibrationDismissed, setCalibrationDismissed] = useState(false);
+  const calibrated = calibrationDismissed || !latencyProfile.profile || latencyProfile.profile.calibratedLatency != null;
+  // Reopened from the header, e.g. by the controller to align the room's speakers
+  const [showCalibration, setShowCalibration] = useState(false);
+  // A stored calibration (possibly from aligning speakers) beats the wizard's reading; the ref keeps onDone stable
+  const hasCalibrationRef = useRef(false);
+  hasCalibrationRef.current = !!latencyProfile.profile && latencyProfile.profile.calibratedLatency != null;
+  const handleCalibrationDone = useCallback((result) => {
+    if (result && Number.isFinite(result.latency) && !hasCalibrationRef.current) saveCalibration(result.latency);
+    setCalibrationDismissed(true);
+    setShowCalibration(false);
+  }, [saveCalibration]);
+  // Every member plays its chirp when the controller aligns speakers, so this runs whether or not the wizard is open
+  const acousticCalibration = useAcousticCalibration(socket, currentSessionId, { getServerTime, audioLatency: latencyProfile.audioLatency });
 
   // --- Always render session UI, but show calibration wizard as modal overlay only after join/create ---
   const [showDeviceDropdown, setShowDeviceDropdown] = useState(false);
@@ -1002,11 +1020,11 @@ function SessionPage({
   const [showClearDataModal, setShowClearDataModal] = useState(false);
 
   return <>
-    {!calibrated && currentSessionId && (
-      <CalibrateLatencyWizard onDone={() => setCalibrated(true)} socket={socket} />
+    {(!calibrated || showCalibration) && currentSessionId && (
+      <CalibrateLatencyWizard onDone={handleCalibrationDone} socket={socket} acoustic={acousticCalibration} canAlignSpeakers={!!isController} />
     )}
     <div style={
-      !calibrated && currentSessionId
+      (!calibrated || showCalibration) && currentSessionId
         ? { filter: 'blur(2px)', pointerEvents: 'none', opacity: 0.5, userSelect: 'none' }
         : {}
     }>
@@ -1123,6 +1141,7 @@ function SessionPage({
                        <DeviceList
                          clients={clients}
                          controllerClientId={controllerClientId}
+                         coHostClientId={coHostClientId}
                          clientId={clientId}
                          socket={socket}
                          dropdown={true}
@@ -1235,6 +1254,31 @@ function SessionPage({
                   </svg>
                   Clear
                 </button>
+                <button
+                  onClick={() => setShowCalibration(true)}
+                  className="flex items-center gap-1 px-2 py-1 text-xs text-neutral-400 hover:text-white hover:bg-white-500/10 border border-neutral-500/30 hover:border-neutral-500/50 rounded-lg transition-all duration-200 hover:shadow-md"
+                  title="Calibrate latency and align speakers"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M12 2a3 3 0 0 0-3 3v7a3 3 0 0 0 6 0V5a3 3 0 0 0-3-3z"></path>
+                    <path d="M19 10v2a7 7 0 0 1-14 0v-2"></path>
+                    <line x1="12" y1="19" x2="12" y2="22"></line>
+                  </svg>
+                  Calibrate
+                </button>
+                <button
+                  onClick={() => setShowInvite(true)}
+                  className="flex items-center gap-1 px-2 py-1 text-xs text-neutral-400 hover:text-white hover:bg-white-500/10 border border-neutral-500/30 hover:border-neutral-500/50 rounded-lg transition-all duration-200 hover:shadow-md"
+                  title="Invite with QR code"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <rect x="3" y="3" width="7" height="7"></rect>
+                    <rect x="14" y="3" width="7" height="7"></rect>
+                    <rect x="3" y="14" width="7" height="7"></rect>
+                    <path d="M14 14h3v3h-3zM20 14v.01M14 20h.01M17 20h4v-3"></path>
+                  </svg>
+                  Invite
+                </button>
                 <button
                   onClick={handleExitRoom}
                   className="flex items-center gap-1 px-2 py-1 text-xs text-red-400 hover:text-red-300 hover:bg-red-500/10 border border-red-500/30 hover:border-red-500/50 rounded-lg transition-all duration-200 hover:shadow-md"
@@ -1257,6 +1301,7 @@ function SessionPage({
                     <div className="p-4">
                       <AudioPlayer
                         disabled={!currentSessionId}
+                        latencyProfile={latencyProfile}
                         socket={socket}
                         isSocketConnected={connected}
                         controllerId={controllerId}
@@ -1293,6 +1338,7 @@ function SessionPage({
                           controllerOfferSent={controllerOfferSent}
                           controllerOfferAccepted={controllerOfferAccepted}
                           controllerOfferDeclined={controllerOfferDeclined}
+                          controllerReconnecting={controllerReconnecting}
                         />
                       </div>
                       <button
@@ -1327,6 +1373,7 @@ function SessionPage({
                         <DeviceList
                           clients={clients}
                           controllerClientId={controllerClientId}
+                          coHostClientId={coHostClientId}
                           clientId={clientId}
                           socket={socket}
                         />
@@ -1340,6 +1387,7 @@ function SessionPage({
                     isController={isController}
                     socket={socket}
                     sessionId={currentSessionId}
+                    clientId={clientId}
                     onSelectTrack={handleSelectTrack}
                     selectedTrackIdx={selectedTrackIdx}
                     pendingRemoveId={pendingRemoveId}
@@ -1414,6 +1462,20 @@ function SessionPage({
                   )}
                 </span>
               </button>
+              <button
+                onClick={() => setShowCalibration(true)}
+                className="flex items-center gap-1 px-2 py-1 text-[11px] text-neutral-400 hover:text-white border border-neutral-500/30 rounded transition-all duration-200"
+                title="Calibrate latency and align speakers"
+              >
+                Calibrate
+              </button>
+              <button
+                onClick={() => setShowInvite(true)}
+                className="flex items-center gap-1 px-2 py-1 text-[11px] text-neutral-400 hover:text-white border border-neutral-500/30 rounded transition-all duration-200"
+                title="Invite with QR code"
+              >
+                Invite
+              </button>
               <button
                 onClick={handleExitRoom}
                 className="flex items-center gap-1 px-2 py-1 text-[11px] text-red-400 hover:text-red-300 hover:bg-red-500/10 border border-red-500/30 hover:border-red-500/50 rounded transition-all duration-200"
@@ -1443,10 +1505,12 @@ function SessionPage({
                       controllerOfferSent={controllerOfferSent}
                       controllerOfferAccepted={controllerOfferAccepted}
                       controllerOfferDeclined={controllerOfferDeclined}
+                      controllerReconnecting={controllerReconnecting}
                     />
                     <DeviceList
                       clients={clients}
                       controllerClientId={controllerClientId}
+                      coHostClientId={coHostClientId}
                       clientId={clientId}
                       socket={socket}
                       mobile={true}
@@ -1458,6 +1522,7 @@ function SessionPage({
                     <div className="w-[95vw] max-w-sm pointer-events-auto">
                       <AudioPlayer
                         disabled={!currentSessionId}
+                        latencyProfile={latencyProfile}
                         socket={socket}
                         isSocketConnected={connected}
                         controllerId={controllerId}
@@ -1487,6 +1552,7 @@ function SessionPage({
                     isController={isController}
                     socket={socket}
                     sessionId={currentSessionId}
+                    clientId={clientId}
                     onSelectTrack={handleSelectTrack}
                     selectedTrackIdx={selectedTrackIdx}
                     pendingRemoveId={pendingRemoveId}
@@ -1499,6 +1565,7 @@ function SessionPage({
                     <div className="w-[95vw] max-w-sm pointer-events-auto">
                       <AudioPlayer
                         disabled={!currentSessionId}
+                        latencyProfile={latencyProfile}
                         socket={socket}
                         isSocketConnected={connected}
                         controllerId={controllerId}
@@ -1560,6 +1627,37 @@ function SessionPage({
         onConfirm={confirmExitRoom}
         roomName={currentSessionId}
       />
+      {currentSessionId && roomAccessError && (
+        <RoomPasswordPrompt
+          sessionId={currentSessionId}
+          accessError={roomAccessError}
+          onSubmit={submitRoomPassword}
+          onCancel={onLeaveSession}
+        />
+      )}
+      {currentSessionId && showInvite && (
+        <div
+          className="fixed inset-0 z-[2000] flex items-center justify-center bg-neutral-950/80 backdrop-blur animate-fade-in"
+          role="dialog"
+          aria-modal="true"
+          aria-label="Invite to room"
+          onClick={() => setShowInvite(false)}
+        >
+          <div
+            className="p-6 rounded-2xl border border-neutral-700/50 bg-neutral-900/95 shadow-2xl flex flex-col items-center gap-4 animate-scale-in"
+            onClick={e => e.stopPropagation()}
+          >
+            <InviteQRCode socket={socket} sessionId={currentSessionId} size={180} label="Scan to join" />
+            <button
+              onClick={() => setShowInvite(false)}
+              className="px-4 py-2 bg-neutral-800 hover:bg-neutral-700 text-white text-xs rounded-lg border border-neutral-600 transition-all duration-200"
+              autoFocus
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
       {currentSessionId && showFloatingChat && !isChatOpen && (
         <>
           {/* Floating Chat Button */}
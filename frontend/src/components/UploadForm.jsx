@@ -15,6 +15,7 @@ function UploadForm({
   handleFileChange,
   handleUploadClick,
   selectedFiles = [],
+  accept = 'audio/*',
 }) {
   const [dragActive, setDragActive] = useState(false);
   if (!isController) return null;
@@ -48,7 +49,7 @@ function UploadForm({
       <form onSubmit={handleAdd} className="space-y-3">
         <div>
           <label className="block text-xs font-medium text-neutral-400 mb-2">
-            Add Audio URL or Upload MP3
+            Add Audio URL or Upload Audio
           </label>
           <div className={`flex flex-row items-stretch sm:items-center gap-x-2 w-full relative ${dragActive ? 'ring-2 ring-primary' : ''}`}
             onDragOver={handleDragOver}
@@ -98,7 +99,7 @@ function UploadForm({
             {/* Enhanced Upload UI */}
             <input
               type="file"
-              accept="audio/mp3,audio/mpeg,audio/x-mp3,audio/mpeg3,audio/x-mpeg-3,audio/x-mpeg"
+              accept={accept}
               onChange={handleFileChange}
               disabled={uploading}
               ref={fileInputRef}
@@ -110,7 +111,7 @@ function UploadForm({
               onClick={handleUploadClick}
               disabled={uploading}
               className="flex items-center justify-center gap-2 px-4 py-2 bg-neutral-800 hover:bg-primary/80 text-white rounded-lg text-sm font-medium border border-neutral-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed w-auto h-9"
-              aria-label="Upload MP3 file"
+              aria-label="Upload audio file"
             >
               <UploadIcon />
               {uploading ? 'Uploading...' : 'Upload'}
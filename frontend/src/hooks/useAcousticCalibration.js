@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { chirpForSlot, generateChirp, measureSpeakerOffsets } from '../utils/acousticCalibration';
+
+// Acoustic calibration: the controller's microphone listens while every device in the room plays a chirp
+// (see backend/managers/acousticCalibrationManager.js). Every member takes part through this hook;
+// only the controller can start a run, and its device does the recording and the math.
+
+const CHIRP_GAIN = 0.5;
+const RECORD_BUFFER_SIZE = 4096;
+// Keep recording this long after the last slot's play time, for late speakers and echoes
+const RECORD_TAIL_MS = 500;
+
+export function supportsAcousticCalibration() {
+  return typeof window !== 'undefined'
+    && !!(window.AudioContext || window.webkitAudioContext)
+    && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+function createContext() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  return new Ctx();
+}
+
+// Play our chirp so it is heard at playAt (server ms), allowing for this device's output latency
+async function playChirp(slot, playAt, getServerTime, outputLatency) {
+  const ctx = createContext();
+  if (ctx.state === 'suspended') await ctx.resume().catch(() => {});
+  const samples = generateChirp(chirpForSlot(slot), ctx.sampleRate);
+  const buffer = ctx.createBuffer(1, samples.length, ctx.sampleRate);
+  buffer.copyToChannel(samples, 0);
+  const source = ctx.createBufferSource();
+  const gain = ctx.createGain();
+  gain.gain.value = CHIRP_GAIN;
+  source.buffer = buffer;
+  source.connect(gain);
+  gain.connect(ctx.destination);
+  const when = ctx.currentTime + (playAt - getServerTime()) / 1000 - outputLatency;
+  source.onended = () => ctx.close();
+  source.start(Math.max(ctx.currentTime, when));
+}
+
+/**
+ * Record the microphone until `until` (server ms).
+ * Resolves with { recording, sampleRate, recordingStart } where recordingStart is the server time of the
+ * first sample. That mapping is only roughly right, but every slot is off by the same amount.
+ */
+function record(stream, until, getServerTime) {
+  return new Promise((resolve, reject) => {
+    const ctx = createContext();
+    const input = ctx.createMediaStreamSource(stream);
+    const processor = ctx.createScriptProcessor(RECORD_BUFFER_SIZE, 1, 1);
+    const mute = ctx.createGain();
+    mute.gain.value = 0;
+    const chunks = [];
+    let recordingStart = null;
+    processor.onaudioprocess = (event) => {
+      if (recordingStart === null) {
+        recordingStart = getServerTime() - (RECORD_BUFFER_SIZE / ctx.sampleRate) * 1000 - (ctx.baseLatency || 0) * 1000;
+      }
+      chunks.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+    };
+    input.connect(processor);
+    // Processing only runs while connected to the destination
+    processor.connect(mute);
+    mute.connect(ctx.destination);
+    const finish = () => {
+      processor.onaudioprocess = null;
+      input.disconnect();
+      processor.disconnect();
+      ctx.close();
+      if (recordingStart === null) return reject(new Error('The microphone produced no audio'));
+      const recording = new Float32Array(chunks.reduce((n, c) => n + c.length, 0));
+      let offset = 0;
+      for (const chunk of chunks) {
+        recording.set(chunk, offset);
+        offset += chunk.length;
+      }
+      resolve({ recording, sampleRate: ctx.sampleRate, recordingStart });
+    };
+    ctx.resume().catch(() => {});
+    setTimeout(finish, Math.max(0, until - getServerTime()));
+  });
+}
+
+/**
+ * @param {object} socket
+ * @param {string} sessionId
+ * @param {object} options - { getServerTime, audioLatency (s, this device's current compensation) }
+ * @returns {object} { supported, status, results, error, start }
+ *   status: 'idle' | 'starting' | 'listening' | 'analyzing' | 'done' | 'error'
+ *   results: [{ clientId, heard, offset?, compensation? }] from the last run
+ */
+export default function useAcousticCalibration(socket, sessionId, { getServerTime, audioLatency = 0 } = {}) {
+  const [status, setStatus] = useState('idle');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const streamRef = useRef(null);
+  const latencyRef = useRef(audioLatency);
+  latencyRef.current = audioLatency;
+
+  const stopStream = useCallback(() => {
+    if (streamRef.current) streamRef.current.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+  }, []);
+
+  const fail = useCallback((message) => {
+    stopStream();
+    setError(message);
+    setStatus('error');
+  }, [stopStream]);
+
+  // Everyone plays their chirp; the recorder also listens and reports
+  useEffect(() => {
+    if (!socket || !sessionId || typeof getServerTime !== 'function') return;
+    const handleRun = (run) => {
+      const own = run.slots.find(s => s.socketId === socket.id);
+      if (own) {
+        playChirp(own.slot, own.playAt, getServerTime, latencyRef.current).catch(err => {
+          console.warn('[useAcousticCalibration] Could not play calibration chirp', err);
+        });
+      }
+      if (!streamRef.current) return;
+      const lastPlayAt = Math.max(...run.slots.map(s => s.playAt));
+      setStatus('listening');
+      record(streamRef.current, lastPlayAt + run.slotMs + RECORD_TAIL_MS, getServerTime)
+        .then(({ recording, sampleRate, recordingStart }) => {
+          stopStream();
+          setStatus('analyzing');
+          const { offsets } = measureSpeakerOffsets(recording, sampleRate, recordingStart, run.slots);
+          socket.emit('acoustic_calibration_result', { sessionId, runId: run.runId, offsets }, (res) => {
+            if (res && res.error) return fail(res.error);
+            setResults(res.results);
+            setStatus('done');
+          });
+        })
+        .catch(err => fail(err.message || 'Recording failed'));
+    };
+    const handleDone = ({ results: runResults }) => setResults(runResults);
+    socket.on('acoustic_calibration', handleRun);
+    socket.on('acoustic_calibration_done', handleDone);
+    return () => {
+      socket.off('acoustic_calibration', handleRun);
+      socket.off('acoustic_calibration_done', handleDone);
+    };
+  }, [socket, sessionId, getServerTime, stopStream, fail]);
+
+  useEffect(() => stopStream, [stopStream]);
+
+  // Open the microphone first: the permission prompt can take longer than the run's lead time
+  const start = useCallback(async () => {
+    if (!socket || !sessionId) return;
+    setError(null);
+    setResults(null);
+    setStatus('starting');
+    try {
+      streamRef.current = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      });
+    } catch {
+      return fail('Microphone access is needed to calibrate speakers');
+    }
+    socket.emit('acoustic_calibration_start', { sessionId }, (res) => {
+      if (res && res.error) fail(res.error);
+    });
+  }, [socket, sessionId, fail]);
+
+  return { supported: supportsAcousticCalibration(), status, results, error, start };
+}
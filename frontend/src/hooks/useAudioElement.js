@@ -1,8 +1,49 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { fadeAudio } from './useDriftCorrection';
 import SYNC_CONFIG from '../utils/syncConfig';
+import { createWebAudioEngine, supportsWebAudioEngine } from '../utils/webAudioEngine';
 
-export default function useAudioElement({ currentTrack, isController, getServerTime, setLastSeekTime }) {
+// Playback engines. Both expose the HTMLMediaElement subset the player uses, so audioRef.current
+// is driven the same way whichever one is active:
+// - media: the <audio> element AudioPlayer renders (attach it with mediaElementRef)
+// - webaudio: utils/webAudioEngine, decoded buffers with sample-accurate starts and seeks
+export const AUDIO_ENGINES = { MEDIA: 'media', WEB_AUDIO: 'webaudio' };
+const ENGINE_PREFERENCE_KEY = 'fxSync_audioEngine';
+
+// 'auto' (default), or force one of AUDIO_ENGINES
+export function getAudioEnginePreference() {
+  try {
+    return localStorage.getItem(ENGINE_PREFERENCE_KEY) || 'auto';
+  } catch {
+    return 'auto';
+  }
+}
+
+export function setAudioEnginePreference(preference) {
+  try {
+    if (preference === 'auto') localStorage.removeItem(ENGINE_PREFERENCE_KEY);
+    else localStorage.setItem(ENGINE_PREFERENCE_KEY, preference);
+  } catch {
+    // Storage unavailable (private mode): the choice just won't persist
+  }
+}
+
+/**
+ * Pick the engine for this device.
+ * 'auto' uses Web Audio where it can map context time to wall time (getOutputTimestamp) and has the
+ * memory to hold a decoded track. Mobile stays on the media element, which keeps playing in the background.
+ */
+export function resolveAudioEngine(preference = getAudioEnginePreference()) {
+  if (preference === AUDIO_ENGINES.MEDIA || !supportsWebAudioEngine()) return AUDIO_ENGINES.MEDIA;
+  if (preference === AUDIO_ENGINES.WEB_AUDIO) return AUDIO_ENGINES.WEB_AUDIO;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const hasOutputTimestamp = typeof Ctx.prototype.getOutputTimestamp === 'function';
+  const lowMemory = typeof navigator.deviceMemory === 'number' && navigator.deviceMemory < 4;
+  const mobile = /Mobi|Android|iPhone|iPad/i.test(navigator.userAgent);
+  return hasOutputTimestamp && !lowMemory && !mobile ? AUDIO_ENGINES.WEB_AUDIO : AUDIO_ENGINES.MEDIA;
+}
+
+export default function useAudioElement({ currentTrack, isController, getServerTime, setLastSeekTime, engine = AUDIO_ENGINES.MEDIA }) {
   const [audioUrl, setAudioUrl] = useState(null);
   const [loading, setLoading] = useState(true);
   const [audioError, setAudioError] = useState(null);
@@ -12,6 +53,29 @@ export default function useAudioElement({ currentTrack, isController, getServerT
   const [isSeeking, setIsSeeking] = useState(false);
   const audioRef = useRef(null);
 
+  // Media engine: audioRef follows the rendered <audio> element
+  const mediaElementRef = useCallback((element) => {
+    if (engine === AUDIO_ENGINES.MEDIA) audioRef.current = element;
+  }, [engine]);
+
+  // Web Audio engine: one per mount/engine switch; there is no <audio> element to feed it a src
+  useEffect(() => {
+    if (engine !== AUDIO_ENGINES.WEB_AUDIO) return;
+    const webAudio = createWebAudioEngine();
+    audioRef.current = webAudio;
+    setIsPlaying(false);
+    return () => {
+      webAudio.destroy();
+      if (audioRef.current === webAudio) audioRef.current = null;
+    };
+  }, [engine]);
+
+  useEffect(() => {
+    if (engine === AUDIO_ENGINES.WEB_AUDIO && audioRef.current && audioUrl) {
+      audioRef.current.src = audioUrl;
+    }
+  }, [engine, audioUrl]);
+
   // Set audio source to currentTrack.url if available
   useEffect(() => {
     if (currentTrack && currentTrack.url) {
@@ -89,7 +153,7 @@ export default function useAudioElement({ currentTrack, isController, getServerT
       audio.removeEventListener('pause', handlePause);
       audio.removeEventListener('error', handleError);
     };
-  }, [audioUrl, isSeeking]);
+  }, [audioUrl, isSeeking, engine]);
 
   // Seek handler
   const handleSeek = useCallback((time) => {
@@ -112,6 +176,7 @@ export default function useAudioElement({ currentTrack, isController, getServerT
 
   return {
     audioRef,
+    mediaElementRef,
     audioUrl,
     loading,
     audioError,
@@ -16,6 +16,9 @@ const ULTRA_PREDICTIVE_LAG_THRESHOLD = 0.008; // Lowered from 0.02 to 0.008 (8ms
 const ULTRA_RTT_SPIKE_THRESHOLD = 80; // Lowered from 100ms to 80ms
 const ULTRA_DRIFT_ACCELERATION_THRESHOLD = 0.001; // 1ms/s - balanced acceleration
 const ULTRA_LAG_PREDICTION_WINDOW = 2; // Lowered from 3 to 2
+// Engines with sample-accurate, crossfaded seeks (Web Audio) seek instead of nudging playbackRate,
+// but each seek restarts a source, so drift below this is left alone
+const PRECISE_SEEK_MIN_DRIFT = 0.002; // 2ms
 
 // Helper: Smoothly fade audio volume in/out
 export function fadeAudio(audio, targetVolume, duration = 200) {
@@ -102,6 +105,17 @@ function ultraMicroCorrection(audio, drift, expected) {
   return false;
 }
 
+// --- Clock confidence: drift smaller than the clock model's uncertainty is indistinguishable from clock error ---
+// Returns the half-width of getServerTime()'s ~95% interval in seconds: 0 when the getter has no diagnostics,
+// Infinity while the clock isn't synced (before the first sample, or after a clock discontinuity reset it).
+function getClockUncertainty(getServerTime) {
+  if (typeof getServerTime !== 'function') return 0;
+  const estimate = getServerTime({ withDiagnostics: true });
+  const uncertainty = estimate && typeof estimate === 'object' ? estimate.uncertainty : null;
+  if (uncertainty === Infinity) return Infinity;
+  return Number.isFinite(uncertainty) ? uncertainty / 1000 : 0;
+}
+
 export default function useDriftCorrection({
   audioRef,
   isController,
@@ -168,6 +182,12 @@ export default function useDriftCorrection({
     }
   }
 
+  // --- Never correct inside the clock's confidence interval ---
+  const clockUncertainty = getClockUncertainty(getServerTime);
+  adaptiveMin = Math.max(adaptiveMin, clockUncertainty);
+  adaptiveMax = Math.max(adaptiveMax, clockUncertainty * 2);
+  adaptiveDriftThreshold = Math.max(adaptiveDriftThreshold, clockUncertainty * 2);
+
   // --- Adaptive predictive sync thresholds ---
   const predictiveLagThreshold = aggressiveSync ? ULTRA_PREDICTIVE_LAG_THRESHOLD / 2 : ULTRA_PREDICTIVE_LAG_THRESHOLD;
   const lagSpikePersist = aggressiveSync ? Math.max(0, ULTRA_LAG_SPIKE_PERSIST - 1) : ULTRA_LAG_SPIKE_PERSIST;
@@ -213,6 +233,11 @@ export default function useDriftCorrection({
       
       const now = getServerTime ? getServerTime() : Date.now();
       const rttComp = rtt ? rtt / 2000 : 0;
+      // A scheduled start hasn't happened yet (lastUpdated is in the future): nothing to correct
+      if (sessionSyncState && sessionSyncState.lastUpdated > now) {
+        requestAnimationFrame(correctMicroDriftRAF);
+        return;
+      }
       
       // Calculate expected playback position
       // For listeners, always subtract audioLatency to compensate for output delay
@@ -225,6 +250,15 @@ export default function useDriftCorrection({
       }
       
       const drift = audio.currentTime - expected;
+      // Thresholds widen with the clock model's uncertainty so we don't chase clock noise
+      const frameClockUncertainty = getClockUncertainty(getServerTime);
+      if (frameClockUncertainty === Infinity) {
+        // Clock is re-syncing: any "drift" now would be measured against a bogus offset
+        requestAnimationFrame(correctMicroDriftRAF);
+        return;
+      }
+      const microThreshold = Math.max(ULTRA_MICRO_DRIFT_THRESHOLD, frameClockUncertainty, audio.preciseSeek ? PRECISE_SEEK_MIN_DRIFT : 0);
+      const largeThreshold = Math.max(0.01, frameClockUncertainty);
       
       // --- Use EMA for smoothing drift ---
       const smoothedDrift = driftEMARef.current.next(drift);
@@ -236,7 +270,7 @@ export default function useDriftCorrection({
 
       // --- AGGRESSIVE ultra-precise lag detection and correction ---
       // 1. IMMEDIATE correction for ANY drift - Full strength
-      if (Math.abs(medianDrift) >= ULTRA_MICRO_DRIFT_THRESHOLD && Math.abs(medianDrift) < 0.01 && Math.abs(medianDrift) > 0.0001) {
+      if (Math.abs(medianDrift) >= microThreshold && Math.abs(medianDrift) < largeThreshold && Math.abs(medianDrift) > 0.0001) {
         audio.currentTime += -medianDrift * 0.8; // 80% correction - smoother
         if (!microActive && typeof onMicroCorrection === 'function') onMicroCorrection(true);
         microActive = true;
@@ -246,8 +280,8 @@ export default function useDriftCorrection({
           window._driftAnalytics.push({ type: 'aggressive_immediate', drift: medianDrift, time: Date.now(), current: audio.currentTime, expected });
         }
       }
-      // 2. AGGRESSIVE correction for larger drift (10ms+)
-      else if (Math.abs(medianDrift) >= 0.01) {
+      // 2. AGGRESSIVE correction for larger drift (10ms+, or beyond the clock uncertainty)
+      else if (Math.abs(medianDrift) >= largeThreshold) {
         audio.currentTime += -medianDrift * 0.9; // 90% correction - smoother
         if (!microActive && typeof onMicroCorrection === 'function') onMicroCorrection(true);
         microActive = true;
@@ -298,7 +332,7 @@ export default function useDriftCorrection({
       // AGGRESSIVE predictive correction - Trigger immediately for any significant drift
       if (lagSpikeCount.current >= lagSpikePersist || 
           predictedLag > predictiveLagThreshold || 
-          Math.abs(medianDrift) > 0.01) {
+          Math.abs(medianDrift) > largeThreshold) {
         // AGGRESSIVE predictive correction: estimate where controller will be after RTT
         const predictedExpected = expected + (typeof rtt === 'number' ? rtt / 1000 : 0) + predictedLag;
         audio.currentTime = predictedExpected;
@@ -345,10 +379,25 @@ export default function useDriftCorrection({
     if (correctionInProgressRef.current) return { corrected: false, reason: 'in_progress' };
     const now = Date.now();
     if (now - lastCorrectionRef.current < adaptiveCorrectionCooldown) return { corrected: false, reason: 'cooldown' };
+    const currentClockUncertainty = getClockUncertainty(getServerTime);
+    if (currentClockUncertainty === Infinity) return { corrected: false, reason: 'clock_unsynced' };
+    if (Math.abs(expected - audio.currentTime) < currentClockUncertainty) return { corrected: false, reason: 'within_clock_uncertainty' };
     correctionInProgressRef.current = true;
     if (!audio.paused) {
       const before = audio.currentTime;
       const drift = expected - before;
+      if (audio.preciseSeek) {
+        // Sample-accurate, crossfaded seek: no rate warble, no fade needed
+        audio.currentTime = expected;
+        setDisplayedCurrentTime(expected);
+        lastCorrectionRef.current = now;
+        correctionInProgressRef.current = false;
+        if (import.meta.env.MODE === 'development') {
+          window._driftAnalytics = window._driftAnalytics || [];
+          window._driftAnalytics.push({ type: 'precise_seek', drift, time: Date.now(), before, after: expected });
+        }
+        return { corrected: true, precise: true, before, after: expected, drift };
+      }
       if (Math.abs(drift) < adaptiveDriftThreshold) {
         const rate = 1 + Math.max(-MICRO_RATE_CAP, Math.min(MICRO_RATE_CAP, drift * 0.7));
         audio.playbackRate = rate;
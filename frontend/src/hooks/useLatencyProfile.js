@@ -0,0 +1,108 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Output-latency compensation for this device, backed by the server's per-device profiles
+// (see backend/managers/latencyProfileManager.js). The server combines what the browser reports,
+// the calibration result and any adjustment made from DeviceList into one `compensation` (seconds).
+
+// Used until the server answers, and when the browser reports nothing (same default as the server)
+const DEFAULT_OUTPUT_LATENCY = 0.08; // s
+const MAX_LABEL_LENGTH = 128;
+
+/**
+ * Identify the current output device and ask the browser for its latency.
+ * Device labels need a media permission; without one every device is keyed by its sink id ("default").
+ * @returns {Promise<object>} { deviceKey, deviceLabel, reportedLatency? } (latency in seconds)
+ */
+export async function detectOutputDevice() {
+  let reportedLatency;
+  let sinkId = 'default';
+  try {
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    const total = (ctx.baseLatency || 0) + (ctx.outputLatency || 0);
+    if (total > 0 && total < 1) reportedLatency = total;
+    if (typeof ctx.sinkId === 'string' && ctx.sinkId) sinkId = ctx.sinkId;
+    await ctx.close();
+  } catch {
+    // No Web Audio: the server falls back to the calibrated or default latency
+  }
+  let deviceLabel = '';
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const outputs = devices.filter(d => d.kind === 'audiooutput');
+    const current = outputs.find(d => d.deviceId === sinkId) || outputs.find(d => d.deviceId === 'default') || outputs[0];
+    deviceLabel = (current && current.label) || '';
+  } catch {
+    // enumerateDevices unavailable (insecure context, old browser)
+  }
+  const deviceKey = deviceLabel ? `label:${deviceLabel}` : `sink:${sinkId}`;
+  return {
+    deviceKey: deviceKey.slice(0, MAX_LABEL_LENGTH),
+    deviceLabel: deviceLabel.slice(0, MAX_LABEL_LENGTH),
+    ...(reportedLatency !== undefined ? { reportedLatency } : {}),
+  };
+}
+
+/**
+ * This client's latency profile for its current output device.
+ * Reports the device after every (re)join and whenever the output device changes
+ * (headphones plugged in, Bluetooth connected); the profile itself comes back through clients_update.
+ * @returns {object} { profile, audioLatency, deviceLabel, saveCalibration, setAdjustment }
+ */
+export default function useLatencyProfile(socket, sessionId, clients = []) {
+  const [device, setDevice] = useState(null);
+  const reportingRef = useRef(false);
+  const ownEntry = socket ? clients.find(c => c.id === socket.id) : null;
+  const profile = (ownEntry && ownEntry.latency) || null;
+
+  const report = useCallback(async (extra = {}) => {
+    if (!socket || !sessionId) return null;
+    const detected = await detectOutputDevice();
+    setDevice(detected);
+    return new Promise((resolve) => {
+      socket.emit('latency_profile', { sessionId, ...detected, ...extra }, (res) => {
+        if (res && res.error) console.warn('[useLatencyProfile] latency_profile failed:', res.error);
+        resolve((res && res.profile) || null);
+      });
+    });
+  }, [socket, sessionId]);
+
+  // The server's entry for this socket starts without a device after every join
+  const joinedWithoutDevice = !!ownEntry && !ownEntry.latency;
+  useEffect(() => {
+    if (!joinedWithoutDevice || reportingRef.current) return;
+    reportingRef.current = true;
+    report().finally(() => { reportingRef.current = false; });
+  }, [joinedWithoutDevice, report]);
+
+  useEffect(() => {
+    const media = navigator.mediaDevices;
+    if (!sessionId || !media || typeof media.addEventListener !== 'function') return;
+    const handleDeviceChange = () => { report(); };
+    media.addEventListener('devicechange', handleDeviceChange);
+    return () => media.removeEventListener('devicechange', handleDeviceChange);
+  }, [report, sessionId]);
+
+  // Store a calibration result (seconds) for the current device; null clears it
+  const saveCalibration = useCallback(
+    (latency) => report(Number.isFinite(latency) ? { calibratedLatency: latency } : { clearCalibration: true }),
+    [report]
+  );
+
+  // Fine-tune a member's compensation (seconds). Anyone may adjust themselves; the controller may adjust anyone.
+  const setAdjustment = useCallback((targetClientId, adjustment) => new Promise((resolve) => {
+    if (!socket || !sessionId) return resolve({ error: 'Not in a session' });
+    socket.emit('set_latency_adjustment', { sessionId, targetClientId, adjustment }, resolve);
+  }), [socket, sessionId]);
+
+  const audioLatency = profile
+    ? profile.compensation
+    : (device && device.reportedLatency) || DEFAULT_OUTPUT_LATENCY;
+
+  return {
+    profile,
+    audioLatency,
+    deviceLabel: (profile && profile.deviceLabel) || (device && device.deviceLabel) || '',
+    saveCalibration,
+    setAdjustment,
+  };
+}
@@ -1,14 +1,65 @@
-import usePeerTimeSync from './usePeerTimeSync';
-
-// Max number of peers to support for stable hook order
-const MAX_PEERS = 5;
-
-export default function useMultiPeerTimeSync(socket, clientId, peerIds) {
-  return [
-    usePeerTimeSync(socket, clientId, peerIds[0] || null),
-    usePeerTimeSync(socket, clientId, peerIds[1] || null),
-    usePeerTimeSync(socket, clientId, peerIds[2] || null),
-    usePeerTimeSync(socket, clientId, peerIds[3] || null),
-    usePeerTimeSync(socket, clientId, peerIds[4] || null),
-  ];
-} 
\ No newline at end of file
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createPeerTimeSync } from '../utils/peerTimeSync';
+
+/**
+ * useMultiPeerTimeSync - peer-to-peer time sync against a dynamic list of peers.
+ * The server picks the list (peer_assignment, see useSocket), so it stays small at any room size.
+ * Connections are opened and closed as peers are added to or dropped from the list.
+ * @param {object} socket - The socket.io client instance
+ * @param {string} clientId - This client's clientId
+ * @param {string[]} peerIds - clientIds to sync against, best first
+ * @returns {Array} [{ peerId, peerOffset, peerRtt, connectionState }] in peerIds order
+ */
+export default function useMultiPeerTimeSync(socket, clientId, peerIds = []) {
+  const [peerStates, setPeerStates] = useState({});
+  const connectionsRef = useRef(new Map()); // peerId -> close()
+
+  // Stable key so a new array with the same peers doesn't churn connections
+  const peerKey = peerIds.filter(id => id && id !== clientId).join(',');
+
+  useEffect(() => {
+    const connections = connectionsRef.current;
+    const wanted = new Set(peerKey ? peerKey.split(',') : []);
+    if (!socket || !clientId) wanted.clear();
+
+    for (const [peerId, close] of connections.entries()) {
+      if (!wanted.has(peerId)) {
+        close();
+        connections.delete(peerId);
+      }
+    }
+    for (const peerId of wanted) {
+      if (connections.has(peerId)) continue;
+      connections.set(peerId, createPeerTimeSync({
+        socket,
+        localId: clientId,
+        peerId,
+        onUpdate: (state) => setPeerStates(prev => ({ ...prev, [peerId]: state })),
+      }));
+    }
+    setPeerStates(prev => {
+      const next = {};
+      for (const peerId of wanted) {
+        if (prev[peerId]) next[peerId] = prev[peerId];
+      }
+      return next;
+    });
+  }, [socket, clientId, peerKey]);
+
+  // Close everything on unmount or when the socket/identity changes
+  useEffect(() => {
+    const connections = connectionsRef.current;
+    return () => {
+      for (const close of connections.values()) close();
+      connections.clear();
+    };
+  }, [socket, clientId]);
+
+  return useMemo(() => (peerKey ? peerKey.split(',') : []).map(peerId => ({
+    peerId,
+    peerOffset: 0,
+    peerRtt: null,
+    connectionState: 'connecting',
+    ...peerStates[peerId],
+  })), [peerKey, peerStates]);
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getNextRepeatMode } from '../utils/playbackOrder';
+
+const DEFAULT_MODE = { shuffle: false, shuffleOrder: [], repeatMode: 'off' };
+
+function pickMode(state) {
+  return {
+    shuffle: !!state.shuffle,
+    shuffleOrder: Array.isArray(state.shuffleOrder) ? state.shuffleOrder : [],
+    repeatMode: typeof state.repeatMode === 'string' ? state.repeatMode : 'off',
+  };
+}
+
+/**
+ * Session-wide shuffle/repeat state. The server owns it (see set_playback_mode in backend/socket.js),
+ * so every client steps through the same order; only the controller may change it.
+ */
+export default function usePlaybackMode(socket, sessionId, sessionSyncState = null) {
+  const [mode, setMode] = useState(() => (sessionSyncState ? pickMode(sessionSyncState) : DEFAULT_MODE));
+
+  useEffect(() => {
+    if (sessionSyncState) setMode(pickMode(sessionSyncState));
+  }, [sessionSyncState]);
+
+  // Fetch the current mode on (re)connect, then follow live updates
+  useEffect(() => {
+    if (!socket || !sessionId) return;
+    const requestMode = () => {
+      socket.emit('sync_request', { sessionId }, (state) => {
+        if (state && !state.error) setMode(pickMode(state));
+      });
+    };
+    const handleModeUpdate = (payload) => {
+      if (payload) setMode(pickMode(payload));
+    };
+    requestMode();
+    socket.on('connect', requestMode);
+    socket.on('playback_mode_update', handleModeUpdate);
+    return () => {
+      socket.off('connect', requestMode);
+      socket.off('playback_mode_update', handleModeUpdate);
+    };
+  }, [socket, sessionId]);
+
+  const emitMode = useCallback((change) => {
+    if (!socket || !sessionId) return;
+    socket.emit('set_playback_mode', { sessionId, ...change }, (res) => {
+      if (res && res.error) console.warn('[usePlaybackMode] set_playback_mode failed:', res.error);
+    });
+  }, [socket, sessionId]);
+
+  const toggleShuffle = useCallback(() => emitMode({ shuffle: !mode.shuffle }), [emitMode, mode.shuffle]);
+  const cycleRepeatMode = useCallback(() => emitMode({ repeatMode: getNextRepeatMode(mode.repeatMode) }), [emitMode, mode.repeatMode]);
+
+  return { ...mode, toggleShuffle, cycleRepeatMode };
+}
@@ -1,15 +1,76 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 
-export default function useQueue(socket, initialQueue = [], pendingTrackIdxRef = null) {
+const QUEUE_PATCH_OPS = ['insert', 'remove', 'move', 'update'];
+
+// Apply one queue_patch (see emitQueuePatch in backend/socket.js). Entries are found by id, not index.
+function applyQueuePatch(queue, patch) {
+  switch (patch.op) {
+    case 'insert': {
+      const next = [...queue];
+      next.splice(Math.min(patch.index, next.length), 0, patch.entry);
+      return next;
+    }
+    case 'remove':
+      return queue.filter(t => !t || t.id !== patch.entryId);
+    case 'move': {
+      const from = queue.findIndex(t => t && t.id === patch.entryId);
+      if (from === -1) return queue;
+      const next = [...queue];
+      const [moved] = next.splice(from, 1);
+      next.splice(patch.toIndex, 0, moved);
+      return next;
+    }
+    case 'update':
+      return queue.map(t => (t && t.id === patch.entryId ? { ...t, ...patch.changes } : t));
+    default:
+      return queue;
+  }
+}
+
+export default function useQueue(socket, initialQueue = [], pendingTrackIdxRef = null, sessionId = null) {
   const [queue, setQueue] = useState(initialQueue);
   const [selectedTrackIdx, setSelectedTrackIdx] = useState(0);
   const [currentTrackOverride, setCurrentTrackOverride] = useState(null);
 
-  // Handle queue updates
+  // Highest session stateVersion applied from queue_update/queue_patch/track_change. Anything older arrived
+  // late (or was sent before a newer change) and is dropped. Reset on disconnect: a server restarted without
+  // its session store starts counting again.
+  const stateVersionRef = useRef(-1);
+  // queueVersion of the queue we hold: queue_patch n + 1 applies on top of it, anything else means we missed one
+  // and ask for a snapshot. -1 until the first queue_update.
+  const queueVersionRef = useRef(-1);
+  const snapshotPendingRef = useRef(false);
+  useEffect(() => {
+    if (!socket) return;
+    const handleDisconnect = () => {
+      stateVersionRef.current = -1;
+      queueVersionRef.current = -1;
+      snapshotPendingRef.current = false;
+    };
+    socket.on('disconnect', handleDisconnect);
+    return () => {
+      socket.off('disconnect', handleDisconnect);
+    };
+  }, [socket]);
+  // True (and remembered) if the payload's version is current
+  const acceptVersion = (stateVersion) => {
+    if (typeof stateVersion !== 'number') return true;
+    if (stateVersion < stateVersionRef.current) return false;
+    stateVersionRef.current = stateVersion;
+    return true;
+  };
+
+  // Handle queue snapshots (queue_update, and replies to queue_snapshot)
   useEffect(() => {
     if (!socket) return;
-    const handleQueueUpdate = (q) => {
-      setQueue(q);
+    const handleQueueUpdate = (payload) => {
+      if (!payload || !Array.isArray(payload.queue)) return;
+      if (typeof payload.queueVersion === 'number') {
+        if (payload.queueVersion < queueVersionRef.current) return;
+        queueVersionRef.current = payload.queueVersion;
+      }
+      acceptVersion(payload.stateVersion);
+      setQueue(payload.queue);
       // If a track_change was received before the queue, apply it now
       if (pendingTrackIdxRef && pendingTrackIdxRef.current !== null) {
         if (pendingTrackIdxRef.currentTrack) {
@@ -28,14 +89,57 @@ export default function useQueue(socket, initialQueue = [], pendingTrackIdxRef =
     };
   }, [socket, pendingTrackIdxRef]);
 
+  // Handle queue patches. remove/move carry the selected index, so the current track never jumps.
+  useEffect(() => {
+    if (!socket || !sessionId) return;
+    const requestSnapshot = () => {
+      if (snapshotPendingRef.current) return;
+      snapshotPendingRef.current = true;
+      socket.emit('queue_snapshot', { sessionId }, (snapshot) => {
+        snapshotPendingRef.current = false;
+        if (!snapshot || snapshot.error || !Array.isArray(snapshot.queue)) return;
+        if (typeof snapshot.queueVersion !== 'number' || snapshot.queueVersion < queueVersionRef.current) return;
+        queueVersionRef.current = snapshot.queueVersion;
+        acceptVersion(snapshot.stateVersion);
+        setQueue(snapshot.queue);
+        if (typeof snapshot.selectedTrackIdx === 'number') setSelectedTrackIdx(snapshot.selectedTrackIdx);
+      });
+    };
+    const handleQueuePatch = (patch) => {
+      if (!patch || typeof patch.queueVersion !== 'number') return;
+      // Already part of the queue we hold, or of the snapshot on its way
+      if (patch.queueVersion <= queueVersionRef.current || snapshotPendingRef.current) return;
+      if (queueVersionRef.current === -1 || patch.queueVersion !== queueVersionRef.current + 1 || !QUEUE_PATCH_OPS.includes(patch.op)) {
+        requestSnapshot();
+        return;
+      }
+      queueVersionRef.current = patch.queueVersion;
+      acceptVersion(patch.stateVersion);
+      setQueue(prevQueue => applyQueuePatch(prevQueue, patch));
+      if (typeof patch.selectedTrackIdx === 'number') {
+        setSelectedTrackIdx(patch.selectedTrackIdx);
+      }
+    };
+    socket.on('queue_patch', handleQueuePatch);
+    return () => {
+      socket.off('queue_patch', handleQueuePatch);
+    };
+  }, [socket, sessionId]);
+
   // Handle track changes
   useEffect(() => {
     if (!socket) return;
     const handleTrackChange = (payload) => {
       let idx, track;
       if (typeof payload === 'object' && payload !== null) {
+        if (!acceptVersion(payload.stateVersion)) return;
         idx = typeof payload.idx === 'number' ? payload.idx : null;
         track = payload.track || null;
+        // Resolve by entry id when we have it; idx can be stale if the queue changed meanwhile
+        if (payload.entryId && Array.isArray(queue)) {
+          const entryIdx = queue.findIndex(t => t && t.id === payload.entryId);
+          if (entryIdx !== -1) idx = entryIdx;
+        }
       } else {
         idx = payload;
         track = null;
@@ -84,7 +188,7 @@ export default function useQueue(socket, initialQueue = [], pendingTrackIdxRef =
         // Find the removed index (first mismatch)
         let removedIdx = -1;
         for (let i = 0; i < prevQueue.length; i++) {
-          if (!newQueue[i] || prevQueue[i]?.url !== newQueue[i]?.url) {
+          if (!newQueue[i] || prevQueue[i]?.id !== newQueue[i]?.id) {
             removedIdx = i;
             break;
           }
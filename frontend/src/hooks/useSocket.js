@@ -1,6 +1,9 @@
 import { useEffect, useRef, useState } from 'react';
 import { io } from 'socket.io-client';
-import { getClientId } from '../utils/clientId';
+import { getClientId, getClientCredential, saveClientCredential } from '../utils/clientId';
+import { getRoomJoinCredentials, saveRoomAccessToken, clearPendingRoomSecret, setPendingRoomSecret } from '../utils/roomAccess';
+import { clockModel } from '../utils/clockModel';
+import { monotonicNow, watchClockDiscontinuities } from '../utils/monotonicClock';
 
 // --- Time Sync Tuning Constants ---
 const TRIM_RATIO = 0.22; // Outlier filtering trim ratio
@@ -13,11 +16,18 @@ const JITTER_GOOD = 10; // ms
 const AVG_RTT_BAD = 100; // ms
 const AVG_RTT_GOOD = 70; // ms
 
+const EMPTY_PEER_ASSIGNMENT = { peers: [], referencePeers: [] };
+
 export default function useSocket(sessionId, displayName = '', deviceInfo = '') {
   const [connected, setConnected] = useState(false);
   const [controllerId, setControllerId] = useState(null);
   const [clients, setClients] = useState([]);
   const [controllerClientId, setControllerClientId] = useState(null);
+  const [coHostClientId, setCoHostClientId] = useState(null);
+  // { clientId, expiresAt } while the controller has dropped and may still reclaim control
+  const [controllerReconnecting, setControllerReconnecting] = useState(null);
+  // Peers the server assigned us for peer-to-peer time sync: { peers, referencePeers }
+  const [peerAssignment, setPeerAssignment] = useState(EMPTY_PEER_ASSIGNMENT);
   const [timeOffset, setTimeOffset] = useState(0); // serverTime - clientTime
   const [rtt, setRtt] = useState(null);
   const [pendingControllerRequests, setPendingControllerRequests] = useState([]);
@@ -28,18 +38,21 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
   const [controllerOfferDeclined, setControllerOfferDeclined] = useState(null);
   const [jitter, setJitter] = useState(0); // Track jitter (ms)
   const [drift, setDrift] = useState(0); // Track drift (ms)
+  const [roomAccessError, setRoomAccessError] = useState(null); // { code, error } when a protected room refused us
   const socketRef = useRef(null);
-  const clientId = getClientId();
+  const joinSessionRef = useRef(null);
+  // The server has the final say on our clientId (see join_session); start from the local one
+  const [clientId, setClientId] = useState(() => getClientId());
 
   // --- NTP-like multi-round time sync before joining session ---
   async function ntpBatchSync(socket, rounds = 8) {
     const samples = [];
     for (let i = 0; i < rounds; i++) {
-      const now = Date.now();
+      const now = monotonicNow();
       await new Promise((resolve) => {
         socket.emit(
           'time_sync',
-          { clientSent: now, clientCallbackReceived: Date.now(), userAgent: navigator.userAgent },
+          { clientSent: now, clientCallbackReceived: monotonicNow(), userAgent: navigator.userAgent },
           (data) => {
             if (
               data &&
@@ -47,25 +60,25 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
               typeof data.serverProcessed === 'number' &&
               typeof data.clientSent === 'number'
             ) {
-              const clientReceived = Date.now();
+              const clientReceived = monotonicNow();
               // Use midpoint between serverReceived and serverProcessed for more accurate offset
               const serverMid = (data.serverReceived + data.serverProcessed) / 2;
               const roundTrip = clientReceived - data.clientSent;
               if (roundTrip > MAX_RTT) return resolve(); // Ignore high RTT
               const offset = serverMid - clientReceived;
-              samples.push({ offset, rtt: roundTrip });
+              samples.push({ offset, rtt: roundTrip, at: clientReceived });
             } else if (
               data &&
               typeof data.serverTime === 'number' &&
               typeof data.clientSent === 'number'
             ) {
               // Fallback to old method if serverReceived/Processed missing
-              const clientReceived = Date.now();
+              const clientReceived = monotonicNow();
               const roundTrip = clientReceived - data.clientSent;
               if (roundTrip > MAX_RTT) return resolve();
               const estimatedServerTime = data.serverTime + roundTrip / 2;
               const offset = estimatedServerTime - clientReceived;
-              samples.push({ offset, rtt: roundTrip });
+              samples.push({ offset, rtt: roundTrip, at: clientReceived });
             }
             setTimeout(resolve, 20); // Small delay between rounds
           }
@@ -73,18 +86,11 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       });
     }
     if (samples.length < 4) return; // Not enough samples
-    samples.sort((a, b) => a.rtt - b.rtt);
-    const trimmed = samples.slice(2, -2); // Remove top/bottom 2 RTTs
-    // Weighted offset calculation: 50% lowest, 30% second, 20% third
-    let avgOffset;
-    if (trimmed.length >= 3) {
-      const [best, second, third] = trimmed;
-      avgOffset = (best.offset * 0.5 + second.offset * 0.3 + third.offset * 0.2) / 1.0;
-    } else {
-      avgOffset = trimmed.reduce((sum, s) => sum + s.offset, 0) / trimmed.length;
-    }
+    // The clock model weights each sample by its RTT, so feed them all in arrival order
+    samples.forEach(sample => clockModel.addSample({ ...sample, source: 'server' }));
+    const trimmed = samples.slice().sort((a, b) => a.rtt - b.rtt).slice(2, -2); // Remove top/bottom 2 RTTs
     const avgRtt = trimmed.reduce((sum, s) => sum + s.rtt, 0) / trimmed.length;
-    setTimeOffset(avgOffset);
+    setTimeOffset(clockModel.getOffset());
     setRtt(avgRtt);
   }
 
@@ -151,7 +157,7 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       if (syncInProgress) return; // Prevent overlapping syncs
       const socket = socketRef.current;
       if (!socket || !socket.connected) return;
-      const now = Date.now();
+      const now = monotonicNow();
       if (!force && now - lastSyncTime < adaptiveInterval - 50) return;
       lastSyncTime = now;
       syncInProgress = true;
@@ -174,8 +180,11 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
         'time_sync',
         {
           clientSent,
-          clientCallbackReceived: Date.now(),
+          clientCallbackReceived: monotonicNow(),
           userAgent: navigator.userAgent,
+          // Smoothed link quality from earlier rounds; the server uses it to elect reference peers
+          rtt: lastRtts.length ? trimmedMean(lastRtts, TRIM_RATIO) : undefined,
+          jitter: lastJitters.length ? lastJitters[lastJitters.length - 1] : undefined,
         },
         (data) => {
           didRespond = true;
@@ -196,7 +205,7 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
           }
           syncFailures = 0;
 
-          const clientReceived = Date.now();
+          const clientReceived = monotonicNow();
           let offset, roundTrip;
           if (typeof data.serverReceived === 'number' && typeof data.serverProcessed === 'number') {
             // Use midpoint between serverReceived and serverProcessed
@@ -210,15 +219,16 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
             offset = estimatedServerTime - clientReceived;
           }
           if (roundTrip > MAX_RTT) return; // Ignore high RTT samples
+          clockModel.addSample({ offset, rtt: roundTrip, source: 'server', at: clientReceived });
 
-          // Smoothing: keep a rolling window, filter outliers
+          // Rolling window for RTT/jitter and offset-change diagnostics
           lastOffsets.push(offset);
           lastRtts.push(roundTrip);
           if (lastOffsets.length > MAX_HISTORY) lastOffsets.shift();
           if (lastRtts.length > MAX_HISTORY) lastRtts.shift();
 
-          // Outlier filtering: trimmed mean
-          const avgOffset = trimmedMean(lastOffsets, TRIM_RATIO);
+          // Offset comes from the clock model (skew-aware); RTT still uses a trimmed mean
+          const avgOffset = clockModel.getOffset(clientReceived);
           const avgRtt = trimmedMean(lastRtts, TRIM_RATIO);
 
           // Jitter calculation
@@ -321,10 +331,23 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
     }
     document.addEventListener('visibilitychange', handleVisibilityChange);
     window.addEventListener('online', handleOnline);
+    // A wall-clock jump or sleep/resume invalidates the clock model: start it over from a fresh batch
+    // rather than letting drift correction act on a stale offset in the meantime
+    const stopWatchingClock = watchClockDiscontinuities(({ type, delta }) => {
+      console.warn(`[useSocket] Clock discontinuity (${type}, ${Math.round(delta)}ms), re-syncing time`);
+      clockModel.reset();
+      // The jump may come after a disconnect or unmount: with no socket, the next connect syncs anyway
+      const socket = socketRef.current;
+      if (!socket) return;
+      ntpBatchSync(socket).catch((err) => {
+        console.warn('[useSocket] Re-sync after clock discontinuity failed:', err);
+      });
+    });
     return () => {
       if (interval) clearInterval(interval);
       document.removeEventListener('visibilitychange', handleVisibilityChange);
       window.removeEventListener('online', handleOnline);
+      stopWatchingClock();
     };
   }, [connected, sessionId]);
 
@@ -357,13 +380,31 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       reconnectAttempts = 0;
       // --- Perform NTP-like batch sync before joining session ---
       await ntpBatchSync(socket);
-      socket.emit('join_session', { sessionId, displayName, deviceInfo, clientId }, (data) => {
-        if (data?.error) {
+      joinSession();
+    };
+
+    const joinSession = () => {
+      const credentials = getRoomJoinCredentials(sessionId);
+      const identity = { clientId: getClientId(), credential: getClientCredential(sessionId) };
+      socket.emit('join_session', { sessionId, displayName, deviceInfo, ...identity, ...credentials }, (data) => {
+        if (data?.code === 'PASSWORD_REQUIRED' || data?.code === 'INVALID_PASSWORD') {
+          // Stored access token expired or the room password changed; ask the user
+          if (credentials.accessToken) saveRoomAccessToken(sessionId, null);
+          clearPendingRoomSecret(sessionId);
+          setRoomAccessError({ code: data.code, error: data.error });
+        } else if (data?.error) {
           console.error(`${logPrefix} JOIN CALLBACK ERROR:`, data.error);
         } else {
           console.debug(`${logPrefix} JOIN CALLBACK DATA:`, data);
+          setRoomAccessError(null);
+          clearPendingRoomSecret(sessionId);
+          if (data.accessToken) saveRoomAccessToken(sessionId, data.accessToken);
+          if (data.credential) saveClientCredential(sessionId, data.credential);
+          if (data.clientId) setClientId(data.clientId);
           setControllerId(data.controllerId);
           setControllerClientId(data.controllerClientId || null);
+          setCoHostClientId(data.coHostClientId || null);
+          setControllerReconnecting(data.controllerGrace || null);
           // --- Advanced sync state ---
           // Optionally expose more session state to consumers
           // setSessionSyncState(data); // This line was causing an error, so it's removed.
@@ -372,6 +413,7 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
         }
       });
     };
+    joinSessionRef.current = joinSession;
 
     const handleDisconnect = (reason) => {
       setConnected(false);
@@ -394,6 +436,16 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       console.error(`${logPrefix} Socket error:`, error);
     };
 
+    const handlePeerAssignment = (data) => {
+      if (!data || !Array.isArray(data.peers)) return;
+      setPeerAssignment({ peers: data.peers, referencePeers: Array.isArray(data.referencePeers) ? data.referencePeers : [] });
+    };
+
+    // The server holds control for a dropped controller for a grace window before handing it on
+    const handleControllerReconnecting = (data) => {
+      setControllerReconnecting(data && data.reconnecting ? { clientId: data.clientId, expiresAt: data.expiresAt } : null);
+    };
+
     // --- Attach Event Listeners ---
     socket.on('connect', handleConnect);
     socket.on('disconnect', handleDisconnect);
@@ -405,6 +457,9 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
     socket.on('clients_update', setClients);
     socket.on('controller_client_change', setControllerClientId);
     socket.on('controller_requests_update', setPendingControllerRequests);
+    socket.on('co_host_change', setCoHostClientId);
+    socket.on('controller_reconnecting', handleControllerReconnecting);
+    socket.on('peer_assignment', handlePeerAssignment);
 
     // Controller request/offer events
     socket.on('controller_request_received', setControllerRequestReceived);
@@ -420,6 +475,9 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       setControllerId(null);
       setClients([]);
       setControllerClientId(null);
+      setCoHostClientId(null);
+      setControllerReconnecting(null);
+      setPeerAssignment(EMPTY_PEER_ASSIGNMENT);
       setPendingControllerRequests([]);
       setControllerRequestReceived(null);
       setControllerOfferReceived(null);
@@ -453,6 +511,9 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       socket.off('clients_update', setClients);
       socket.off('controller_client_change', setControllerClientId);
       socket.off('controller_requests_update', setPendingControllerRequests);
+      socket.off('co_host_change', setCoHostClientId);
+      socket.off('controller_reconnecting', handleControllerReconnecting);
+      socket.off('peer_assignment', handlePeerAssignment);
 
       socket.off('controller_request_received', setControllerRequestReceived);
       socket.off('controller_offer_received', setControllerOfferReceived);
@@ -465,10 +526,15 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       socket.off('backend_version_mismatch');
 
       socket.disconnect();
+      joinSessionRef.current = null;
+      setRoomAccessError(null);
       setConnected(false);
       setControllerId(null);
       setClients([]);
       setControllerClientId(null);
+      setCoHostClientId(null);
+      setControllerReconnecting(null);
+      setPeerAssignment(EMPTY_PEER_ASSIGNMENT);
       setPendingControllerRequests([]);
       setControllerRequestReceived(null);
       setControllerOfferReceived(null);
@@ -476,7 +542,15 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       setControllerOfferAccepted(null);
       setControllerOfferDeclined(null);
     };
-  }, [sessionId, clientId]);
+  }, [sessionId]);
+
+  // Retry joining a password-protected room with the password the user entered
+  function submitRoomPassword(password) {
+    setPendingRoomSecret(sessionId, { password });
+    if (joinSessionRef.current && socketRef.current?.connected) {
+      joinSessionRef.current();
+    }
+  }
 
   // Expose a method to force immediate time sync (for use on drift)
   function forceTimeSync() {
@@ -493,28 +567,34 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
   }
 
   // Enhanced getServerTime: returns both raw and Date object, and diagnostics
+  // The prediction comes from the clock model, so it accounts for skew since the last sync.
+  // Diagnostics include the model's confidence interval: uncertainty is its half-width (ms),
+  // lower/upper its bounds. Before the first sync (or right after a clock discontinuity reset the model)
+  // we fall back to timeOffset with unknown (infinite) uncertainty.
+  // Local time is monotonicNow(), the same clock every sync sample is taken on.
   function getServerTime(options = {}) {
     // options: { asDate: boolean, withDiagnostics: boolean }
-    const now = Date.now();
-    const serverTimestamp = now + timeOffset;
+    const now = monotonicNow();
+    const estimate = clockModel.getServerTime(now);
+    const serverTimestamp = estimate ? estimate.time : now + timeOffset;
+    const diagnostics = () => ({
+      timestamp: serverTimestamp,
+      offset: estimate ? estimate.offset : timeOffset,
+      skew: estimate ? estimate.skew : 0,
+      uncertainty: estimate ? estimate.uncertainty : Infinity,
+      lower: estimate ? estimate.lower : -Infinity,
+      upper: estimate ? estimate.upper : Infinity,
+      rtt,
+    });
     if (options.asDate) {
       const result = new Date(serverTimestamp);
       if (options.withDiagnostics) {
-        return {
-          date: result,
-          timestamp: serverTimestamp,
-          offset: timeOffset,
-          rtt,
-        };
+        return { date: result, ...diagnostics() };
       }
       return result;
     }
     if (options.withDiagnostics) {
-      return {
-        timestamp: serverTimestamp,
-        offset: timeOffset,
-        rtt,
-      };
+      return diagnostics();
     }
     return serverTimestamp;
   }
@@ -525,6 +605,9 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
     connected,
     controllerId,
     controllerClientId,
+    coHostClientId,
+    controllerReconnecting,
+    peerAssignment,
     clients,
     clientId,
     timeOffset,
@@ -583,5 +666,8 @@ export default function useSocket(sessionId, displayName = '', deviceInfo = '')
       }
     },
     forceNtpBatchSync,
+    // Password-protected rooms
+    roomAccessError,
+    submitRoomPassword,
   };
 } 
\ No newline at end of file
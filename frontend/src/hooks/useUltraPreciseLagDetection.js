@@ -69,6 +69,7 @@ export default function useUltraPreciseLagDetection({
   const ULTRA_MICRO_THRESHOLD = 0.00001;
   const ULTRA_MICRO_CORRECTION = 0.00005;
   const ULTRA_CORRECTION_COOLDOWN = 30;
+  const PRECISE_SEEK_MIN_DRIFT = 0.002; // Web Audio engine: each seek restarts a source, so skip sub-2ms drift
 
   // Helper: Calculate drift acceleration
   const calculateDriftAcceleration = useCallback((driftHistory) => {
@@ -95,6 +96,12 @@ export default function useUltraPreciseLagDetection({
   // Helper: Ultra-fast micro correction (no hooks inside!)
   const ultraMicroCorrection = useCallback((audio, drift) => {
     if (Math.abs(drift) < 0.0001) return false;
+    // Web Audio engine: seeks are sample-accurate and crossfaded, so seek rather than bend the rate
+    if (audio.preciseSeek) {
+      if (Math.abs(drift) < PRECISE_SEEK_MIN_DRIFT) return false;
+      audio.currentTime += -drift;
+      return true;
+    }
     if (Math.abs(drift) >= ULTRA_MICRO_THRESHOLD && Math.abs(drift) < ULTRA_MICRO_CORRECTION) {
       audio.currentTime += -drift * 0.8;
       return true;
@@ -135,6 +142,11 @@ export default function useUltraPreciseLagDetection({
       const frameTime = nowFrame - lastFrameTime.current;
       lastFrameTime.current = nowFrame;
       const now = getServerTime ? getServerTime() : Date.now();
+      // Nothing to correct while paused or waiting for a scheduled start
+      if (audio.paused || (sessionSyncState && sessionSyncState.lastUpdated > now)) {
+        requestAnimationFrame(detectLag);
+        return;
+      }
       const rttComp = rtt ? rtt / 2000 : 0;
       const expected = (sessionSyncState && typeof sessionSyncState.timestamp === 'number' && typeof sessionSyncState.lastUpdated === 'number')
         ? sessionSyncState.timestamp + (now - sessionSyncState.lastUpdated) / 1000 + rttComp + smoothedOffset - audioLatency
@@ -1,5 +1,6 @@
-import { useMemo, useRef } from 'react';
+import { useMemo } from 'react';
 import SYNC_CONFIG from '../utils/syncConfig';
+import { clockModel } from '../utils/clockModel';
 
 /**
  * useUltraPreciseOffset
@@ -8,7 +9,9 @@ import SYNC_CONFIG from '../utils/syncConfig';
  * @param {number} rtt - Server RTT
  * @param {number} jitter - Server jitter
  * @param {number} drift - Server drift
- * @returns {object} { ultraPreciseOffset, syncQuality, allOffsets, selectedSource }
+ * @returns {object} { ultraPreciseOffset, syncQuality, allOffsets, selectedSource, clockUncertainty }
+ *   ultraPreciseOffset is the clock model's current offset (see utils/clockModel),
+ *   clockUncertainty the half-width of its ~95% interval in ms (null before the first sync)
  */
 export default function useUltraPreciseOffset(peerSyncs, timeOffset, rtt, jitter, drift) {
   // Combine peer and server offsets, add source
@@ -30,77 +33,11 @@ export default function useUltraPreciseOffset(peerSyncs, timeOffset, rtt, jitter
     return allPeerOffsets.filter(o => Math.abs(o.offset - median) <= SYNC_CONFIG.OUTLIER_STDDEV_MULTIPLIER * stddev);
   }, [allPeerOffsets]);
 
-  // Exclude peers with unstable RTT (>300ms or NaN)
-  const stablePeerOffsets = useMemo(() =>
-    filteredPeerOffsets.filter(o => typeof o.rtt === 'number' && o.rtt < 300 && !isNaN(o.rtt)),
-    [filteredPeerOffsets]
-  );
-
-  // Quality scoring: lower RTT = higher score, server is fallback
-  function scoreOffset(o) {
-    if (!o) return -Infinity;
-    if (o.source && o.source.startsWith('peer')) {
-      return 1000 - o.rtt; // Higher is better
-    }
-    if (o.source === 'server') {
-      return 500 - (typeof o.rtt === 'number' ? o.rtt : 0);
-    }
-    return 0;
-  }
-
-  // Weighted median by RTT (lower RTT = higher weight)
-  function weightedMedian(offsets) {
-    if (!offsets.length) return null;
-    // Assign weight = 1/(rtt+1) to avoid div by zero
-    const arr = offsets.map(o => ({...o, weight: 1/(o.rtt+1)})).sort((a,b) => a.offset-b.offset);
-    const totalWeight = arr.reduce((sum, o) => sum + o.weight, 0);
-    let acc = 0;
-    for (let i=0; i<arr.length; ++i) {
-      acc += arr[i].weight;
-      if (acc >= totalWeight/2) return arr[i].offset;
-    }
-    return arr[arr.length-1].offset;
-  }
-
-  // Select the best offset (highest score)
-  const bestOffsetObj = useMemo(() => {
-    const candidates = [
-      ...stablePeerOffsets,
-      { offset: timeOffset, rtt: rtt, source: 'server' }
-    ];
-    return candidates.reduce((best, o) => (scoreOffset(o) > scoreOffset(best) ? o : best), candidates[0]);
-  }, [stablePeerOffsets, timeOffset, rtt]);
-
-  // --- NTP-like filter: rolling window, IQR outlier removal, median smoothing ---
-  const offsetWindowRef = useRef([]);
-  const filteredWindow = useMemo(() => {
-    // Add the latest best offset (weighted median or server)
-    let latest = null;
-    if (bestOffsetObj && Math.abs(bestOffsetObj.offset) < 1000) {
-      latest = bestOffsetObj.offset;
-    } else {
-      latest = timeOffset;
-    }
-    if (!isNaN(latest)) {
-      offsetWindowRef.current.push(latest);
-      if (offsetWindowRef.current.length > SYNC_CONFIG.OFFSET_SMOOTHING_WINDOW) offsetWindowRef.current.shift();
-    }
-    // Outlier removal: IQR method
-    const sorted = offsetWindowRef.current.slice().sort((a, b) => a - b);
-    const q1 = sorted[Math.floor(sorted.length / 4)] || 0;
-    const q3 = sorted[Math.floor(sorted.length * 3 / 4)] || 0;
-    const iqr = q3 - q1;
-    const lower = q1 - SYNC_CONFIG.OUTLIER_STDDEV_MULTIPLIER * iqr;
-    const upper = q3 + SYNC_CONFIG.OUTLIER_STDDEV_MULTIPLIER * iqr;
-    return sorted.filter(v => v >= lower && v <= upper);
-  }, [bestOffsetObj, timeOffset]);
-
-  // Use the median of the filtered window as the final offset
-  const smoothedOffset = useMemo(() => {
-    if (!filteredWindow.length) return timeOffset;
-    const sorted = filteredWindow.slice().sort((a, b) => a - b);
-    return sorted[Math.floor(sorted.length / 2)];
-  }, [filteredWindow, timeOffset]);
+  // The offset itself comes from the clock model, which already weighs every server and peer sample
+  // by RTT and tracks skew. Read on every render, since each new sample re-renders the caller.
+  const estimate = clockModel.getServerTime();
+  const smoothedOffset = estimate ? estimate.offset : timeOffset;
+  const selectedSource = estimate && estimate.source && estimate.source.startsWith('peer') ? 'peer' : 'server';
 
   // For analytics/debug: show all offsets (peers + server)
   const allOffsets = useMemo(() => [
@@ -118,5 +55,5 @@ export default function useUltraPreciseOffset(peerSyncs, timeOffset, rtt, jitter
     return { label: 'Poor', color: 'bg-red-500', tooltip: 'Sync is poor. High latency, jitter, or drift.' };
   }, [rtt, jitter, drift]);
 
-  return { ultraPreciseOffset: smoothedOffset, syncQuality, allOffsets, selectedSource: bestOffsetObj?.source || 'server' };
+  return { ultraPreciseOffset: smoothedOffset, syncQuality, allOffsets, selectedSource, clockUncertainty: estimate ? estimate.uncertainty : null };
 } 
\ No newline at end of file
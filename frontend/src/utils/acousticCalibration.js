@@ -0,0 +1,207 @@
+// Acoustic calibration math: no DOM, no Web Audio, just Float32Arrays, so it can be checked with synthetic buffers.
+//
+// Every speaker in the room plays its own chirp in its own slot, compensating for the output latency it thinks
+// it has. One device records the room; for each slot we cross-correlate the recording with that slot's chirp
+// and take the first strong peak (the direct path, before room reflections). The difference between where a chirp
+// arrived and where it should have arrived is what that speaker's compensation still gets wrong.
+// Errors shared by every slot (the recorder's input latency, how its recording maps onto server time, distance
+// to the recorder) cancel out: offsets are relative to the room's median speaker.
+
+export const CHIRP_DURATION = 0.1; // s
+const CHIRP_FADE = 0.005; // s, taper at both ends so the chirp doesn't click
+const CHIRP_BANDWIDTH = 3000; // Hz
+const CHIRP_BASE_FREQUENCY = 1500; // Hz, phone speakers reproduce little below this
+const CHIRP_BANDS = 5;
+// Peaks below this fraction of the strongest one are reflections or noise, never the direct path
+const DIRECT_PATH_RATIO = 0.5;
+// Strongest correlation peak over the window's mean |correlation|; below this the chirp wasn't heard
+export const MIN_CONFIDENCE = 6;
+// How far from its expected position a chirp is searched for (s); also the largest offset we can measure
+export const SEARCH_RADIUS = 0.25;
+
+/**
+ * The chirp for a slot. Neighbouring slots differ in band and direction, so one speaker's chirp
+ * correlates poorly with another's even if their slots overlap.
+ * @param {number} slot
+ * @returns {object} { f0, f1, duration } (Hz, Hz, s)
+ */
+export function chirpForSlot(slot) {
+  const low = CHIRP_BASE_FREQUENCY + (slot % CHIRP_BANDS) * 1000;
+  const high = low + CHIRP_BANDWIDTH;
+  return slot % 2 === 0
+    ? { f0: low, f1: high, duration: CHIRP_DURATION }
+    : { f0: high, f1: low, duration: CHIRP_DURATION };
+}
+
+/**
+ * Linear chirp from f0 to f1, with tapered ends.
+ * @returns {Float32Array}
+ */
+export function generateChirp({ f0, f1, duration }, sampleRate) {
+  const length = Math.round(duration * sampleRate);
+  const fade = Math.max(1, Math.round(CHIRP_FADE * sampleRate));
+  const sweep = (f1 - f0) / duration;
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    const envelope = Math.min(1, i / fade, (length - 1 - i) / fade);
+    out[i] = envelope * Math.sin(2 * Math.PI * (f0 * t + (sweep * t * t) / 2));
+  }
+  return out;
+}
+
+function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
+
+// In-place iterative radix-2 FFT; re and im have the same power-of-two length
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    const half = size >> 1;
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Cross-correlation of a signal with a (shorter) template, via FFT.
+ * result[k] = sum_j signal[k + j] * template[j], for k = 0 .. signal.length - template.length.
+ * @returns {Float32Array}
+ */
+export function crossCorrelate(signal, template) {
+  const lags = signal.length - template.length + 1;
+  if (lags <= 0) return new Float32Array(0);
+  const size = nextPowerOfTwo(signal.length + template.length);
+  const sRe = new Float64Array(size);
+  const sIm = new Float64Array(size);
+  const tRe = new Float64Array(size);
+  const tIm = new Float64Array(size);
+  sRe.set(signal);
+  tRe.set(template);
+  fft(sRe, sIm);
+  fft(tRe, tIm);
+  // Multiply by the template's conjugate spectrum
+  for (let i = 0; i < size; i++) {
+    const re = sRe[i] * tRe[i] + sIm[i] * tIm[i];
+    const im = sIm[i] * tRe[i] - sRe[i] * tIm[i];
+    sRe[i] = re;
+    sIm[i] = im;
+  }
+  fft(sRe, sIm, true);
+  return Float32Array.from(sRe.subarray(0, lags));
+}
+
+/**
+ * Find where a template arrives in a recording, near an expected sample index.
+ * Takes the earliest strong peak rather than the strongest, since reflections can beat the direct path.
+ * @param {Float32Array} recording
+ * @param {Float32Array} template
+ * @param {object} options - { expectedIndex, searchRadius } in samples
+ * @returns {object|null} { index (fractional sample), confidence }, or null if the window is outside the recording
+ */
+export function findArrival(recording, template, { expectedIndex, searchRadius }) {
+  const from = Math.max(0, Math.floor(expectedIndex - searchRadius));
+  const to = Math.min(recording.length, Math.ceil(expectedIndex + searchRadius) + template.length);
+  if (to - from < template.length + 2) return null;
+  const correlation = crossCorrelate(recording.subarray(from, to), template);
+  const magnitude = correlation.map(Math.abs);
+  let strongest = 0;
+  let sum = 0;
+  for (let i = 0; i < magnitude.length; i++) {
+    if (magnitude[i] > strongest) strongest = magnitude[i];
+    sum += magnitude[i];
+  }
+  const mean = sum / magnitude.length;
+  if (!strongest || !mean) return { index: expectedIndex, confidence: 0 };
+  let peak = 0;
+  for (let i = 1; i < magnitude.length - 1; i++) {
+    if (magnitude[i] >= DIRECT_PATH_RATIO * strongest && magnitude[i] >= magnitude[i - 1] && magnitude[i] >= magnitude[i + 1]) {
+      peak = i;
+      break;
+    }
+  }
+  // Parabolic interpolation around the peak for a sub-sample position
+  let fraction = 0;
+  if (peak > 0 && peak < magnitude.length - 1) {
+    const left = magnitude[peak - 1];
+    const centre = magnitude[peak];
+    const right = magnitude[peak + 1];
+    const denominator = left - 2 * centre + right;
+    if (denominator !== 0) fraction = (0.5 * (left - right)) / denominator;
+  }
+  return { index: from + peak + fraction, confidence: magnitude[peak] / mean };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Measure every slot's speaker in one recording.
+ * @param {Float32Array} recording - Mono samples from the recording device
+ * @param {number} sampleRate
+ * @param {number} recordingStart - Server time (ms) of recording[0]
+ * @param {Array} slots - [{ slot, playAt }]: when each speaker was scheduled to be heard (server ms)
+ * @returns {object} { offsets: { [slot]: seconds }, arrivals: [{ slot, residual, confidence, heard }] }
+ *   offsets are how much later than the room's median speaker each one sounded (positive: increase its
+ *   compensation). Slots that weren't heard get no offset.
+ */
+export function measureSpeakerOffsets(recording, sampleRate, recordingStart, slots) {
+  const arrivals = slots.map(({ slot, playAt }) => {
+    const expectedIndex = ((playAt - recordingStart) / 1000) * sampleRate;
+    const template = generateChirp(chirpForSlot(slot), sampleRate);
+    const found = findArrival(recording, template, { expectedIndex, searchRadius: SEARCH_RADIUS * sampleRate });
+    if (!found) return { slot, residual: null, confidence: 0, heard: false };
+    return {
+      slot,
+      residual: (found.index - expectedIndex) / sampleRate,
+      confidence: found.confidence,
+      heard: found.confidence >= MIN_CONFIDENCE,
+    };
+  });
+  const heard = arrivals.filter(a => a.heard);
+  const offsets = {};
+  if (heard.length) {
+    const reference = median(heard.map(a => a.residual));
+    for (const a of heard) offsets[a.slot] = a.residual - reference;
+  }
+  return { offsets, arrivals };
+}
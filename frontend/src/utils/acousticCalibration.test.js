@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chirpForSlot, crossCorrelate, findArrival, generateChirp, measureSpeakerOffsets } from './acousticCalibration.js';
+
+const SAMPLE_RATE = 48000;
+
+// Deterministic noise in [-amplitude, amplitude]
+function noise(length, amplitude, seed = 1) {
+  const out = new Float32Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    out[i] = (state / 2147483648 - 0.5) * 2 * amplitude;
+  }
+  return out;
+}
+
+// Maximum length sequence of 2^order - 1 samples (±1) from a Fibonacci LFSR
+function mls(order, taps) {
+  const length = (1 << order) - 1;
+  const out = new Float32Array(length);
+  let register = 1;
+  for (let i = 0; i < length; i++) {
+    out[i] = register & 1 ? 1 : -1;
+    const feedback = taps.reduce((bit, tap) => bit ^ ((register >> (order - tap)) & 1), 0);
+    register = (register >> 1) | (feedback << (order - 1));
+  }
+  return out;
+}
+
+function mix(target, source, at, gain = 1) {
+  for (let i = 0; i < source.length; i++) target[at + i] += source[i] * gain;
+}
+
+function argmax(values) {
+  let best = 0;
+  for (let i = 1; i < values.length; i++) if (values[i] > values[best]) best = i;
+  return best;
+}
+
+test('crossCorrelate matches the direct sum', () => {
+  const signal = noise(300, 1, 7);
+  const template = noise(40, 1, 11);
+  const result = crossCorrelate(signal, template);
+  assert.equal(result.length, signal.length - template.length + 1);
+  for (const k of [0, 1, 99, 200, result.length - 1]) {
+    let expected = 0;
+    for (let j = 0; j < template.length; j++) expected += signal[k + j] * template[j];
+    assert.ok(Math.abs(result[k] - expected) < 1e-3, `lag ${k}: ${result[k]} vs ${expected}`);
+  }
+});
+
+test('crossCorrelate finds an MLS buried in noise at its delay', () => {
+  const sequence = mls(10, [10, 7]);
+  for (const delay of [0, 137, 2500]) {
+    const signal = noise(4096, 0.5, delay + 3);
+    mix(signal, sequence, delay, 0.5);
+    assert.equal(argmax(crossCorrelate(signal, sequence)), delay);
+  }
+});
+
+test('findArrival takes the direct path over a stronger reflection', () => {
+  const chirp = generateChirp(chirpForSlot(0), SAMPLE_RATE);
+  const recording = noise(SAMPLE_RATE, 0.02);
+  const arrival = 12000;
+  mix(recording, chirp, arrival, 0.5);
+  mix(recording, chirp, arrival + Math.round(0.006 * SAMPLE_RATE), 0.8);
+  const found = findArrival(recording, chirp, { expectedIndex: 11000, searchRadius: 0.25 * SAMPLE_RATE });
+  assert.ok(Math.abs(found.index - arrival) < 1, `found ${found.index}, expected ${arrival}`);
+  assert.ok(found.confidence > 6);
+});
+
+test('measureSpeakerOffsets recovers known speaker delays relative to the median', () => {
+  const recordingStart = 1_000_000; // server ms
+  const delays = { 0: 0.012, 1: 0.032, 2: 0.002, 3: -0.018 }; // s later than scheduled
+  const slots = Object.keys(delays).map(Number).map(slot => ({ slot, playAt: recordingStart + 300 + slot * 400 }));
+  const recording = noise(2 * SAMPLE_RATE, 0.05, 5);
+  for (const { slot, playAt } of slots) {
+    const chirp = generateChirp(chirpForSlot(slot), SAMPLE_RATE);
+    const at = Math.round(((playAt - recordingStart) / 1000 + delays[slot]) * SAMPLE_RATE);
+    mix(recording, chirp, at, 0.5);
+    mix(recording, chirp, at + Math.round(0.008 * SAMPLE_RATE), 0.3); // room reflection
+  }
+  const { offsets, arrivals } = measureSpeakerOffsets(recording, SAMPLE_RATE, recordingStart, slots);
+  assert.ok(arrivals.every(a => a.heard));
+  // Median of the delays is 0.007 s
+  for (const [slot, delay] of Object.entries(delays)) {
+    assert.ok(Math.abs(offsets[slot] - (delay - 0.007)) < 0.0002, `slot ${slot}: ${offsets[slot]}`);
+  }
+});
+
+test('measureSpeakerOffsets leaves out a speaker that was not heard', () => {
+  const recordingStart = 0;
+  const slots = [{ slot: 0, playAt: 300 }, { slot: 1, playAt: 700 }, { slot: 2, playAt: 1100 }];
+  const recording = noise(2 * SAMPLE_RATE, 0.05, 9);
+  for (const { slot, playAt } of slots.filter(s => s.slot !== 1)) {
+    mix(recording, generateChirp(chirpForSlot(slot), SAMPLE_RATE), Math.round((playAt / 1000) * SAMPLE_RATE), 0.5);
+  }
+  const { offsets, arrivals } = measureSpeakerOffsets(recording, SAMPLE_RATE, recordingStart, slots);
+  assert.deepEqual(arrivals.map(a => a.heard), [true, false, true]);
+  assert.ok(!(1 in offsets));
+  assert.ok(Math.abs(offsets[0]) < 0.0002 && Math.abs(offsets[2]) < 0.0002);
+});
@@ -13,4 +13,24 @@ export function getClientId() {
     localStorage.setItem('clientId', clientId);
   }
   return clientId;
-} 
\ No newline at end of file
+} 
+
+// Per-room credential from join_session. It proves we own our clientId in that room, so it must be
+// sent on every (re)join; without it the server may hand us a different clientId.
+const credentialKey = (sessionId) => `fxsync_identity_${sessionId}`;
+
+export function getClientCredential(sessionId) {
+  try {
+    return localStorage.getItem(credentialKey(sessionId));
+  } catch {
+    return null;
+  }
+}
+
+export function saveClientCredential(sessionId, credential) {
+  try {
+    if (credential) localStorage.setItem(credentialKey(sessionId), credential);
+  } catch {
+    // Storage unavailable: we'll get a fresh identity on the next join
+  }
+}
@@ -0,0 +1,159 @@
+// Clock model: tracks our offset to the server clock and how fast that offset changes (skew),
+// so predictions stay accurate between syncs instead of going stale.
+//
+// Two 1-D Kalman filters (kalmanjs):
+// - offset (ms): predicted forward by skew * elapsed time, corrected by every sample
+// - skew (ms of offset per second, 1 ms/s = 1000 ppm): updated from how far the offset moved
+//   over at least MIN_SKEW_INTERVAL, so a single noisy sample can't swing it
+// Samples are weighted by RTT: the true offset lies within ±RTT/2 of a measurement, so a
+// low-RTT sample counts for much more than a high-RTT one. Server and peer samples feed the same model;
+// peers report their own uncertainty, which is added on top.
+import KalmanFilter from 'kalmanjs';
+import { monotonicNow } from './monotonicClock';
+
+const OFFSET_PROCESS_NOISE = 0.05; // ms² per second of random walk on top of skew
+const SKEW_PROCESS_NOISE = 1e-6; // (ms/s)² per second
+const INITIAL_SKEW_NOISE = 0.01; // (ms/s)², first skew measurement
+const MIN_SAMPLE_SIGMA = 0.5; // ms, floor so a 0 ms RTT sample can't pin the filter
+const MAX_SKEW = 0.5; // ms/s (500 ppm); real oscillators stay well under this
+const MIN_SKEW_INTERVAL = 5000; // ms between skew updates
+const OUTLIER_SIGMAS = 4; // Samples further than this from the prediction are suspect
+const MAX_CONSECUTIVE_OUTLIERS = 3; // ...unless they keep coming, which means the clock really moved
+const CONFIDENCE_SIGMAS = 2; // ~95% interval for getServerTime()
+
+/**
+ * Create a clock model. Most callers want the shared `clockModel` instance below.
+ * @returns {object} { addSample, getOffset, getServerTime, isReady, reset }
+ */
+export function createClockModel() {
+  let offsetFilter;
+  let skewFilter;
+  let lastAt = null; // local time of the last accepted sample
+  let skewAnchor = null; // { at, offset, cov } the next skew measurement is taken against
+  let consecutiveOutliers = 0;
+  let lastSource = null;
+
+  function reset() {
+    offsetFilter = new KalmanFilter({ R: OFFSET_PROCESS_NOISE, Q: 1, B: 1 });
+    skewFilter = new KalmanFilter({ R: SKEW_PROCESS_NOISE, Q: INITIAL_SKEW_NOISE });
+    lastAt = null;
+    skewAnchor = null;
+    consecutiveOutliers = 0;
+    lastSource = null;
+  }
+  reset();
+
+  function currentSkew() {
+    return isNaN(skewFilter.x) ? 0 : skewFilter.x;
+  }
+
+  // Offset variance grows with time since the last sample: random walk plus skew uncertainty
+  function varianceAfter(dtSec) {
+    const skewCov = isNaN(skewFilter.cov) ? INITIAL_SKEW_NOISE : skewFilter.cov;
+    return OFFSET_PROCESS_NOISE * dtSec + skewCov * dtSec * dtSec;
+  }
+
+  function updateSkew(at) {
+    if (!skewAnchor) {
+      skewAnchor = { at, offset: offsetFilter.x, cov: offsetFilter.cov };
+      return;
+    }
+    const dtSec = (at - skewAnchor.at) / 1000;
+    if (dtSec * 1000 < MIN_SKEW_INTERVAL) return;
+    const measured = Math.max(-MAX_SKEW, Math.min(MAX_SKEW, (offsetFilter.x - skewAnchor.offset) / dtSec));
+    skewFilter.setProcessNoise(SKEW_PROCESS_NOISE * dtSec);
+    skewFilter.setMeasurementNoise(Math.max((offsetFilter.cov + skewAnchor.cov) / (dtSec * dtSec), 1e-9));
+    skewFilter.filter(measured);
+    skewFilter.x = Math.max(-MAX_SKEW, Math.min(MAX_SKEW, skewFilter.x));
+    skewAnchor = { at, offset: offsetFilter.x, cov: offsetFilter.cov };
+  }
+
+  /**
+   * Feed one offset measurement.
+   * @param {object} sample
+   * @param {number} sample.offset - serverTime - localTime (ms)
+   * @param {number} sample.rtt - Round trip of the measurement (ms)
+   * @param {string} [sample.source] - 'server' or a peer id, for diagnostics
+   * @param {number} [sample.uncertainty] - Extra error the source already carries (ms, 1 sigma), e.g. a peer's own estimate
+   * @param {number} [sample.at] - Local monotonic time the measurement was taken (defaults to now)
+   * @returns {boolean} false if the sample was rejected as an outlier
+   */
+  function addSample({ offset, rtt, source = 'server', uncertainty = 0, at = monotonicNow() }) {
+    if (!Number.isFinite(offset) || !Number.isFinite(rtt) || rtt < 0) return false;
+    const sigma = Math.max(MIN_SAMPLE_SIGMA, rtt / 4);
+    const measurementNoise = sigma * sigma + (Number.isFinite(uncertainty) ? uncertainty * uncertainty : 0);
+
+    if (lastAt === null) {
+      offsetFilter.setMeasurementNoise(measurementNoise);
+      offsetFilter.filter(offset);
+      lastAt = at;
+      lastSource = source;
+      updateSkew(at);
+      return true;
+    }
+
+    const dtSec = Math.max(0, (at - lastAt) / 1000);
+    const skewStep = currentSkew() * dtSec;
+    const predicted = offsetFilter.x + skewStep;
+    const predictedCov = offsetFilter.cov + varianceAfter(dtSec);
+    if (Math.abs(offset - predicted) > OUTLIER_SIGMAS * Math.sqrt(predictedCov + measurementNoise)) {
+      consecutiveOutliers++;
+      if (consecutiveOutliers < MAX_CONSECUTIVE_OUTLIERS) return false;
+      // The clock stepped for real: start over from this sample
+      reset();
+      return addSample({ offset, rtt, source, uncertainty, at });
+    }
+    consecutiveOutliers = 0;
+
+    offsetFilter.setProcessNoise(varianceAfter(dtSec));
+    offsetFilter.setMeasurementNoise(measurementNoise);
+    offsetFilter.filter(offset, skewStep);
+    lastAt = at;
+    lastSource = source;
+    updateSkew(at);
+    return true;
+  }
+
+  function isReady() {
+    return lastAt !== null;
+  }
+
+  /**
+   * Predicted offset (ms) at local time `at`, or null before the first sample.
+   */
+  function getOffset(at = monotonicNow()) {
+    if (!isReady()) return null;
+    return offsetFilter.x + currentSkew() * ((at - lastAt) / 1000);
+  }
+
+  /**
+   * Predicted server time at local time `at`, with a confidence interval.
+   * @returns {object|null} { time, offset, skew, sigma, uncertainty, lower, upper, source } (ms; skew in ms/s),
+   *   or null before the first sample. sigma is one standard deviation, uncertainty the half-width of the ~95% interval.
+   */
+  function getServerTime(at = monotonicNow()) {
+    if (!isReady()) return null;
+    const dtSec = Math.max(0, (at - lastAt) / 1000);
+    const offset = getOffset(at);
+    const sigma = Math.sqrt(offsetFilter.cov + varianceAfter(dtSec));
+    const uncertainty = CONFIDENCE_SIGMAS * sigma;
+    const time = at + offset;
+    return {
+      time,
+      offset,
+      skew: currentSkew(),
+      sigma,
+      uncertainty,
+      lower: time - uncertainty,
+      upper: time + uncertainty,
+      source: lastSource,
+    };
+  }
+
+  return { addSample, getOffset, getServerTime, isReady, reset };
+}
+
+// Shared by useSocket (server samples) and peer time sync (peer samples)
+export const clockModel = createClockModel();
+
+export default clockModel;
@@ -0,0 +1,7 @@
+// Tracks and album art served by our backend are referenced by /audio/... paths; the backend may live on another origin
+export function resolveMediaUrl(url) {
+  if (typeof url !== 'string' || !url) return null;
+  if (!url.startsWith('/audio/')) return url;
+  const backendUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:4000';
+  return backendUrl.replace(/\/$/, '') + url;
+}
@@ -0,0 +1,58 @@
+// Monotonic local clock for all sync math.
+// Date.now() jumps whenever the OS adjusts the wall clock (NTP step, manual change, timezone bugs)
+// and after sleep/resume, which used to show up as sudden multi-second "drift". performance.now()
+// only moves forward at a steady rate; adding timeOrigin keeps it on the same epoch scale as
+// server timestamps, so offsets stay small numbers.
+
+// Wall clock and monotonic clock disagreeing by more than this between two checks means the wall clock jumped
+const WALL_CLOCK_JUMP_THRESHOLD = 1000; // ms
+// A check arriving this much later than scheduled means the page was suspended (sleep, frozen tab)
+const SUSPEND_GAP_THRESHOLD = 5000; // ms
+const CHECK_INTERVAL = 1000; // ms
+
+export function monotonicNow() {
+  if (typeof performance !== 'undefined' && typeof performance.now === 'function' && performance.timeOrigin) {
+    return performance.timeOrigin + performance.now();
+  }
+  return Date.now();
+}
+
+/**
+ * Watch for wall-clock jumps and suspend/resume gaps.
+ * Either one invalidates the current clock offset, so callers should discard it and re-sync
+ * rather than "correct" playback against a bogus offset.
+ * @param {function} onDiscontinuity - Called with { type: 'wall_clock_jump' | 'suspend', delta } (ms)
+ * @returns {function} stop
+ */
+export function watchClockDiscontinuities(onDiscontinuity) {
+  let lastWall = Date.now();
+  let lastMono = monotonicNow();
+
+  function check() {
+    const wall = Date.now();
+    const mono = monotonicNow();
+    const wallElapsed = wall - lastWall;
+    const monoElapsed = mono - lastMono;
+    lastWall = wall;
+    lastMono = mono;
+    // Some browsers stop performance.now() during system sleep while the wall clock keeps going,
+    // so a resume can look like either kind; both are handled the same way
+    if (Math.abs(wallElapsed - monoElapsed) > WALL_CLOCK_JUMP_THRESHOLD) {
+      onDiscontinuity({ type: 'wall_clock_jump', delta: wallElapsed - monoElapsed });
+    } else if (monoElapsed > CHECK_INTERVAL + SUSPEND_GAP_THRESHOLD) {
+      onDiscontinuity({ type: 'suspend', delta: monoElapsed - CHECK_INTERVAL });
+    }
+  }
+
+  const interval = setInterval(check, CHECK_INTERVAL);
+  // Resuming a frozen or back/forward-cached page: check right away instead of waiting for the next tick
+  const handleResume = () => check();
+  document.addEventListener('resume', handleResume);
+  window.addEventListener('pageshow', handleResume);
+
+  return function stop() {
+    clearInterval(interval);
+    document.removeEventListener('resume', handleResume);
+    window.removeEventListener('pageshow', handleResume);
+  };
+}
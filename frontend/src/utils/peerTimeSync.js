@@ -0,0 +1,176 @@
+// WebRTC peer-to-peer time sync for one peer, with signaling via socket.io.
+// Plain (non-hook) so useMultiPeerTimeSync can open and close connections as the peer list changes.
+// Replies carry the replying peer's clock-model estimate of server time, so every peer sample is
+// a server-offset measurement and feeds the shared clock model alongside our own server samples.
+import { clockModel } from './clockModel';
+import { monotonicNow } from './monotonicClock';
+
+// After the server reports a peer as unreachable, wait this long before trying again
+const PEER_RETRY_DELAY = 15000; // ms
+const PING_INTERVAL = 2000; // ms
+
+/**
+ * Open a time-sync connection to one peer.
+ * @param {object} options
+ * @param {object} options.socket - The socket.io client instance
+ * @param {string} options.localId - This client's clientId
+ * @param {string} options.peerId - The peer's clientId
+ * @param {function} options.onUpdate - Called with { peerOffset, peerRtt, connectionState } on every change.
+ *   connectionState is 'unavailable' when the server couldn't deliver our signaling to the peer
+ *   (left, or not in our room); callers then fall back to server time sync until the retry.
+ * @returns {function} close - Tears the connection down and stops retrying
+ */
+export function createPeerTimeSync({ socket, localId, peerId, onUpdate }) {
+  const isInitiator = localId < peerId; // Simple deterministic initiator
+  let state = { peerOffset: 0, peerRtt: null, connectionState: 'connecting' };
+  let pc = null;
+  let dc = null;
+  let interval = null;
+  let retryTimer = null;
+  let attemptClosed = false;
+  let stopped = false;
+
+  function update(patch) {
+    state = { ...state, ...patch };
+    onUpdate(state);
+  }
+
+  function teardown() {
+    attemptClosed = true;
+    if (interval) clearInterval(interval);
+    interval = null;
+    if (dc) dc.close();
+    if (pc) pc.close();
+  }
+
+  // The server acks every signaling message; an error means it had nowhere to send it
+  function sendSignal(event, payload) {
+    socket.emit(event, payload, (res) => {
+      if (attemptClosed || !res || !res.error) return;
+      console.warn(`[PeerTimeSync] ${event} to ${peerId} not delivered:`, res.error);
+      teardown();
+      update({ connectionState: 'unavailable' });
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        if (!stopped) connect();
+      }, PEER_RETRY_DELAY);
+    });
+  }
+
+  function setupDataChannel(dataChannel) {
+    dc = dataChannel;
+    dataChannel.onopen = () => {
+      update({ connectionState: 'connected' });
+      // Periodically send time sync messages
+      let lastIntervalFired = monotonicNow();
+      interval = setInterval(() => {
+        const nowInterval = monotonicNow();
+        const elapsed = nowInterval - lastIntervalFired;
+        lastIntervalFired = nowInterval;
+        // Timer drift detection: if interval fires late, reset connection
+        if (elapsed > PING_INTERVAL * 2) {
+          update({ connectionState: 'disconnected' });
+          clearInterval(interval);
+          if (dataChannel.readyState === 'open' || dataChannel.readyState === 'connecting') {
+            dataChannel.close();
+          }
+          console.warn('[PeerTimeSync] Timer drift detected (tab throttling?). Peer sync will reconnect.');
+          return;
+        }
+        dataChannel.send(JSON.stringify({ type: 'timeSync', clientSent: monotonicNow() }));
+      }, PING_INTERVAL);
+    };
+    dataChannel.onclose = () => {
+      // Keep 'unavailable' when we closed it ourselves after a failed delivery
+      if (!attemptClosed) update({ connectionState: 'disconnected' });
+      if (interval) clearInterval(interval);
+    };
+    dataChannel.onerror = () => {
+      update({ connectionState: 'error' });
+      if (interval) clearInterval(interval);
+    };
+    dataChannel.onmessage = (event) => {
+      const msg = JSON.parse(event.data);
+      if (msg.type === 'timeSync') {
+        // Respond with our estimate of server time; we can't help before our own first server sync
+        const estimate = clockModel.getServerTime();
+        if (!estimate) return;
+        dataChannel.send(JSON.stringify({
+          type: 'timeSyncReply',
+          clientSent: msg.clientSent,
+          serverTime: estimate.time,
+          // The receiver adds our own error to the sample's
+          uncertainty: estimate.sigma,
+        }));
+      } else if (msg.type === 'timeSyncReply') {
+        const clientReceived = monotonicNow();
+        const rtt = clientReceived - msg.clientSent;
+        const peerOffset = msg.serverTime + rtt / 2 - clientReceived;
+        clockModel.addSample({ offset: peerOffset, rtt, source: `peer:${peerId}`, uncertainty: msg.uncertainty, at: clientReceived });
+        update({ peerOffset, peerRtt: rtt });
+      }
+    };
+  }
+
+  // Signaling handlers are registered once and check the live connection, so retries reuse them
+  const handleOffer = async ({ from, offer }) => {
+    if (from !== peerId || attemptClosed) return;
+    await pc.setRemoteDescription(new RTCSessionDescription(offer));
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    sendSignal('peer-answer', { to: from, answer });
+  };
+
+  const handleAnswer = async ({ from, answer }) => {
+    if (from !== peerId || attemptClosed) return;
+    await pc.setRemoteDescription(new RTCSessionDescription(answer));
+  };
+
+  const handleIceCandidate = async ({ from, candidate }) => {
+    if (from !== peerId || attemptClosed) return;
+    try {
+      await pc.addIceCandidate(new RTCIceCandidate(candidate));
+    } catch {
+      // Ignore
+    }
+  };
+
+  function connect() {
+    attemptClosed = false;
+    update({ connectionState: 'connecting' });
+    pc = new RTCPeerConnection();
+    if (isInitiator) {
+      setupDataChannel(pc.createDataChannel('timeSync'));
+    } else {
+      pc.ondatachannel = (event) => setupDataChannel(event.channel);
+    }
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        sendSignal('peer-ice-candidate', { to: peerId, candidate: event.candidate });
+      }
+    };
+    if (isInitiator) {
+      const attemptPc = pc;
+      attemptPc.createOffer()
+        .then(offer => attemptPc.setLocalDescription(offer).then(() => offer))
+        .then(offer => {
+          if (attemptPc === pc && !attemptClosed) sendSignal('peer-offer', { to: peerId, offer });
+        })
+        .catch(err => console.warn('[PeerTimeSync] Failed to create offer:', err));
+    }
+  }
+
+  socket.on('peer-offer', handleOffer);
+  socket.on('peer-answer', handleAnswer);
+  socket.on('peer-ice-candidate', handleIceCandidate);
+  connect();
+
+  return function close() {
+    stopped = true;
+    if (retryTimer) clearTimeout(retryTimer);
+    teardown();
+    socket.off('peer-offer', handleOffer);
+    socket.off('peer-answer', handleAnswer);
+    socket.off('peer-ice-candidate', handleIceCandidate);
+  };
+}
@@ -0,0 +1,45 @@
+// Mirrors getPlayOrder/getNextAutoAdvanceIdx in backend/managers/playbackManager.js so
+// next/previous step through the same sequence the server auto-advances through.
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+/**
+ * Queue indices in play order: the server's shuffled order while shuffle is on, else queue order.
+ * @param {Array} queue
+ * @param {{ shuffle?: boolean, shuffleOrder?: string[] }} mode
+ * @returns {number[]}
+ */
+export function getPlayOrder(queue, { shuffle = false, shuffleOrder = [] } = {}) {
+  const list = Array.isArray(queue) ? queue : [];
+  if (!shuffle || !Array.isArray(shuffleOrder) || shuffleOrder.length === 0) return list.map((_, i) => i);
+  const indexById = new Map(list.map((t, i) => [t && t.id, i]));
+  const order = shuffleOrder.filter(id => indexById.has(id)).map(id => indexById.get(id));
+  const seen = new Set(order);
+  list.forEach((_, i) => { if (!seen.has(i)) order.push(i); });
+  return order;
+}
+
+/**
+ * Index of the track before/after `idx` in play order. Wraps only when repeatMode is 'all'.
+ * @param {Array} queue
+ * @param {number} idx - current queue index
+ * @param {1|-1} direction
+ * @param {{ shuffle?: boolean, shuffleOrder?: string[], repeatMode?: string }} mode
+ * @returns {number|null} queue index, or null if there's nowhere to go
+ */
+export function getAdjacentTrackIdx(queue, idx, direction, mode = {}) {
+  const order = getPlayOrder(queue, mode);
+  if (order.length < 2) return null;
+  const pos = order.indexOf(idx);
+  if (pos === -1) return order[0];
+  const nextPos = pos + direction;
+  if (nextPos >= 0 && nextPos < order.length) return order[nextPos];
+  if (mode.repeatMode === 'all') return order[(nextPos + order.length) % order.length];
+  return null;
+}
+
+// The repeat button cycles off -> all -> one -> off
+export function getNextRepeatMode(repeatMode) {
+  const i = REPEAT_MODES.indexOf(repeatMode);
+  return REPEAT_MODES[(i + 1) % REPEAT_MODES.length];
+}
@@ -0,0 +1,233 @@
+// Client side of the backend's resumable uploads (see the /upload/init routes in backend/routes/audio.js):
+// hash the file, declare it, send it chunk by chunk from the offset the server has, then finalize. A dropped
+// connection doesn't lose what was sent: the upload waits until the browser is back online (or backs off and
+// retries), asks the server where it got to and carries on from there.
+
+const HASH_SLICE_BYTES = 4 * 1024 * 1024;
+// crypto.subtle can only hash a whole buffer at once; bigger files are hashed slice by slice instead,
+// so a large upload never has to sit in memory in one piece (phones run out)
+const SUBTLE_HASH_MAX_BYTES = 8 * 1024 * 1024;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+// Consecutive failed attempts, while online and without progress, before giving up
+const MAX_RETRIES = 8;
+
+// --- SHA-256 ---
+// Incremental, for files too big for crypto.subtle and for insecure contexts (phones on a LAN address over
+// plain http), where crypto.subtle doesn't exist. Checked against known answers in resumableUpload.test.js.
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+export function createSha256() {
+  const state = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+  const w = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLength = 0;
+  let totalLength = 0;
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, h] = state;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+    state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+  }
+
+  return {
+    update(bytes) {
+      totalLength += bytes.length;
+      let i = 0;
+      if (blockLength > 0) {
+        const take = Math.min(64 - blockLength, bytes.length);
+        block.set(bytes.subarray(0, take), blockLength);
+        blockLength += take;
+        i = take;
+        if (blockLength < 64) return;
+        compress(block, 0);
+        blockLength = 0;
+      }
+      for (; i + 64 <= bytes.length; i += 64) compress(bytes, i);
+      block.set(bytes.subarray(i), 0);
+      blockLength = bytes.length - i;
+    },
+    hex() {
+      const bits = totalLength * 8;
+      const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8);
+      padding[0] = 0x80;
+      const view = new DataView(padding.buffer);
+      view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+      view.setUint32(padding.length - 4, bits >>> 0);
+      this.update(padding);
+      return Array.from(state, x => x.toString(16).padStart(8, '0')).join('');
+    },
+  };
+}
+
+// Hex SHA-256 of a File or Blob
+export async function sha256File(file) {
+  if (typeof crypto !== 'undefined' && crypto.subtle && file.size <= SUBTLE_HASH_MAX_BYTES) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+  const hash = createSha256();
+  for (let offset = 0; offset < file.size; offset += HASH_SLICE_BYTES) {
+    hash.update(new Uint8Array(await file.slice(offset, offset + HASH_SLICE_BYTES).arrayBuffer()));
+  }
+  return hash.hex();
+}
+
+// --- Upload ---
+
+class UploadError extends Error {
+  constructor(message, { status = 0, code = null, retryable = false } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+async function request(url, options) {
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch {
+    throw new UploadError('Network error', { retryable: true });
+  }
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    // Empty body (204) or not JSON
+  }
+  if (!res.ok) {
+    let message = `Upload failed (${res.status})`;
+    if (data && data.error) message = data.error;
+    else if (data && Array.isArray(data.errors) && data.errors[0] && data.errors[0].msg) message = data.errors[0].msg;
+    const error = new UploadError(message, { status: res.status, code: data && data.code, retryable: res.status >= 500 && res.status !== 507 });
+    error.data = data;
+    throw error;
+  }
+  return data;
+}
+
+// Resolve after `ms`, or as soon as the browser comes back online
+function waitForRetry(ms) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      window.removeEventListener('online', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    window.addEventListener('online', done);
+  });
+}
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Upload a file through the resumable protocol.
+ * @param {File} file
+ * @param {object} options - { backendUrl, sessionId, clientId, credential, onProgress(fraction), onRetry(error) }
+ *   credential is the one join_session issued for clientId: only connected members of the session can upload
+ *   onRetry is called each time the upload stalls and is about to be resumed
+ * @returns {Promise<object>} what the backend answers to finalize (url, title, artist, album, duration, albumArt...)
+ * @throws {Error} with the backend's reason when the file is refused or the upload can't be completed
+ */
+export async function uploadResumable(file, { backendUrl, sessionId, clientId, credential, onProgress = () => {}, onRetry = () => {} }) {
+  const base = `${backendUrl}/audio/upload`;
+  const sha256 = await sha256File(file);
+  const init = () => request(`${base}/init`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId, clientId, credential, name: file.name, size: file.size, sha256 }),
+  });
+
+  let upload = null;
+  let failures = 0;
+  for (;;) {
+    try {
+      // (Re)start: init resumes an upload the server still has for this file
+      if (!upload) upload = await init();
+      onProgress(upload.received / file.size);
+      while (upload.received < file.size) {
+        const chunk = file.slice(upload.received, upload.received + upload.chunkSize);
+        let result;
+        try {
+          result = await request(`${base}/${upload.uploadId}?offset=${upload.received}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: chunk,
+          });
+        } catch (err) {
+          // Out of step (a retried chunk that had in fact arrived): continue from the server's offset.
+          // Same offset: the server is still writing an earlier attempt of this chunk, give it a moment.
+          if (err.status === 409 && err.data && typeof err.data.received === 'number') {
+            if (err.data.received === upload.received) await waitForRetry(RETRY_BASE_MS);
+            result = err.data;
+          } else {
+            throw err;
+          }
+        }
+        upload.received = result.received;
+        failures = 0;
+        onProgress(upload.received / file.size);
+      }
+      return await request(`${base}/${upload.uploadId}/finalize`, { method: 'POST' });
+    } catch (err) {
+      if (err.status === 404 && upload) {
+        // The server forgot the upload (expired or restarted): start again
+        upload = null;
+        continue;
+      }
+      if (err.code === 'UPLOAD_INCOMPLETE' && err.data) {
+        upload.received = err.data.received;
+        continue;
+      }
+      if (err.code === 'UPLOAD_BUSY') {
+        await waitForRetry(RETRY_BASE_MS);
+        continue;
+      }
+      if (!err.retryable) throw err;
+      if (!isOffline()) failures += 1;
+      if (failures > MAX_RETRIES) throw new UploadError('Upload failed: the connection keeps dropping');
+      onRetry(err);
+      await waitForRetry(Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** failures));
+      if (upload) {
+        // Where did we get to? The last chunk may have arrived even though its answer didn't
+        try {
+          const status = await request(`${base}/${upload.uploadId}`);
+          upload.received = status.received;
+        } catch (statusErr) {
+          if (statusErr.status === 404) upload = null;
+        }
+      }
+    }
+  }
+}
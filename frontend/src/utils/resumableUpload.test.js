@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { createSha256, sha256File } from './resumableUpload.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const reference = (bytes) => createHash('sha256').update(bytes).digest('hex');
+
+function hash(...parts) {
+  const sha = createSha256();
+  parts.forEach(part => sha.update(part));
+  return sha.hex();
+}
+
+// Deterministic bytes
+function bytes(length, seed = 1) {
+  const out = new Uint8Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    out[i] = state >>> 16;
+  }
+  return out;
+}
+
+test('createSha256 matches the FIPS 180-2 known answers', () => {
+  assert.equal(hash(encode('')), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  assert.equal(hash(encode('abc')), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  // 56 bytes: the length no longer fits in the first block, padding takes a second one
+  assert.equal(
+    hash(encode('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')),
+    '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+  );
+  assert.equal(hash(new Uint8Array(1000000).fill(0x61)), 'cdc76e5c9914fb9281a1c7e284d73e67f1809a48a497200e046d39ccc7112cd0');
+});
+
+test('createSha256 handles every length around the block and padding boundaries', () => {
+  for (const length of [1, 55, 56, 57, 63, 64, 65, 119, 120, 127, 128, 129]) {
+    const data = bytes(length, length);
+    assert.equal(hash(data), reference(data), `length ${length}`);
+  }
+});
+
+test('createSha256 gives the same digest however the input is split', () => {
+  const data = bytes(1000, 3);
+  const expected = reference(data);
+  assert.equal(hash(data.subarray(0, 1), data.subarray(1)), expected);
+  assert.equal(hash(data.subarray(0, 63), data.subarray(63, 64), data.subarray(64, 130), data.subarray(130)), expected);
+  assert.equal(hash(data.subarray(0, 500), new Uint8Array(0), data.subarray(500)), expected);
+});
+
+test('sha256File hashes small files in one go and large ones across slice boundaries', async () => {
+  const small = bytes(100000, 5);
+  assert.equal(await sha256File(new Blob([small])), reference(small));
+  // Over the whole-buffer limit: hashed in 4 MB slices, the last one partial
+  const large = bytes(9 * 1024 * 1024 + 13, 7);
+  assert.equal(await sha256File(new Blob([large])), reference(large));
+});
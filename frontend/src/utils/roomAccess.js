@@ -0,0 +1,57 @@
+// Credentials for password-protected rooms.
+// - The password / invite token a user just entered is kept in memory only, for the next join_session.
+// - The access token the server hands back after a successful join is persisted, so reloads and
+//   reconnects don't need the password again.
+
+const ACCESS_TOKEN_KEY = 'fxsync_room_access';
+
+const pendingSecrets = {};
+
+const getAccessKey = (sessionId) => `${ACCESS_TOKEN_KEY}_${sessionId}`;
+
+// Remember a password or invite token to send with the next join of this room
+export const setPendingRoomSecret = (sessionId, { password, inviteToken } = {}) => {
+  if (!sessionId) return;
+  pendingSecrets[sessionId] = {
+    ...(password ? { password } : {}),
+    ...(inviteToken ? { inviteToken } : {})
+  };
+};
+
+export const saveRoomAccessToken = (sessionId, accessToken) => {
+  try {
+    if (accessToken) {
+      localStorage.setItem(getAccessKey(sessionId), accessToken);
+    } else {
+      localStorage.removeItem(getAccessKey(sessionId));
+    }
+  } catch (error) {
+    console.warn('Failed to save room access token to localStorage:', error);
+  }
+};
+
+// Everything we have for this room, to spread into the join_session payload
+export const getRoomJoinCredentials = (sessionId) => {
+  let accessToken = null;
+  try {
+    accessToken = localStorage.getItem(getAccessKey(sessionId));
+  } catch {
+    // Private mode etc.: fall back to the pending secret
+  }
+  return {
+    ...(pendingSecrets[sessionId] || {}),
+    ...(accessToken ? { accessToken } : {})
+  };
+};
+
+// Once joined, the access token replaces the secret; don't keep the password around
+export const clearPendingRoomSecret = (sessionId) => {
+  delete pendingSecrets[sessionId];
+};
+
+// Build a share link; invite tokens go in the link instead of the password
+export const buildRoomShareUrl = (sessionId, inviteToken = null) => {
+  const params = new URLSearchParams({ session: sessionId });
+  if (inviteToken) params.set('invite', inviteToken);
+  return `${window.location.origin}/?${params.toString()}`;
+};
@@ -7,7 +7,6 @@ const SYNC_CONFIG = {
   DRIFT_THRESHOLD: 0.08, // 80ms (was 0.3) - more aggressive for faster correction
   DRIFT_JITTER_BUFFER: 4, // Number of consecutive drift checks before correction (was 2)
   RESYNC_COOLDOWN_MS: 5000, // 5 seconds
-  PLAY_OFFSET: 0.04, // 40ms
 
   // Periodic drift check interval (ms)
   TIMER_INTERVAL: 350, // Lowered from default for faster emission
@@ -0,0 +1,327 @@
+// Web Audio playback engine.
+// Decodes the whole track into an AudioBuffer and plays it with AudioBufferSourceNodes scheduled on
+// AudioContext.currentTime, so starts and seeks land on an exact sample instead of wherever the media
+// element's pipeline happens to be. Drift correction can then seek (crossfaded, inaudible) instead of
+// nudging playbackRate, which warbles.
+//
+// The engine mirrors the part of HTMLMediaElement the player uses (src, load, play, pause, currentTime,
+// duration, paused, ended, readyState, volume, playbackRate and the matching events), so audioRef.current
+// can hold either one. Engine-only extras:
+// - preciseSeek: true; seeks are sample-accurate, prefer them over playbackRate nudges
+// - outputLatency: seconds between scheduling a sample and hearing it
+// - playAt(localTime): start so the first sample is heard at a monotonic local time (ms, see monotonicClock)
+import { monotonicNow } from './monotonicClock';
+
+const CROSSFADE = 0.012; // s, old and new source overlap on a seek so it doesn't click
+const START_LOOKAHEAD = 0.005; // s, a source can't start in the past
+const TIMEUPDATE_INTERVAL = 250; // ms, about what media elements fire
+const HAVE_NOTHING = 0;
+const HAVE_ENOUGH_DATA = 4;
+
+let sharedContext = null;
+
+// One context for the page: browsers cap how many can be open, and each one holds an output stream
+function getContext() {
+  if (!sharedContext || sharedContext.state === 'closed') {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    sharedContext = new Ctx({ latencyHint: 'playback' });
+  }
+  return sharedContext;
+}
+
+export function supportsWebAudioEngine() {
+  if (typeof window === 'undefined' || typeof window.fetch !== 'function') return false;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  return !!Ctx && typeof Ctx.prototype.decodeAudioData === 'function';
+}
+
+function abortError() {
+  return new DOMException('The play() request was interrupted by a call to pause().', 'AbortError');
+}
+
+// Callback form as well, for Safari versions where decodeAudioData doesn't return a promise
+function decode(context, data) {
+  return new Promise((resolve, reject) => {
+    const result = context.decodeAudioData(data, resolve, reject);
+    if (result && typeof result.then === 'function') result.then(resolve, reject);
+  });
+}
+
+class WebAudioEngine extends EventTarget {
+  constructor() {
+    super();
+    this.context = getContext();
+    this.output = this.context.createGain();
+    this.output.connect(this.context.destination);
+    this.buffer = null;
+    this.source = null; // { node, gain } currently playing (or scheduled to)
+    this.anchorPosition = 0; // track position (s) at anchorContextTime
+    this.anchorContextTime = 0;
+    this.rate = 1;
+    this.paused = true;
+    this.ended = false;
+    this.readyState = HAVE_NOTHING;
+    this.duration = NaN;
+    this.currentSrc = '';
+    this.loadingSrc = null;
+    this.loadToken = 0;
+    this.error = null;
+    this.timeupdateTimer = null;
+    this.preciseSeek = true;
+  }
+
+  emit(type) {
+    this.dispatchEvent(new Event(type));
+  }
+
+  get outputLatency() {
+    return (this.context.baseLatency || 0) + (this.context.outputLatency || 0);
+  }
+
+  get src() {
+    return this.currentSrc;
+  }
+
+  set src(url) {
+    if (url === this.currentSrc) return;
+    this.stopSource();
+    this.buffer = null;
+    this.currentSrc = url || '';
+    this.loadingSrc = null;
+    this.anchorPosition = 0;
+    this.ended = false;
+    this.readyState = HAVE_NOTHING;
+    this.duration = NaN;
+    if (!this.paused) {
+      this.paused = true;
+      this.stopTimeupdates();
+      this.emit('pause');
+    }
+    this.emit('emptied');
+    this.load();
+  }
+
+  load() {
+    const url = this.currentSrc;
+    if (!url || this.loadingSrc === url) return;
+    this.loadingSrc = url;
+    const token = ++this.loadToken;
+    this.error = null;
+    this.emit('loadstart');
+    fetch(url)
+      .then(res => {
+        if (!res.ok) throw new Error(`Failed to fetch audio: ${res.status}`);
+        return res.arrayBuffer();
+      })
+      .then(data => decode(this.context, data))
+      .then(buffer => {
+        if (token !== this.loadToken) return;
+        this.buffer = buffer;
+        this.duration = buffer.duration;
+        this.readyState = HAVE_ENOUGH_DATA;
+        this.emit('durationchange');
+        this.emit('loadedmetadata');
+        this.emit('canplay');
+        this.emit('canplaythrough');
+      })
+      .catch(err => {
+        if (token !== this.loadToken) return;
+        this.loadingSrc = null;
+        this.error = err;
+        this.emit('error');
+      });
+  }
+
+  whenReady() {
+    if (this.readyState >= HAVE_ENOUGH_DATA) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onReady = () => { cleanup(); resolve(); };
+      const onError = () => { cleanup(); reject(this.error || new Error('Audio failed to load')); };
+      const cleanup = () => {
+        this.removeEventListener('canplay', onReady);
+        this.removeEventListener('error', onError);
+      };
+      this.addEventListener('canplay', onReady);
+      this.addEventListener('error', onError);
+      this.load();
+    });
+  }
+
+  // Track position at a context time, from the current anchor
+  positionAt(contextTime) {
+    if (this.paused || !this.source) return this.anchorPosition;
+    const elapsed = Math.max(0, contextTime - this.anchorContextTime);
+    return this.anchorPosition + elapsed * this.rate;
+  }
+
+  get currentTime() {
+    const position = this.positionAt(this.context.currentTime);
+    return Number.isFinite(this.duration) ? Math.min(position, this.duration) : position;
+  }
+
+  set currentTime(value) {
+    if (!Number.isFinite(value)) return;
+    const position = Math.max(0, Number.isFinite(this.duration) ? Math.min(value, this.duration) : value);
+    this.ended = false;
+    this.emit('seeking');
+    if (this.paused || !this.source) {
+      this.anchorPosition = position;
+    } else {
+      // A start that hasn't happened yet keeps its start time; otherwise switch over right away
+      const when = Math.max(this.anchorContextTime, this.context.currentTime + START_LOOKAHEAD);
+      this.startSource(position, when);
+    }
+    this.emit('seeked');
+    this.emit('timeupdate');
+  }
+
+  get playbackRate() {
+    return this.rate;
+  }
+
+  set playbackRate(value) {
+    if (!Number.isFinite(value) || value <= 0) return;
+    const now = this.context.currentTime;
+    if (!this.paused && this.source && now > this.anchorContextTime) {
+      this.anchorPosition = this.positionAt(now);
+      this.anchorContextTime = now;
+    }
+    this.rate = value;
+    if (this.source) this.source.node.playbackRate.setValueAtTime(value, now);
+  }
+
+  get volume() {
+    return this.output.gain.value;
+  }
+
+  set volume(value) {
+    if (Number.isFinite(value)) this.output.gain.value = Math.max(0, Math.min(1, value));
+  }
+
+  // Map a monotonic local time (ms) to the context time whose sample is heard then
+  contextTimeAt(localTime) {
+    const stamp = typeof this.context.getOutputTimestamp === 'function' ? this.context.getOutputTimestamp() : null;
+    if (stamp && stamp.performanceTime > 0 && typeof performance !== 'undefined' && performance.timeOrigin) {
+      return stamp.contextTime + (localTime - (performance.timeOrigin + stamp.performanceTime)) / 1000;
+    }
+    return this.context.currentTime + (localTime - monotonicNow()) / 1000 - this.outputLatency;
+  }
+
+  play() {
+    return this.playAt(null);
+  }
+
+  /**
+   * Start playback from the current position.
+   * @param {number|null} localTime - Monotonic local time (ms) the first sample should be heard at; null for now
+   * @returns {Promise} Rejects with an AbortError if paused before the track finished loading
+   */
+  playAt(localTime) {
+    if (!this.paused) return Promise.resolve();
+    this.paused = false;
+    if (this.ended || (Number.isFinite(this.duration) && this.anchorPosition >= this.duration)) {
+      this.anchorPosition = 0;
+    }
+    this.ended = false;
+    this.emit('play');
+    return this.whenReady()
+      .then(() => {
+        if (this.paused) throw abortError();
+        return this.context.state === 'suspended' ? this.context.resume() : null;
+      })
+      .then(() => {
+        if (this.paused) throw abortError();
+        const earliest = this.context.currentTime + START_LOOKAHEAD;
+        const when = localTime == null ? earliest : Math.max(earliest, this.contextTimeAt(localTime));
+        this.startSource(this.anchorPosition, when);
+        this.startTimeupdates();
+        this.emit('playing');
+      });
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.anchorPosition = this.currentTime;
+    this.paused = true;
+    this.stopSource();
+    this.stopTimeupdates();
+    this.emit('pause');
+  }
+
+  startSource(position, when) {
+    const node = this.context.createBufferSource();
+    const gain = this.context.createGain();
+    node.buffer = this.buffer;
+    node.playbackRate.value = this.rate;
+    node.connect(gain);
+    gain.connect(this.output);
+    gain.gain.setValueAtTime(0, when);
+    gain.gain.linearRampToValueAtTime(1, when + CROSSFADE);
+    node.onended = () => {
+      if (this.source && this.source.node === node && !this.paused) this.handleEnded();
+    };
+    this.stopSource(when);
+    node.start(when, Math.min(position, this.buffer.duration));
+    this.source = { node, gain };
+    this.anchorPosition = position;
+    this.anchorContextTime = when;
+  }
+
+  // Fade the current source out (from `when`, default now) and stop it
+  stopSource(when = this.context.currentTime) {
+    const current = this.source;
+    if (!current) return;
+    this.source = null;
+    current.node.onended = null;
+    const from = Math.max(when, this.context.currentTime);
+    try {
+      current.gain.gain.cancelScheduledValues(from);
+      current.gain.gain.setValueAtTime(current.gain.gain.value, from);
+      current.gain.gain.linearRampToValueAtTime(0, from + CROSSFADE);
+      current.node.stop(from + CROSSFADE);
+    } catch {
+      // Never started, or already stopped
+    }
+    setTimeout(() => current.gain.disconnect(), (from - this.context.currentTime + CROSSFADE) * 1000 + 100);
+  }
+
+  handleEnded() {
+    this.anchorPosition = this.duration;
+    this.source = null;
+    this.paused = true;
+    this.ended = true;
+    this.stopTimeupdates();
+    this.emit('timeupdate');
+    this.emit('pause');
+    this.emit('ended');
+  }
+
+  startTimeupdates() {
+    this.stopTimeupdates();
+    this.timeupdateTimer = setInterval(() => this.emit('timeupdate'), TIMEUPDATE_INTERVAL);
+  }
+
+  stopTimeupdates() {
+    if (this.timeupdateTimer) clearInterval(this.timeupdateTimer);
+    this.timeupdateTimer = null;
+  }
+
+  destroy() {
+    this.loadToken++;
+    this.stopSource();
+    this.stopTimeupdates();
+    this.paused = true;
+    this.buffer = null;
+    this.output.disconnect();
+  }
+}
+
+/**
+ * Create a Web Audio engine. Call destroy() when done with it.
+ * @returns {WebAudioEngine}
+ */
+export function createWebAudioEngine() {
+  return new WebAudioEngine();
+}
+
+export default createWebAudioEngine;